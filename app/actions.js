@@ -2,6 +2,7 @@
 
 import { getLatestSubmissionDate, getSubmissionsAfterDate, getUnprocessedSubmissions } from "@/lib/submissions";
 import { syncSubmissions } from "@/lib/jotform-submissions";
+import { JOTFORM_FORMS } from "@/lib/jotform-forms";
 import { generateSpecifications } from "@/lib/specification-generator";
 import { getSubmissionsWithStatus, getSubmissionCountsByStatus } from "@/lib/status-helper";
 import { getLastJotformFetchTimestamp } from "@/lib/last-fetch-helper";
@@ -63,6 +64,9 @@ export async function loadSubmissions() {
  * Loads the most recent submissions regardless of process date
  */
 export async function loadAllSubmissions() {
+  // Configured Jotform forms, for the form filter
+  const forms = JOTFORM_FORMS.map(({ formId, label }) => ({ formId, label }));
+
   try {
     // Use the enhanced function that includes status information - get all submissions
     const submissions = await getSubmissionsWithStatus();
@@ -77,6 +81,7 @@ export async function loadAllSubmissions() {
       statusCounts,
       timestamp: new Date().toISOString(), // This is for overall data refresh timestamp
       lastFetchedTimestamp, // This is specifically for the Jotform fetch operation
+      forms,
       error: null
     };
   } catch (error) {
@@ -94,6 +99,7 @@ export async function loadAllSubmissions() {
       statusCounts: { total: 0 },
       timestamp: new Date().toISOString(),
       lastFetchedTimestamp,
+      forms,
       error: error.message 
     };
   }
@@ -104,10 +110,8 @@ export async function loadAllSubmissions() {
  */
 export async function fetchNewSubmissions() {
   try {
-    // Sync submissions from Jotform API
-    const result = await syncSubmissions({
-      limit: 100 // Fetch up to 100 submissions
-    });
+    // Sync every submission created since the last high-water mark
+    const result = await syncSubmissions();
     
     // Get updated list of unprocessed submissions
     const submissions = await getUnprocessedSubmissions();
@@ -116,8 +120,10 @@ export async function fetchNewSubmissions() {
     // be updated since new records will be created with the current timestamp
     return {
       success: result.success,
-      message: result.message,
-      added: result.added,
+      message: `Fetched ${result.fetched} submissions in ${result.pagesFetched} pages, saved ${result.saved}, skipped ${result.skipped}.`,
+      added: result.saved,
+      pagesFetched: result.pagesFetched,
+      skipped: result.skipped,
       submissions,
       timestamp: new Date().toISOString(),
       error: null
@@ -0,0 +1,99 @@
+/**
+ * API Route for the values of one enum table
+ *
+ * Lists the values with their usage counts and synonyms, and adds, renames,
+ * merges or deletes values.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { deleteEnumValue, getEnumValuesWithUsage, mergeEnumValues, renameEnumValue } from '@/lib/enum-admin';
+import { createEnumValue } from '@/lib/enum-synonyms';
+import { ENUM_TABLES, isEnumTable } from '@/lib/enum-tables';
+import { clearEnumCache } from '@/lib/specification-generator';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const { table } = await params;
+
+  if (!isEnumTable(table)) {
+    return NextResponse.json({ success: false, message: `Unknown enum table: ${table}` }, { status: 404 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const values = await getEnumValuesWithUsage(client, table);
+    return NextResponse.json({ success: true, enumTable: table, label: ENUM_TABLES[table].label, values });
+  } catch (error) {
+    console.error(`Error loading values of ${table}:`, error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change a value: { action: 'create', name }, { action: 'rename', id, name },
+ * { action: 'merge', id, targetId } or { action: 'delete', id }
+ */
+export async function POST(request, { params }) {
+  const { table } = await params;
+  const { action, id, name, targetId } = await request.json();
+
+  if (!isEnumTable(table)) {
+    return NextResponse.json({ success: false, message: `Unknown enum table: ${table}` }, { status: 404 });
+  }
+
+  const valid = {
+    create: Boolean(name),
+    rename: Boolean(id && name),
+    merge: Boolean(id && targetId),
+    delete: Boolean(id)
+  }[action];
+  if (!valid) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: action (create, rename, merge or delete) with name, id or targetId'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    let result;
+    let message;
+    if (action === 'create') {
+      result = await createEnumValue(client, table, name);
+      message = `Added "${name.trim()}"`;
+    } else if (action === 'rename') {
+      result = await renameEnumValue(client, table, id, name);
+      message = `Renamed to "${name.trim()}"; the old name is kept as a synonym`;
+    } else if (action === 'merge') {
+      result = await mergeEnumValues(client, table, id, targetId);
+      message = `Merged; ${result.specificationsRepointed} specification${result.specificationsRepointed !== 1 ? 's' : ''} repointed`;
+    } else {
+      result = await deleteEnumValue(client, table, id);
+      message = 'Deleted';
+    }
+
+    if (!result.success) {
+      await client.query('ROLLBACK');
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    await client.query('COMMIT');
+
+    // Cached lookups may point at a renamed, merged or deleted value
+    clearEnumCache();
+
+    return NextResponse.json({ ...result, message });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Error updating ${table}:`, error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * API Route for the enum tables
+ *
+ * Lists the enum tables with their number of values and synonyms.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getEnumTableSummaries } from '@/lib/enum-admin';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  const client = await db.getClient();
+  try {
+    const tables = await getEnumTableSummaries(client);
+    return NextResponse.json({ success: true, tables });
+  } catch (error) {
+    console.error('Error loading enum tables:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * API Route for enum value synonyms
+ *
+ * Lists answers of pending submissions that match no enum value, with
+ * suggestions, maps an answer to an existing or new enum value, and removes
+ * synonyms.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { ENUM_TABLES } from '@/lib/enum-tables';
+import {
+  createEnumValue,
+  deleteEnumSynonym,
+  getEnumSynonyms,
+  getEnumValues,
+  getUnresolvedEnumValues,
+  linkEnumSynonym
+} from '@/lib/enum-synonyms';
+import { clearEnumCache } from '@/lib/specification-generator';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List unknown answers, existing synonyms and the values of the enum tables involved
+ */
+export async function GET() {
+  const client = await db.getClient();
+  try {
+    const unresolved = await getUnresolvedEnumValues(client);
+    const synonyms = await getEnumSynonyms(client);
+
+    const values = {};
+    for (const enumTable of new Set(unresolved.map(answer => answer.enumTable))) {
+      values[enumTable] = await getEnumValues(client, enumTable);
+    }
+
+    const tables = Object.fromEntries(Object.entries(ENUM_TABLES).map(([name, { label }]) => [name, label]));
+    return NextResponse.json({ success: true, unresolved, synonyms, values, tables });
+  } catch (error) {
+    console.error('Error loading unresolved enum values:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Map an answer or remove a synonym:
+ * { action: 'map', enumTable, label, enumId }, { action: 'create', enumTable, label, newName } to add
+ * the value first, or { action: 'remove', id }
+ */
+export async function POST(request) {
+  const { action, enumTable, label, enumId, newName, id } = await request.json();
+
+  const valid = action === 'remove'
+    ? Boolean(id)
+    : enumTable && label && ((action === 'map' && enumId) || (action === 'create' && newName));
+  if (!valid) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: action (map, create or remove) with enumTable, label and enumId or newName, or id'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    if (action === 'remove') {
+      const result = await deleteEnumSynonym(client, id);
+      if (!result.success) {
+        await client.query('ROLLBACK');
+        return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+      }
+
+      await client.query('COMMIT');
+
+      // Cached lookups may still resolve the removed wording
+      clearEnumCache();
+
+      return NextResponse.json({ success: true, message: 'Synonym removed' });
+    }
+
+    let targetId = enumId;
+    if (action === 'create') {
+      const created = await createEnumValue(client, enumTable, newName);
+      if (!created.success) {
+        await client.query('ROLLBACK');
+        return NextResponse.json({ success: false, message: created.errorMessage }, { status: 400 });
+      }
+      targetId = created.id;
+    }
+
+    const result = await linkEnumSynonym(client, enumTable, label, targetId);
+    if (!result.success) {
+      await client.query('ROLLBACK');
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    await client.query('COMMIT');
+
+    // Cached lookups may still point a remapped wording at its old value
+    clearEnumCache();
+
+    return NextResponse.json({
+      success: true,
+      enumId: targetId,
+      message: action === 'create' ? `Added "${newName.trim()}" and mapped "${label}" to it` : `Mapped "${label}"`
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating enum synonyms:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
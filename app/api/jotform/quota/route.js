@@ -0,0 +1,21 @@
+/**
+ * API Route for the Jotform API quota
+ * 
+ * Returns today's Jotform API usage so the UI can show how many calls remain
+ * before starting a sync.
+ */
+
+import { NextResponse } from 'next/server';
+import { getJotformQuota } from '@/lib/jotform-client';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    const quota = await getJotformQuota();
+    return NextResponse.json({ success: true, quota });
+  } catch (error) {
+    console.error('Error loading Jotform quota:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * API Route for the profile of one product
+ *
+ * Returns the consensus of every specification of a Shopify handle, how often
+ * each value was chosen and the reviews behind it.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getProductProfile } from '@/lib/product-specifications';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const { handle } = await params;
+
+  const client = await db.getClient();
+  try {
+    const profile = await getProductProfile(client, handle);
+    if (!profile) {
+      return NextResponse.json({ success: false, message: `No specifications for handle ${handle}` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, profile });
+  } catch (error) {
+    console.error(`Error building product profile for ${handle}:`, error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * API Route for re-deriving submissions from their stored raw JSON
+ * 
+ * Re-runs the field mapping over raw_json without calling Jotform. The default is
+ * a preview; send apply: true to write the changes in one transaction.
+ * 
+ * Body: { submissionIds?: string[], all?: boolean, apply?: boolean }
+ */
+
+import { NextResponse } from 'next/server';
+import { rederiveSubmissions } from '@/lib/jotform-rederive';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return NextResponse.json({ success: false, message: 'Request body must be JSON' }, { status: 400 });
+  }
+
+  const { submissionIds, all = false, apply = false } = body || {};
+  const hasIds = Array.isArray(submissionIds) && submissionIds.length > 0;
+
+  // Re-deriving every submission must be asked for explicitly
+  if (!hasIds && all !== true) {
+    return NextResponse.json({
+      success: false,
+      message: 'Provide submissionIds or set all: true'
+    }, { status: 400 });
+  }
+
+  try {
+    const result = await rederiveSubmissions({
+      submissionIds: hasIds ? submissionIds.map(String) : undefined,
+      apply: apply === true
+    });
+
+    const action = result.applied ? 'Updated' : 'Would update';
+    return NextResponse.json({
+      ...result,
+      message: `${action} ${result.changed} of ${result.checked} submission${result.checked !== 1 ? 's' : ''}` +
+        (result.statusResets > 0 ? `, ${result.statusResets} moved back in the pipeline` : '') +
+        (result.errors.length > 0 ? `, ${result.errors.length} could not be re-derived` : '')
+    });
+  } catch (error) {
+    return NextResponse.json({ success: false, message: `Error: ${error.message}` }, { status: 500 });
+  }
+}
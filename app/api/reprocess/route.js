@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
 import db from '@/lib/db';
 import { STATUS } from '@/lib/submission-status';
-import { cleanProductName } from '@/lib/product-title-cleaner';
-import { findMatchingShopifyProduct, saveShopifyProductData } from '@/lib/shopify';
+import { explainTitleCleaning, refreshCleaningRules } from '@/lib/product-title-cleaner';
+import { saveShopifyProductData } from '@/lib/shopify';
+import { matchShopifyProductFromCatalog } from '@/lib/shopify-catalog';
+import { isShopifyMatchParked } from '@/lib/shopify-match-queue';
 import { generateSpecification } from '@/lib/specification-generator';
 
 export async function POST(request) {
@@ -50,13 +52,15 @@ export async function POST(request) {
           }, { status: 400 });
         }
         
-        // Re-clean the title without changing the state
-        const cleanedTitle = cleanProductName(submission.select_product);
+        // Re-clean the title without changing the state, with the latest saved rules
+        await refreshCleaningRules(client);
+        const explanation = explainTitleCleaning(submission.select_product);
+        const cleanedTitle = explanation.cleanedTitle || null;
         
-        // Update the submission with the cleaned title
+        // Update the submission with the cleaned title and how it was cleaned
         await client.query(
-          'UPDATE jotform SET cleaned_product_title = $1 WHERE submission_id = $2',
-          [cleanedTitle, submissionId]
+          'UPDATE jotform SET cleaned_product_title = $1, title_cleaning_trace = $2 WHERE submission_id = $3',
+          [cleanedTitle, JSON.stringify(explanation), submissionId]
         );
         
         response = { 
@@ -77,17 +81,31 @@ export async function POST(request) {
           }, { status: 400 });
         }
         
+        // Parked submissions stay out of Shopify mapping until reopened
+        if (await isShopifyMatchParked(client, submissionId)) {
+          await client.query('ROLLBACK');
+          return NextResponse.json({ 
+            success: false, 
+            message: 'Submission is parked as having no Shopify product; reopen it from the review queue first' 
+          }, { status: 400 });
+        }
+        
         // Use cleaned title if available, otherwise use original product title
         const titleToUse = submission.cleaned_product_title || submission.select_product;
         
         // Find matching Shopify product
-        const productData = await findMatchingShopifyProduct(titleToUse);
+        const match = await matchShopifyProductFromCatalog(client, titleToUse);
+        const productData = match.product;
         
         if (!productData) {
           await client.query('ROLLBACK');
+          const [bestCandidate] = match.candidates;
           return NextResponse.json({ 
             success: false, 
-            message: `Could not find matching Shopify product for "${titleToUse}"` 
+            message: bestCandidate
+              ? `No confident Shopify match for "${titleToUse}" (best: "${bestCandidate.product.title}", score ${bestCandidate.score.toFixed(2)})`
+              : `Could not find matching Shopify product for "${titleToUse}"`,
+            candidates: match.candidates
           }, { status: 404 });
         }
         
@@ -0,0 +1,75 @@
+/**
+ * API Route for reviewer identity resolution
+ * 
+ * Lists reviewer names of pending submissions that match no user, with fuzzy
+ * suggestions, and links a reviewer name to a user as an alias.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import {
+  getUnresolvedReviewers,
+  linkReviewerAlias,
+  normalizeReviewerName,
+  reviewerNameMatchSql
+} from '@/lib/reviewer-identity';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List unknown reviewer names and the users they can be linked to
+ */
+export async function GET() {
+  const client = await db.getClient();
+  try {
+    const reviewers = await getUnresolvedReviewers(client);
+    const usersResult = await client.query('SELECT id, name, email, jotform_name FROM users ORDER BY name, email');
+
+    return NextResponse.json({ success: true, reviewers, users: usersResult.rows });
+  } catch (error) {
+    console.error('Error loading unresolved reviewers:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link a reviewer name to a user: { reviewer, userId }
+ */
+export async function POST(request) {
+  const { reviewer, userId } = await request.json();
+
+  if (!reviewer || !userId) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: reviewer and userId'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const result = await linkReviewerAlias(client, reviewer, userId);
+    if (!result.success) {
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    const countResult = await client.query(`
+      SELECT COUNT(*) AS count FROM jotform
+      WHERE ${reviewerNameMatchSql('reviewer')} = LOWER($1)
+        AND status NOT IN ('specification_generated', 'ignore')
+    `, [normalizeReviewerName(reviewer)]);
+    const pending = parseInt(countResult.rows[0].count, 10);
+
+    return NextResponse.json({
+      success: true,
+      pendingSubmissions: pending,
+      message: `Linked "${reviewer}"; ${pending} pending submission${pending !== 1 ? 's' : ''} now match${pending === 1 ? 'es' : ''} a user`
+    });
+  } catch (error) {
+    console.error('Error linking reviewer alias:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * API Route backfilling Shopify product GIDs
+ *
+ * Stores the product (and single variant) GID on jotform_shopify rows and
+ * specifications that were mapped before GIDs were kept.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { backfillShopifyProductIds } from '@/lib/shopify-verification';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST() {
+  const client = await db.getClient();
+  try {
+    const summary = await backfillShopifyProductIds(client);
+    return NextResponse.json({
+      ...summary,
+      message: `Stored product GIDs on ${summary.submissionsUpdated} mapped submission${summary.submissionsUpdated !== 1 ? 's' : ''} ` +
+        `and ${summary.specificationsUpdated} specification${summary.specificationsUpdated !== 1 ? 's' : ''}; ` +
+        `${summary.unresolved.length} handle${summary.unresolved.length !== 1 ? 's' : ''} could not be resolved`
+    });
+  } catch (error) {
+    console.error('Error backfilling Shopify product GIDs:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
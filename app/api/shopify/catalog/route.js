@@ -0,0 +1,25 @@
+/**
+ * API Route reporting the state of the local Shopify product catalog
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getCatalogStatus } from '@/lib/shopify-catalog';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Product and handle counts, and the last catalog sync
+ */
+export async function GET() {
+  const client = await db.getClient();
+  try {
+    const status = await getCatalogStatus(client);
+    return NextResponse.json({ success: true, ...status });
+  } catch (error) {
+    console.error('Error loading Shopify catalog status:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * API Route for Shopify API diagnostics
+ * 
+ * Returns the GraphQL query cost budget this server process last saw, and how
+ * often calls were throttled and retried. ?refresh=true runs a minimal query first
+ * so the budget is current.
+ */
+
+import { NextResponse } from 'next/server';
+import { getShopifyThrottleStatus, refreshShopifyThrottleStatus } from '@/lib/shopify';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const throttle = searchParams.get('refresh') === 'true'
+      ? await refreshShopifyThrottleStatus()
+      : getShopifyThrottleStatus();
+    return NextResponse.json({ success: true, throttle });
+  } catch (error) {
+    console.error('Error loading Shopify diagnostics:', error);
+    return NextResponse.json({ success: false, message: error.message, throttle: getShopifyThrottleStatus() }, { status: 500 });
+  }
+}
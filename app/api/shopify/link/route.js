@@ -0,0 +1,48 @@
+/**
+ * API Route linking a submission to a Shopify product chosen by hand
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { linkSubmissionToShopifyProduct } from '@/lib/shopify-corrections';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Link a submission to a product: { submissionId, handle }
+ */
+export async function POST(request) {
+  const { submissionId, handle } = await request.json();
+
+  if (!submissionId || !handle) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: submissionId and handle'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const result = await linkSubmissionToShopifyProduct(client, submissionId, handle);
+    if (!result.success) {
+      await client.query('ROLLBACK');
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    await client.query('COMMIT');
+    return NextResponse.json({
+      success: true,
+      product: result.product,
+      correctionRecorded: result.correctionRecorded,
+      message: `Linked submission ${submissionId} to "${result.product.title}"`
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error linking Shopify product:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
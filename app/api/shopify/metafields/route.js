@@ -0,0 +1,70 @@
+/**
+ * API Route for publishing specifications to Shopify metafields
+ *
+ * Previews the metafield changes of one product with its publish log, and
+ * publishes (or dry-runs) the aggregated specifications of products.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getPublishLog, previewSpecificationPublish, publishSpecifications } from '@/lib/specification-publisher';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Preview one product: ?handle=<handle>
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const handle = searchParams.get('handle');
+
+  if (!handle) {
+    return NextResponse.json({ success: false, message: 'Missing required parameter: handle' }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const preview = await previewSpecificationPublish(client, handle);
+    if (!preview) {
+      return NextResponse.json({ success: false, message: `No specifications for handle ${handle}` }, { status: 404 });
+    }
+
+    const log = await getPublishLog(client, handle);
+    return NextResponse.json({ success: true, preview, log });
+  } catch (error) {
+    console.error(`Error previewing metafields for ${handle}:`, error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Publish: { handles: [...] } or { all: true }, with dryRun: true to only log what would change
+ */
+export async function POST(request) {
+  const { handles, all, dryRun } = await request.json();
+
+  if (!all && (!Array.isArray(handles) || handles.length === 0)) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: handles (a non-empty list) or all'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const result = await publishSpecifications(client, { handles: all ? undefined : handles, dryRun: dryRun === true });
+    const { counts } = result;
+    const message = dryRun
+      ? `Dry run: ${result.results.filter(product => product.changes.length > 0).length} of ${result.results.length} products would change`
+      : `Published ${counts.published} product${counts.published !== 1 ? 's' : ''}, ${counts.unchanged} unchanged, ${counts.failed} failed`;
+
+    return NextResponse.json({ ...result, message });
+  } catch (error) {
+    console.error('Error publishing specification metafields:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
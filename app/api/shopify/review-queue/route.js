@@ -0,0 +1,69 @@
+/**
+ * API Route for the Shopify match review queue
+ *
+ * Lists cleaned submissions without a Shopify product, with the candidates of
+ * their last match attempt, and parks or reopens submissions that have no product.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getShopifyMatchQueue, MATCH_REVIEW_STATUS, setShopifyMatchParked } from '@/lib/shopify-match-queue';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List the queue: ?status=pending (default) or ?status=no_product for parked submissions
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const status = searchParams.get('status') || MATCH_REVIEW_STATUS.PENDING;
+
+  if (![MATCH_REVIEW_STATUS.PENDING, MATCH_REVIEW_STATUS.NO_PRODUCT].includes(status)) {
+    return NextResponse.json({ success: false, message: `Unknown queue status: ${status}` }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const submissions = await getShopifyMatchQueue(client, status);
+    return NextResponse.json({ success: true, submissions });
+  } catch (error) {
+    console.error('Error loading Shopify match queue:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Park or reopen a submission: { submissionId, action: 'park' | 'reopen' }
+ */
+export async function POST(request) {
+  const { submissionId, action } = await request.json();
+
+  if (!submissionId || !['park', 'reopen'].includes(action)) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: submissionId and action (park or reopen)'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const result = await setShopifyMatchParked(client, submissionId, action === 'park');
+    if (!result.success) {
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: action === 'park'
+        ? `Parked submission ${submissionId} as having no Shopify product`
+        : `Returned submission ${submissionId} to the review queue`
+    });
+  } catch (error) {
+    console.error(`Error updating Shopify match review for ${submissionId}:`, error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
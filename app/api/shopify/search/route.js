@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { searchProductsByTitle } from '@/lib/shopify';
+import { scoreShopifyCandidate } from '@/lib/shopify-matcher';
 
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
@@ -15,7 +16,7 @@ export async function GET(request) {
   try {
     const products = await searchProductsByTitle(query);
     
-    // Format the products for the UI
+    // Format the products for the UI, best match for the query first
     const formattedProducts = products.map(product => ({
       id: product.id,
       title: product.title,
@@ -28,8 +29,9 @@ export async function GET(request) {
         title: variant.title,
         price: variant.price,
         sku: variant.sku
-      }))
-    }));
+      })),
+      score: scoreShopifyCandidate(query, product).score
+    })).sort((a, b) => b.score - a.score);
     
     return NextResponse.json({
       success: true,
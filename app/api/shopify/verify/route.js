@@ -0,0 +1,49 @@
+/**
+ * API Route for Shopify handle verification
+ *
+ * Runs the job that follows renamed handles and flags specifications of deleted
+ * or archived products, and reports its last run.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getSyncState } from '@/lib/sync-state';
+import { SHOPIFY_VERIFICATION_SYNC_KEY, verifyShopifyHandles } from '@/lib/shopify-verification';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Last verification run
+ */
+export async function GET() {
+  const client = await db.getClient();
+  try {
+    const state = await getSyncState(client, SHOPIFY_VERIFICATION_SYNC_KEY);
+    return NextResponse.json({ success: true, lastRun: state });
+  } catch (error) {
+    console.error('Error loading Shopify verification state:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Verify every stored handle now
+ */
+export async function POST() {
+  const client = await db.getClient();
+  try {
+    const summary = await verifyShopifyHandles(client);
+    return NextResponse.json({
+      ...summary,
+      message: `Checked ${summary.handlesChecked} handle${summary.handlesChecked !== 1 ? 's' : ''}: ` +
+        `${summary.renamed.length} renamed, ${summary.retractionsQueued} specification${summary.retractionsQueued !== 1 ? 's' : ''} queued for review`
+    });
+  } catch (error) {
+    console.error('Error verifying Shopify handles:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -10,7 +10,7 @@ import db from '@/lib/db';
 import { generateSpecification, _internal } from '@/lib/specification-generator';
 
 // Destructure internal methods for validation
-const { validateSubmission } = _internal;
+const { validateSubmission, addProblemSuggestions } = _internal;
 
 /**
  * Generate a specification for a single submission with detailed error handling
@@ -78,20 +78,15 @@ export async function POST(request) {
       const validationResult = await validateSubmission(client, submission);
       
       if (!validationResult.valid) {
-        // Parse the validation error to provide more structured feedback
-        const errorInfo = parseValidationError(validationResult.reason);
-        
-        // Get suggestions for enum values if appropriate
-        if (errorInfo.enumTable) {
-          errorInfo.suggestions = await getEnumSuggestions(client, errorInfo.enumTable, errorInfo.value);
-        }
+        // Every problem of the submission, with suggestions for unknown values and reviewers
+        const errors = await addProblemSuggestions(client, validationResult.problems);
         
         await client.query('ROLLBACK');
         return NextResponse.json(
           { 
             success: false, 
-            message: `Validation failed: ${validationResult.reason}`,
-            errors: [errorInfo] 
+            message: `Validation failed with ${errors.length} problem${errors.length !== 1 ? 's' : ''}`,
+            errors
           }, 
           { status: 400 }
         );
@@ -146,62 +141,6 @@ export async function POST(request) {
   }
 }
 
-/**
- * Parse validation error messages into structured form
- */
-function parseValidationError(errorMessage) {
-  // Default error structure
-  const errorInfo = {
-    message: errorMessage,
-    field: null,
-    value: null,
-    enumTable: null
-  };
-
-  // Check for missing reviewer
-  if (errorMessage.includes('Missing reviewer')) {
-    errorInfo.field = 'reviewer';
-    return errorInfo;
-  }
-
-  // Check for user not found
-  if (errorMessage.includes('No user found with jotform_name matching reviewer')) {
-    errorInfo.field = 'reviewer';
-    const match = errorMessage.match(/reviewer: (.+)$/);
-    if (match) {
-      errorInfo.value = match[1];
-    }
-    return errorInfo;
-  }
-
-  // Check for enum value not found
-  const enumMatch = errorMessage.match(/Value "([^"]+)" not found in (\w+)/);
-  if (enumMatch) {
-    errorInfo.value = enumMatch[1];
-    errorInfo.enumTable = enumMatch[2];
-    
-    // Map enum table to field name
-    if (enumMatch[2] === 'enum_tobacco_types') {
-      errorInfo.field = 'tobacco';
-    } else if (enumMatch[2] === 'enum_cures') {
-      errorInfo.field = 'cure';
-    } else if (enumMatch[2] === 'enum_tasting_notes') {
-      errorInfo.field = 'tasting_notes';
-    }
-    
-    errorInfo.message = `"${errorInfo.value}" is not a recognized value for ${errorInfo.field}`;
-  }
-
-  // Check for malformed fields
-  const malformedMatch = errorMessage.match(/Field (\w+) contains consecutive/);
-  if (malformedMatch) {
-    errorInfo.field = malformedMatch[1];
-    errorInfo.message = `The ${errorInfo.field} field contains formatting errors`;
-  }
-
-  return errorInfo;
-}
-
 /**
  * Parse generation errors into structured form
  */
@@ -219,24 +158,3 @@ function parseGenerationError(errorMessage) {
 
   return errorInfo;
 }
-
-/**
- * Get suggestions for enum values
- */
-async function getEnumSuggestions(client, enumTable, invalidValue) {
-  try {
-    // Get similar values to suggest
-    const query = `
-      SELECT name 
-      FROM ${enumTable} 
-      ORDER BY name ASC
-      LIMIT 5
-    `;
-    
-    const result = await client.query(query);
-    return result.rows.map(row => row.name);
-  } catch (error) {
-    console.error(`Error getting suggestions for ${enumTable}:`, error);
-    return [];
-  }
-}
@@ -0,0 +1,66 @@
+/**
+ * API Route for reviewing specification retractions
+ *
+ * Lists specifications whose Jotform submission was deleted, archived or flagged,
+ * and lets a reviewer retract (delete) or keep each one.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getSpecificationRetractions, resolveSpecificationRetraction } from '@/lib/jotform-reconcile';
+
+/**
+ * List retractions; pending only unless ?all=true
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const includeResolved = searchParams.get('all') === 'true';
+
+  const client = await db.getClient();
+  try {
+    const retractions = await getSpecificationRetractions(client, { includeResolved });
+    return NextResponse.json({ success: true, retractions });
+  } catch (error) {
+    console.error('Error loading specification retractions:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Resolve a retraction: { id, action: 'retract' | 'keep' }
+ */
+export async function POST(request) {
+  const { id, action } = await request.json();
+
+  if (!id || !action) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: id and action'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const result = await resolveSpecificationRetraction(client, id, action);
+    if (!result.success) {
+      await client.query('ROLLBACK');
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    await client.query('COMMIT');
+    return NextResponse.json({
+      success: true,
+      message: action === 'retract' ? 'Specification retracted' : 'Specification kept'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resolving specification retraction:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -1,5 +1,5 @@
 import db from '@/lib/db';
-import { cleanProductName } from '@/lib/product-title-cleaner';
+import { explainTitleCleaning, refreshCleaningRules } from '@/lib/product-title-cleaner';
 import { STATUS, updateSubmissionStatus, VALID_TRANSITIONS } from '@/lib/submission-status';
 
 /**
@@ -10,6 +10,9 @@ import { STATUS, updateSubmissionStatus, VALID_TRANSITIONS } from '@/lib/submiss
 export async function cleanProductTitles() {
   const client = await db.getClient();
   try {
+    // Pick up rules saved in the editor since the last run
+    await refreshCleaningRules(client);
+
     await client.query('BEGIN');
     
     // Get submissions with product titles that are in the FETCHED state
@@ -47,7 +50,8 @@ export async function cleanProductTitles() {
     // Process each submission and clean its title
     for (const row of result.rows) {
       const { submission_id, select_product, status } = row;
-      const new_cleaned_title = cleanProductName(select_product);
+      const explanation = explainTitleCleaning(select_product);
+      const new_cleaned_title = explanation.cleanedTitle || null;
       
       // Always apply cleaning rules to generate an updated cleaned title
       if (new_cleaned_title) {
@@ -61,10 +65,10 @@ export async function cleanProductTitles() {
         );
         
         if (updateResult.success) {
-          // Also update the cleaned title
+          // Also update the cleaned title and how it was cleaned
           await client.query(
-            'UPDATE jotform SET cleaned_product_title = $1 WHERE submission_id = $2',
-            [new_cleaned_title, submission_id]
+            'UPDATE jotform SET cleaned_product_title = $1, title_cleaning_trace = $2 WHERE submission_id = $3',
+            [new_cleaned_title, JSON.stringify(explanation), submission_id]
           );
           
           cleaned++;
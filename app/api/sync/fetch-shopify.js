@@ -1,5 +1,7 @@
 import db from '@/lib/db';
-import { findMatchingShopifyProduct, saveShopifyProductData } from '@/lib/shopify';
+import { saveShopifyProductData } from '@/lib/shopify';
+import { matchShopifyProductFromCatalog } from '@/lib/shopify-catalog';
+import { MATCH_REVIEW_STATUS, queueShopifyMatchReview, resolveShopifyMatchReview } from '@/lib/shopify-match-queue';
 import { STATUS, updateSubmissionStatus, VALID_TRANSITIONS } from '@/lib/submission-status';
 
 // Configuration for fetch processing
@@ -27,6 +29,10 @@ export async function fetchShopifyData() {
       AND j.status != 'ignore'
       AND j.select_product IS NOT NULL
       AND j.select_product != ''
+      AND NOT EXISTS (
+        SELECT 1 FROM shopify_match_reviews r
+        WHERE r.submission_id = j.submission_id AND r.status = 'no_product'
+      )
     `, validSourceStates);
 
     totalCount = parseInt(countResult.rows[0].total) || 0;
@@ -86,13 +92,17 @@ export async function fetchShopifyData() {
             j.submission_id, 
             j.select_product,
             j.cleaned_product_title,
-            j.artisan as brand_hint,
             j.status
           FROM jotform j
           WHERE j.status IN (${batchStatesPlaceholders})
           AND j.status != 'ignore'
           AND j.select_product IS NOT NULL
           AND j.select_product != ''
+          -- Parked in the review queue as having no Shopify product
+          AND NOT EXISTS (
+            SELECT 1 FROM shopify_match_reviews r
+            WHERE r.submission_id = j.submission_id AND r.status = 'no_product'
+          )
           ORDER BY j.created_at DESC
           LIMIT $${batchValidSourceStates.length + 1} OFFSET $${batchValidSourceStates.length + 2}
         `, batchParams);
@@ -108,7 +118,7 @@ export async function fetchShopifyData() {
       // Process each submission in the batch
       let batchProcessed = 0;
       for (const [index, row] of result.rows.entries()) {
-        const { submission_id, select_product, cleaned_product_title, brand_hint } = row;
+        const { submission_id, select_product, cleaned_product_title } = row;
 
         // Use cleaned title if available, otherwise fallback to original
         const titleToUse = cleaned_product_title || select_product;
@@ -126,7 +136,8 @@ export async function fetchShopifyData() {
           // Store the current status for validation and reporting
           const currentStatus = row.status;
           
-          const product = await findMatchingShopifyProduct(titleToUse, brand_hint);
+          const match = await matchShopifyProductFromCatalog(client, titleToUse);
+          const { product } = match;
           if (product) {
             try {
               // First validate if we can update the status
@@ -153,6 +164,7 @@ export async function fetchShopifyData() {
               
               // Status update succeeded, now save the Shopify product data
               await saveShopifyProductData(submission_id, product, client);
+              await resolveShopifyMatchReview(client, submission_id, MATCH_REVIEW_STATUS.LINKED);
 
               batchProcessed++;
 
@@ -165,12 +177,19 @@ export async function fetchShopifyData() {
               throw updateError; // Rethrow to trigger batch rollback
             }
           } else {
+            // Not confident enough to link automatically; leave the candidates for review
+            await queueShopifyMatchReview(client, submission_id, titleToUse, match);
+
+            const [bestCandidate] = match.candidates;
             unmatched.push({
               submissionId: submission_id,
               productTitle: select_product,
               cleanedTitle: cleaned_product_title || null,
               titleUsed: titleToUse,
-              brandHint: brand_hint || null
+              confidence: match.confidence,
+              bestCandidate: bestCandidate
+                ? { handle: bestCandidate.product.handle, title: bestCandidate.product.title, score: bestCandidate.score }
+                : null
             });
 
             // Log unmatched products for troubleshooting
@@ -260,7 +279,7 @@ export async function fetchShopifyData() {
 
     // Suggestion if there are unmatched products
     if (unmatched.length > 0) {
-      message += 'Try cleaning product titles and running again.';
+      message += 'Review their candidates in the Shopify match queue, or try cleaning product titles and running again.';
     }
 
     // Add duration information to message
@@ -1,17 +1,27 @@
 import { NextResponse } from 'next/server';
-import { fetchNewSubmissions } from '@/app/api/sync/fetch-jotform';
+import { fetchNewSubmissions, fetchSubmissionUpdates, reconcileSubmissions } from '@/app/api/sync/fetch-jotform';
 import { fetchShopifyData } from '@/app/api/sync/fetch-shopify';
 import { cleanProductTitles } from '@/app/api/sync/clean-titles';
+import { refreshShopifyCatalog } from '@/app/api/sync/sync-shopify-catalog';
+import { JOTFORM_QUOTA_ERROR } from '@/lib/jotform-client';
 
 export async function POST(request) {
   try {
-    const { action } = await request.json();
+    const { action, full } = await request.json();
 
 
     if (action === 'fetch') {
       const result = await fetchNewSubmissions();
       return NextResponse.json(result);
     }
+    if (action === 'fetch-updates') {
+      const result = await fetchSubmissionUpdates();
+      return NextResponse.json(result);
+    }
+    if (action === 'reconcile') {
+      const result = await reconcileSubmissions();
+      return NextResponse.json(result);
+    }
     if (action === 'fetch-shopify-data') {
       const result = await fetchShopifyData();
       return NextResponse.json(result);
@@ -22,12 +32,28 @@ export async function POST(request) {
       return NextResponse.json(result);
     }
 
+    if (action === 'sync-shopify-catalog') {
+      const result = await refreshShopifyCatalog({ full: full === true });
+      return NextResponse.json(result);
+    }
+
     return NextResponse.json({
       success: false,
       error: 'Invalid action',
-      validActions: ['fetch', 'fetch-shopify-data', 'clean-titles']
+      validActions: ['fetch', 'fetch-updates', 'reconcile', 'fetch-shopify-data', 'clean-titles', 'sync-shopify-catalog']
     }, { status: 400 });
   } catch (error) {
+    // Tell the UI how many Jotform API calls are left instead of failing generically
+    if (error.code === JOTFORM_QUOTA_ERROR) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          quota: error.quota
+        },
+        { status: 429 }
+      );
+    }
     return NextResponse.json(
       {
         success: false,
@@ -0,0 +1,32 @@
+import db from '@/lib/db';
+import { syncShopifyCatalog } from '@/lib/shopify-catalog';
+
+/**
+ * Refresh the local Shopify product catalog used for matching
+ * Reads the whole catalog on the first run (or with full), otherwise only products updated since the last run
+ *
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.full=false] - Re-read the whole catalog and drop products deleted in Shopify
+ * @returns {Promise<Object>} Sync result for the UI
+ */
+export async function refreshShopifyCatalog({ full = false } = {}) {
+  const client = await db.getClient();
+  try {
+    const summary = await syncShopifyCatalog(client, { full });
+
+    let message = summary.mode === 'full'
+      ? `Synced the full Shopify catalog: ${summary.saved} product${summary.saved !== 1 ? 's' : ''} in ${summary.pagesFetched} page${summary.pagesFetched !== 1 ? 's' : ''}.`
+      : `Refreshed ${summary.saved} Shopify product${summary.saved !== 1 ? 's' : ''} updated since ${summary.since} UTC.`;
+    if (summary.removed > 0) {
+      message += ` Removed ${summary.removed} product${summary.removed !== 1 ? 's' : ''} no longer in Shopify.`;
+    }
+
+    return {
+      success: true,
+      ...summary,
+      message
+    };
+  } finally {
+    client.release();
+  }
+}
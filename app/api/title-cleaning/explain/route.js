@@ -0,0 +1,31 @@
+/**
+ * API Route explaining how a product title is cleaned with the active rules
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { explainTitleCleaning, refreshCleaningRules } from '@/lib/product-title-cleaner';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Explain the cleaning of a title: { title }
+ */
+export async function POST(request) {
+  const { title } = await request.json();
+
+  if (!title) {
+    return NextResponse.json({ success: false, message: 'Missing required parameter: title' }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    await refreshCleaningRules(client);
+    return NextResponse.json({ success: true, explanation: explainTitleCleaning(title) });
+  } catch (error) {
+    console.error('Error explaining title cleaning:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
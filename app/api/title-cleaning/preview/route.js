@@ -0,0 +1,40 @@
+/**
+ * API Route previewing the impact of proposed title cleaning rules
+ *
+ * Nothing is saved: the proposed rules are run over every stored product title
+ * and compared with the rules in use.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { previewCleaningRuleChanges } from '@/lib/title-cleaning-preview';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Preview proposed rules: { rules: { generalRules, exceptions } }
+ */
+export async function POST(request) {
+  const { rules } = await request.json();
+
+  if (!Array.isArray(rules?.generalRules) || !Array.isArray(rules?.exceptions)) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameter: rules with generalRules and exceptions arrays'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    const preview = await previewCleaningRuleChanges(client, rules);
+    return NextResponse.json(preview);
+  } catch (error) {
+    if (error.problems) {
+      return NextResponse.json({ success: false, message: error.message, problems: error.problems }, { status: 400 });
+    }
+    console.error('Error previewing title cleaning rules:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * API Route for product title cleaning rules
+ *
+ * Returns the rules in use (or a saved version) with the version history, and
+ * saves edited rules as a new version that the cleaner uses without a restart.
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import {
+  getActiveCleaningRules,
+  getCleaningRulesVersion,
+  getCleaningRuleVersions,
+  refreshCleaningRules,
+  saveCleaningRules
+} from '@/lib/product-title-cleaner';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get the active rules, or a saved version with ?version=N, and the version history
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const requestedVersion = searchParams.get('version');
+
+  const client = await db.getClient();
+  try {
+    await refreshCleaningRules(client);
+    const active = getActiveCleaningRules();
+    const versions = await getCleaningRuleVersions(client);
+
+    let rules = active.rules;
+    let version = active.version;
+    if (requestedVersion) {
+      version = parseInt(requestedVersion, 10);
+      rules = await getCleaningRulesVersion(client, version);
+      if (!rules) {
+        return NextResponse.json({ success: false, message: `Rules version ${requestedVersion} not found` }, { status: 404 });
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      version,
+      activeVersion: active.version,
+      rules,
+      versions
+    });
+  } catch (error) {
+    console.error('Error loading title cleaning rules:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Save rules as a new version: { rules: { generalRules, exceptions }, note }
+ */
+export async function POST(request) {
+  const { rules, note } = await request.json();
+
+  const client = await db.getClient();
+  try {
+    const saved = await saveCleaningRules(client, rules, note);
+
+    return NextResponse.json({
+      success: true,
+      version: saved.version,
+      message: `Saved title cleaning rules version ${saved.version}`
+    });
+  } catch (error) {
+    if (error.problems) {
+      return NextResponse.json({ success: false, message: error.message, problems: error.problems }, { status: 400 });
+    }
+    console.error('Error saving title cleaning rules:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * API Route for title cleaning rules learned from manual Shopify corrections
+ */
+
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import { getCleaningRuleSuggestions, resolveCleaningRuleSuggestion } from '@/lib/title-rule-suggestions';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * List suggested rules and exceptions, and corrections no suggestion explains
+ */
+export async function GET() {
+  const client = await db.getClient();
+  try {
+    const result = await getCleaningRuleSuggestions(client);
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error loading title cleaning suggestions:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Accept or dismiss a suggestion: { key, action: 'accept' | 'dismiss' }
+ */
+export async function POST(request) {
+  const { key, action } = await request.json();
+
+  if (!key || !action) {
+    return NextResponse.json({
+      success: false,
+      message: 'Missing required parameters: key and action'
+    }, { status: 400 });
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    const result = await resolveCleaningRuleSuggestion(client, key, action);
+    if (!result.success) {
+      await client.query('ROLLBACK');
+      return NextResponse.json({ success: false, message: result.errorMessage }, { status: 400 });
+    }
+
+    await client.query('COMMIT');
+    return NextResponse.json({
+      success: true,
+      version: result.version,
+      message: result.version ? `Saved title cleaning rules version ${result.version}` : 'Suggestion dismissed'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resolving title cleaning suggestion:', error);
+    return NextResponse.json({ success: false, message: error.message }, { status: 500 });
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * API Route for Jotform webhooks
+ * 
+ * Receives Jotform's webhook POST for each new submission and ingests it through
+ * the same formatSubmission/insertSubmissions path as the regular fetch.
+ * Configure the webhook URL in Jotform as:
+ *   https://<host>/api/webhooks/jotform?secret=<JOTFORM_WEBHOOK_SECRET>
+ */
+
+import { NextResponse } from 'next/server';
+import config from '@/config';
+import db from '@/lib/db';
+import { getJotformForm } from '@/lib/jotform-forms';
+import { formatSubmission, insertSubmissions } from '@/lib/jotform-submissions';
+import { verifyWebhookSecret, webhookPayloadToSubmission } from '@/lib/jotform-webhook';
+import { advanceSubmission } from '@/lib/submission-pipeline';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request) {
+  const { webhookSecret, webhookAutoAdvance, timeZone } = config.jotform;
+
+  if (!webhookSecret) {
+    return NextResponse.json(
+      { success: false, message: 'Webhook is disabled: JOTFORM_WEBHOOK_SECRET is not set' },
+      { status: 503 }
+    );
+  }
+
+  const { searchParams } = new URL(request.url);
+  const providedSecret = searchParams.get('secret') || request.headers.get('x-webhook-secret');
+  if (!verifyWebhookSecret(providedSecret, webhookSecret)) {
+    return NextResponse.json({ success: false, message: 'Invalid webhook secret' }, { status: 401 });
+  }
+
+  let submission;
+  try {
+    // Jotform posts multipart/form-data; recorded fixtures may be sent the same way
+    const formData = await request.formData();
+    submission = webhookPayloadToSubmission(Object.fromEntries(formData.entries()), { timeZone });
+  } catch (error) {
+    return NextResponse.json({ success: false, message: `Invalid webhook payload: ${error.message}` }, { status: 400 });
+  }
+
+  // Each configured form can post to the same webhook URL
+  const form = getJotformForm(submission.form_id);
+  if (!form) {
+    return NextResponse.json(
+      { success: false, message: `Webhook is for unknown form ${submission.form_id}` },
+      { status: 400 }
+    );
+  }
+
+  const formatted = formatSubmission(submission, form);
+  if (formatted.invalid) {
+    return NextResponse.json(
+      { success: false, message: `Submission could not be formatted: ${formatted.reason}` },
+      { status: 422 }
+    );
+  }
+
+  let inserted;
+  try {
+    // Idempotent on submission_id: a redelivered webhook inserts nothing
+    const insertResult = await insertSubmissions([formatted]);
+    inserted = insertResult.rowCount > 0;
+  } catch (error) {
+    console.error('Error handling Jotform webhook:', error);
+    return NextResponse.json({ success: false, message: `Error: ${error.message}` }, { status: 500 });
+  }
+
+  // Optionally clean the title and map to Shopify right away. The submission is
+  // already saved, so a failure here leaves it for the regular batch actions.
+  let advance = null;
+  const shouldAdvance = webhookAutoAdvance || searchParams.get('advance') === 'true';
+  if (inserted && shouldAdvance) {
+    const client = await db.getClient();
+    try {
+      advance = await advanceSubmission(client, formatted.submission_id);
+    } catch (error) {
+      console.error(`Error advancing webhook submission ${formatted.submission_id}:`, error);
+      advance = { status: null, error: error.message };
+    } finally {
+      client.release();
+    }
+  }
+
+  return NextResponse.json({
+    success: true,
+    submissionId: formatted.submission_id,
+    duplicate: !inserted,
+    advance,
+    message: inserted
+      ? `Saved submission ${formatted.submission_id}`
+      : `Submission ${formatted.submission_id} already exists`
+  });
+}
@@ -0,0 +1,255 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+// Answers are unique per enum table
+const answerKey = (answer) => `${answer.enumTable}:${answer.value}`;
+
+/**
+ * Enum synonym panel
+ *
+ * Lists answers from pending submissions that match no enum value and maps each
+ * one to a canonical value, or adds it as a new value, so every submission with
+ * that wording validates. Existing synonyms are listed below and can be removed.
+ */
+export default function EnumSynonymPanel() {
+  const [unresolved, setUnresolved] = useState([]);
+  const [synonyms, setSynonyms] = useState([]);
+  const [values, setValues] = useState({});
+  const [tables, setTables] = useState({});
+  const [selectedValues, setSelectedValues] = useState({});
+  const [newNames, setNewNames] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingKey, setPendingKey] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadSynonyms = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/enums/synonyms');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setUnresolved(data.unresolved);
+      setSynonyms(data.synonyms);
+      setValues(data.values);
+      setTables(data.tables);
+
+      // Preselect the closest suggestion and offer the answer itself as a new value
+      setSelectedValues(Object.fromEntries(
+        data.unresolved.map(answer => [answerKey(answer), answer.suggestions[0]?.id || ''])
+      ));
+      setNewNames(Object.fromEntries(data.unresolved.map(answer => [answerKey(answer), answer.value])));
+      setError('');
+    } catch (err) {
+      console.error('Error loading enum synonyms:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSynonyms();
+  }, []);
+
+  const postAction = async (key, body) => {
+    setPendingKey(key);
+    setStatus('');
+    setError('');
+    try {
+      const response = await fetch('/api/enums/synonyms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setStatus(data.message);
+      await loadSynonyms();
+    } catch (err) {
+      console.error(`Error updating enum synonym ${key}:`, err);
+      setError(err.message);
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  const handleMap = (answer) => {
+    const key = answerKey(answer);
+    const enumId = selectedValues[key];
+    if (!enumId) return;
+    postAction(key, { action: 'map', enumTable: answer.enumTable, label: answer.value, enumId: Number(enumId) });
+  };
+
+  const handleCreate = (answer) => {
+    const key = answerKey(answer);
+    const newName = (newNames[key] || '').trim();
+    if (!newName) return;
+    postAction(key, { action: 'create', enumTable: answer.enumTable, label: answer.value, newName });
+  };
+
+  const handleRemove = (synonym) => {
+    if (!confirm(`Remove the synonym "${synonym.label}"? Submissions answering it will fail validation again.`)) {
+      return;
+    }
+    postAction(`synonym:${synonym.id}`, { action: 'remove', id: synonym.id });
+  };
+
+  const inputClass = 'h-8 py-1 px-3 text-sm bg-gray-800 border border-gray-700 rounded text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Unknown Enum Values</h1>
+        <p className="text-gray-400 mb-4">
+          Answers from pending submissions that match no enum value. Map each wording to a value once, or add it as a new value.{' '}
+          <Link href="/enums" className="text-blue-400 hover:underline">Manage enum values</Link>
+          {' · '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Field', 'Answer', 'Submissions', 'Suggestions', 'Map To', 'Or Add As'].map(heading => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {isLoading ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-4 text-center text-gray-400">Loading...</td>
+              </tr>
+            ) : unresolved.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-4 text-center text-gray-400">Every answer matches an enum value</td>
+              </tr>
+            ) : (
+              unresolved.map(answer => {
+                const key = answerKey(answer);
+                return (
+                  <tr key={key} className="hover:bg-gray-800">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{tables[answer.enumTable] || answer.enumTable}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-100">{answer.value}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{answer.submissionCount}</td>
+                    <td className="px-6 py-4 text-sm text-gray-300">
+                      {answer.suggestions.length === 0 ? (
+                        <span className="text-gray-500">No close matches</span>
+                      ) : (
+                        <div className="flex flex-wrap gap-2">
+                          {answer.suggestions.map(suggestion => (
+                            <button
+                              key={suggestion.id}
+                              className="px-2 py-0.5 rounded-full text-xs bg-gray-700 hover:bg-gray-600 text-gray-100"
+                              onClick={() => setSelectedValues(prev => ({ ...prev, [key]: suggestion.id }))}
+                            >
+                              {suggestion.name}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                      <div className="flex gap-2">
+                        <select
+                          value={selectedValues[key] || ''}
+                          onChange={(e) => setSelectedValues(prev => ({ ...prev, [key]: e.target.value }))}
+                          className={inputClass}
+                        >
+                          <option value="">Select a value...</option>
+                          {(values[answer.enumTable] || []).map(value => (
+                            <option key={value.id} value={value.id}>{value.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          className="px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-70"
+                          onClick={() => handleMap(answer)}
+                          disabled={!selectedValues[key] || pendingKey !== null}
+                        >
+                          Map
+                        </button>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={newNames[key] || ''}
+                          onChange={(e) => setNewNames(prev => ({ ...prev, [key]: e.target.value }))}
+                          className={inputClass}
+                        />
+                        <button
+                          className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+                          onClick={() => handleCreate(answer)}
+                          disabled={!(newNames[key] || '').trim() || pendingKey !== null}
+                        >
+                          Add
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h2 className="text-xl font-semibold mb-2 text-gray-100">Synonyms</h2>
+        <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+          <table className="w-full divide-y divide-gray-800">
+            <thead className="bg-gray-800">
+              <tr>
+                {['Field', 'Answer', 'Maps To', ''].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-gray-900 divide-y divide-gray-800">
+              {!isLoading && synonyms.length === 0 ? (
+                <tr>
+                  <td colSpan={4} className="px-6 py-4 text-center text-gray-400">No synonyms yet</td>
+                </tr>
+              ) : (
+                synonyms.map(synonym => (
+                  <tr key={synonym.id} className="hover:bg-gray-800">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{tables[synonym.enumTable] || synonym.enumTable}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-100">{synonym.label}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                      {synonym.name || <span className="text-red-600">Value {synonym.enumId} no longer exists</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                      <button
+                        className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+                        onClick={() => handleRemove(synonym)}
+                        disabled={pendingKey !== null}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
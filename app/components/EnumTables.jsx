@@ -0,0 +1,84 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+/**
+ * Enum tables overview
+ *
+ * Lists the enum tables of specifications with their number of values and
+ * synonyms, each linking to its value editor.
+ */
+export default function EnumTables() {
+  const [tables, setTables] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadTables = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/enums');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setTables(data.tables);
+      setError('');
+    } catch (err) {
+      console.error('Error loading enum tables:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTables();
+  }, []);
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Enum Tables</h1>
+        <p className="text-gray-400 mb-4">
+          Allowed values of specification fields.{' '}
+          <Link href="/enums/synonyms" className="text-blue-400 hover:underline">Unknown enum values</Link>
+          {' · '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Table', 'Values', 'Synonyms'].map(heading => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {isLoading ? (
+              <tr>
+                <td colSpan={3} className="px-6 py-4 text-center text-gray-400">Loading...</td>
+              </tr>
+            ) : (
+              tables.map(table => (
+                <tr key={table.enumTable} className="hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <Link href={`/enums/${table.enumTable}`} className="text-blue-400 hover:underline">{table.label}</Link>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{table.valueCount}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{table.synonymCount}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
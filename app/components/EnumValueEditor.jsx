@@ -0,0 +1,241 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+/**
+ * Enum value editor
+ *
+ * Lists the values of one enum table with how many specifications use each and
+ * their synonyms. Values can be added, renamed, merged into another value (which
+ * repoints every specification using them) or deleted when nothing uses them.
+ */
+export default function EnumValueEditor({ table }) {
+  const [label, setLabel] = useState(table);
+  const [values, setValues] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isPending, setIsPending] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadValues = async (enumTable) => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/enums/${encodeURIComponent(enumTable)}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setLabel(data.label);
+      setValues(data.values);
+      setError('');
+    } catch (err) {
+      console.error(`Error loading values of ${enumTable}:`, err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadValues(table);
+  }, [table]);
+
+  const postAction = async (body) => {
+    setIsPending(true);
+    setStatus('');
+    setError('');
+    try {
+      const response = await fetch(`/api/enums/${encodeURIComponent(table)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setStatus(data.message);
+      await loadValues(table);
+      return true;
+    } catch (err) {
+      console.error(`Error updating ${table}:`, err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+    if (await postAction({ action: 'create', name: newName.trim() })) {
+      setNewName('');
+    }
+  };
+
+  const handleRename = async (value) => {
+    if (!editName.trim()) return;
+    if (await postAction({ action: 'rename', id: value.id, name: editName.trim() })) {
+      setEditingId(null);
+    }
+  };
+
+  const handleMerge = (value) => {
+    const targetId = Number(mergeTargets[value.id]);
+    const target = values.find(candidate => candidate.id === targetId);
+    if (!target) return;
+
+    if (!confirm(`Merge "${value.name}" into "${target.name}"? ${value.usageCount} specification${value.usageCount !== 1 ? 's' : ''} will be repointed and "${value.name}" deleted.`)) {
+      return;
+    }
+    postAction({ action: 'merge', id: value.id, targetId });
+  };
+
+  const handleDelete = (value) => {
+    if (!confirm(`Delete "${value.name}"?`)) {
+      return;
+    }
+    postAction({ action: 'delete', id: value.id });
+  };
+
+  const inputClass = 'h-8 py-1 px-3 text-sm bg-gray-800 border border-gray-700 rounded text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+  const buttonClass = 'px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70';
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">{label}</h1>
+        <p className="text-gray-400 mb-4">
+          Renaming keeps the old name as a synonym. Merging repoints every specification to the kept value. Values in use cannot be deleted.{' '}
+          <Link href="/enums" className="text-blue-400 hover:underline">All enum tables</Link>
+          {' · '}
+          <Link href="/enums/synonyms" className="text-blue-400 hover:underline">Unknown enum values</Link>
+        </p>
+        <div className="flex gap-2 mb-2">
+          <input
+            type="text"
+            placeholder="New value"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+            className={inputClass}
+          />
+          <button
+            className="px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-70"
+            onClick={handleCreate}
+            disabled={!newName.trim() || isPending}
+          >
+            Add
+          </button>
+        </div>
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Name', 'Specifications', 'Synonyms', 'Merge Into', ''].map(heading => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {isLoading ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-4 text-center text-gray-400">Loading...</td>
+              </tr>
+            ) : values.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-6 py-4 text-center text-gray-400">No values</td>
+              </tr>
+            ) : (
+              values.map(value => (
+                <tr key={value.id} className="hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-100">
+                    {editingId === value.id ? (
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={editName}
+                          onChange={(e) => setEditName(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && handleRename(value)}
+                          className={inputClass}
+                        />
+                        <button className={buttonClass} onClick={() => handleRename(value)} disabled={isPending}>Save</button>
+                        <button className={buttonClass} onClick={() => setEditingId(null)} disabled={isPending}>Cancel</button>
+                      </div>
+                    ) : value.name}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{value.usageCount}</td>
+                  <td className="px-6 py-4 text-sm text-gray-300">
+                    {value.synonyms.length === 0 ? (
+                      <span className="text-gray-500">None</span>
+                    ) : (
+                      <div className="flex flex-wrap gap-1">
+                        {value.synonyms.map(synonym => (
+                          <span key={synonym} className="px-2 py-0.5 rounded-full text-xs bg-gray-800 text-gray-300">{synonym}</span>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    <div className="flex gap-2">
+                      <select
+                        value={mergeTargets[value.id] || ''}
+                        onChange={(e) => setMergeTargets(prev => ({ ...prev, [value.id]: e.target.value }))}
+                        className={inputClass}
+                      >
+                        <option value="">Select a value...</option>
+                        {values.filter(candidate => candidate.id !== value.id).map(candidate => (
+                          <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+                        ))}
+                      </select>
+                      <button
+                        className={buttonClass}
+                        onClick={() => handleMerge(value)}
+                        disabled={!mergeTargets[value.id] || isPending}
+                      >
+                        Merge
+                      </button>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                    <div className="flex gap-2 justify-end">
+                      <button
+                        className={buttonClass}
+                        onClick={() => {
+                          setEditingId(value.id);
+                          setEditName(value.name);
+                        }}
+                        disabled={isPending || editingId === value.id}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        className="px-3 py-1 rounded text-white text-xs bg-red-700 hover:bg-red-600 disabled:opacity-50"
+                        onClick={() => handleDelete(value)}
+                        disabled={isPending || value.usageCount > 0}
+                        title={value.usageCount > 0 ? 'In use; merge it into another value instead' : undefined}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 'use client';
 
+import Link from 'next/link';
 import { Fragment, useState } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
 import { XMarkIcon } from '@heroicons/react/24/outline';
@@ -66,32 +67,52 @@ export default function FailedSubmissionsModal({ isOpen, onClose, failedSubmissi
                             <h4 className="font-medium text-gray-900">{submission.title || submission.id}</h4>
                             <p className="text-red-600 mt-1">{submission.error}</p>
                             
-                            {submission.errorInfo && (
-                              <div className="mt-2">
-                                {submission.errorInfo.field && (
+                            {(submission.errors || []).map((errorInfo, errorIndex) => (
+                              <div key={errorIndex} className="mt-2">
+                                {submission.errors.length > 1 && (
+                                  <p className="text-sm text-red-600">{errorInfo.message}</p>
+                                )}
+
+                                {errorInfo.field && (
                                   <p className="text-sm text-gray-600">
-                                    <span className="font-medium">Field:</span> {submission.errorInfo.field}
+                                    <span className="font-medium">Field:</span> {errorInfo.field}
                                   </p>
                                 )}
                                 
-                                {submission.errorInfo.value && (
+                                {errorInfo.value && (
                                   <p className="text-sm text-gray-600">
-                                    <span className="font-medium">Invalid value:</span> {submission.errorInfo.value}
+                                    <span className="font-medium">Invalid value:</span> {errorInfo.value}
                                   </p>
                                 )}
                                 
-                                {submission.errorInfo.suggestions && submission.errorInfo.suggestions.length > 0 && (
+                                {errorInfo.suggestions && errorInfo.suggestions.length > 0 && (
                                   <div className="mt-2">
                                     <p className="text-sm font-medium text-gray-600">Suggestions:</p>
                                     <ul className="mt-1 text-sm text-gray-600 list-disc ml-5">
-                                      {submission.errorInfo.suggestions.map((suggestion, index) => (
+                                      {errorInfo.suggestions.map((suggestion, index) => (
                                         <li key={index}>{suggestion}</li>
                                       ))}
                                     </ul>
                                   </div>
                                 )}
+                                
+                                {errorInfo.field === 'reviewer' && errorInfo.value && (
+                                  <p className="mt-2 text-sm">
+                                    <Link href="/reviewers" className="text-indigo-600 hover:underline">
+                                      Link this reviewer to a user
+                                    </Link>
+                                  </p>
+                                )}
+
+                                {errorInfo.enumTable && errorInfo.value && (
+                                  <p className="mt-2 text-sm">
+                                    <Link href="/enums/synonyms" className="text-indigo-600 hover:underline">
+                                      Map this value to an enum value
+                                    </Link>
+                                  </p>
+                                )}
                               </div>
-                            )}
+                            ))}
                           </div>
                         ))}
                       </div>
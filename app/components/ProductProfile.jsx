@@ -0,0 +1,157 @@
+'use client';
+
+import Image from 'next/image';
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+// Single-choice fields shown with their consensus and how often each value was chosen
+const CHOICE_FIELDS = [
+  { key: 'productType', label: 'Product type' },
+  { key: 'productBrand', label: 'Brand' },
+  { key: 'grind', label: 'Grind' },
+  { key: 'moistureLevel', label: 'Moisture' },
+  { key: 'nicotineLevel', label: 'Nicotine' },
+  { key: 'experienceLevel', label: 'Experience level' }
+];
+
+// Multi-choice fields, every value listed most often chosen first
+const LIST_FIELDS = [
+  { key: 'tobaccoTypes', label: 'Tobacco types' },
+  { key: 'cures', label: 'Cures' },
+  { key: 'tastingNotes', label: 'Tasting notes' }
+];
+
+/**
+ * Product profile
+ *
+ * Shows the consensus of every review of one Shopify product: the most common
+ * answer of each field with the full spread of answers, the average star rating
+ * with rating boosts applied, and the reviews it was built from.
+ */
+export default function ProductProfile({ handle }) {
+  const [profile, setProfile] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        setIsLoading(true);
+        const response = await fetch(`/api/products/${encodeURIComponent(handle)}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || `Request failed with status ${response.status}`);
+        }
+        setProfile(data.profile);
+        setError('');
+      } catch (err) {
+        console.error(`Error loading product profile for ${handle}:`, err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadProfile();
+  }, [handle]);
+
+  const formatRating = (rating) => (rating === null ? 'Not rated' : `${rating.toFixed(1)} / 5`);
+
+  const renderFrequencies = (frequencies, reviewCount) => (
+    <div className="flex flex-wrap gap-1">
+      {frequencies.map(({ name, count }) => (
+        <span key={name} className="px-2 py-0.5 rounded bg-gray-800 text-xs text-gray-300">
+          {name} <span className="text-gray-500">{count}/{reviewCount}</span>
+        </span>
+      ))}
+    </div>
+  );
+
+  if (isLoading) {
+    return <div className="text-center text-gray-400">Loading...</div>;
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="space-y-2">
+        <div className="text-sm text-red-600">{error || 'Product not found'}</div>
+        <Link href="/" className="text-blue-400 hover:underline text-sm">Back to submissions</Link>
+      </div>
+    );
+  }
+
+  const { summary, product, frequencies, unboostedStarRating, reviews } = profile;
+  const flags = [
+    summary.fermented && 'Fermented',
+    summary.oralTobacco && 'Oral tobacco',
+    summary.artisan && 'Artisan'
+  ].filter(Boolean);
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="flex gap-4 items-start">
+        {product?.image && (
+          <Image src={product.image} alt={product.title} width={128} height={128} className="w-32 h-32 object-contain bg-white rounded" />
+        )}
+        <div>
+          <h1 className="text-3xl font-bold mb-2 text-gray-100">{product?.title || handle}</h1>
+          <p className="text-gray-400 mb-2">
+            {handle}
+            {product?.vendor && ` · ${product.vendor}`}
+            {product?.status && product.status !== 'ACTIVE' && ` · ${product.status.toLowerCase()} in Shopify`}
+            {' · '}
+            <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+          </p>
+          <div className="text-gray-200">
+            {formatRating(summary.starRating)}
+            <span className="text-sm text-gray-400">
+              {' '}from {summary.ratingCount} rating{summary.ratingCount !== 1 ? 's' : ''}, {summary.specificationCount} review{summary.specificationCount !== 1 ? 's' : ''}
+              {unboostedStarRating !== null && unboostedStarRating !== summary.starRating && ` (${unboostedStarRating.toFixed(1)} without rating boosts)`}
+            </span>
+          </div>
+          {flags.length > 0 && <div className="text-sm text-gray-300">{flags.join(' · ')}</div>}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-gray-800">
+        <table className="min-w-full divide-y divide-gray-800">
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {CHOICE_FIELDS.map(({ key, label }) => (
+              <tr key={key}>
+                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-400">{label}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-100">{summary[key] || '—'}</td>
+                <td className="px-4 py-2 text-sm">{renderFrequencies(frequencies[key], summary.specificationCount)}</td>
+              </tr>
+            ))}
+            {LIST_FIELDS.map(({ key, label }) => (
+              <tr key={key}>
+                <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-400">{label}</td>
+                <td className="px-4 py-2 text-sm" colSpan={2}>
+                  {frequencies[key].length === 0
+                    ? <span className="text-gray-500">None</span>
+                    : renderFrequencies(frequencies[key], summary.specificationCount)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-2">
+        <h2 className="text-xl font-semibold text-gray-100">Reviews</h2>
+        {reviews.map(review => (
+          <div key={review.specificationId} className="p-3 rounded-lg border border-gray-800 bg-gray-900">
+            <div className="text-xs text-gray-400 mb-1">
+              {review.reviewer || 'Unknown reviewer'} · {review.submissionId || `specification ${review.specificationId}`}
+              {' · '}
+              {review.boostedRating === null
+                ? 'Not rated'
+                : `${review.boostedRating} / 5${review.ratingBoost ? ` (${review.starRating} ${review.ratingBoost > 0 ? '+' : '−'} ${Math.abs(review.ratingBoost)} boost)` : ''}`}
+            </div>
+            <div className="text-sm text-gray-200 whitespace-pre-line">{review.review || 'No review text'}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
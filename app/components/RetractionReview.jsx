@@ -0,0 +1,150 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+/**
+ * Retraction review component
+ *
+ * Lists specifications whose Jotform submission was deleted, archived or flagged
+ * and lets the reviewer retract or keep each one.
+ */
+export default function RetractionReview() {
+  const [retractions, setRetractions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingId, setPendingId] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadRetractions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/specifications/retractions');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setRetractions(data.retractions);
+      setError('');
+    } catch (err) {
+      console.error('Error loading retractions:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRetractions();
+  }, []);
+
+  const handleResolve = async (id, action) => {
+    if (action === 'retract' && !confirm('Delete this specification? This cannot be undone.')) {
+      return;
+    }
+
+    setPendingId(id);
+    setStatus('');
+    setError('');
+    try {
+      const response = await fetch('/api/specifications/retractions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, action })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setStatus(data.message);
+      await loadRetractions();
+    } catch (err) {
+      console.error(`Error resolving retraction ${id}:`, err);
+      setError(err.message);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleString();
+  };
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Specifications to Retract</h1>
+        <p className="text-gray-400 mb-4">
+          These specifications come from submissions that were deleted, archived or flagged in Jotform.{' '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Submission', 'Reviewer', 'Product', 'Reason', 'Detected', 'Actions'].map(heading => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {isLoading ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-4 text-center text-gray-400">Loading...</td>
+              </tr>
+            ) : retractions.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-4 text-center text-gray-400">No specifications awaiting review</td>
+              </tr>
+            ) : (
+              retractions.map((retraction) => (
+                <tr key={retraction.id} className="hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-100">
+                    {retraction.submission_id}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    {retraction.reviewer || 'Unknown'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    {retraction.shopify_handle || retraction.select_product || 'Unknown'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    {retraction.reason}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    {formatDate(retraction.detected_at)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    <div className="flex gap-2">
+                      <button
+                        className="px-3 py-1 rounded text-white text-xs bg-red-600 hover:bg-red-700 disabled:opacity-70"
+                        onClick={() => handleResolve(retraction.id, 'retract')}
+                        disabled={pendingId === retraction.id || !retraction.specification_exists}
+                      >
+                        Retract
+                      </button>
+                      <button
+                        className="px-3 py-1 rounded text-white text-xs bg-gray-600 hover:bg-gray-700 disabled:opacity-70"
+                        onClick={() => handleResolve(retraction.id, 'keep')}
+                        disabled={pendingId === retraction.id}
+                      >
+                        Keep
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+/**
+ * Reviewer alias panel
+ *
+ * Lists reviewer names from pending submissions that match no user and links
+ * each one to an existing user, so all of that reviewer's submissions validate.
+ */
+export default function ReviewerAliasPanel() {
+  const [reviewers, setReviewers] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [selectedUsers, setSelectedUsers] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingReviewer, setPendingReviewer] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadReviewers = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/reviewers');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setReviewers(data.reviewers);
+      setUsers(data.users);
+
+      // Preselect the closest suggestion for each reviewer
+      setSelectedUsers(Object.fromEntries(
+        data.reviewers.map(reviewer => [reviewer.reviewer, reviewer.suggestions[0]?.userId || ''])
+      ));
+      setError('');
+    } catch (err) {
+      console.error('Error loading reviewers:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReviewers();
+  }, []);
+
+  const handleLink = async (reviewer) => {
+    const userId = selectedUsers[reviewer];
+    if (!userId) return;
+
+    setPendingReviewer(reviewer);
+    setStatus('');
+    setError('');
+    try {
+      const response = await fetch('/api/reviewers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reviewer, userId })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setStatus(data.message);
+      await loadReviewers();
+    } catch (err) {
+      console.error(`Error linking reviewer ${reviewer}:`, err);
+      setError(err.message);
+    } finally {
+      setPendingReviewer(null);
+    }
+  };
+
+  const userLabel = (user) => {
+    const name = user.name || user.email;
+    return user.jotform_name ? `${name} (${user.jotform_name})` : name;
+  };
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Unknown Reviewers</h1>
+        <p className="text-gray-400 mb-4">
+          Reviewer names from pending submissions that match no user. Link each name to a user once.{' '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Reviewer', 'Submissions', 'Suggestions', 'Link To'].map(heading => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {isLoading ? (
+              <tr>
+                <td colSpan={4} className="px-6 py-4 text-center text-gray-400">Loading...</td>
+              </tr>
+            ) : reviewers.length === 0 ? (
+              <tr>
+                <td colSpan={4} className="px-6 py-4 text-center text-gray-400">Every reviewer matches a user</td>
+              </tr>
+            ) : (
+              reviewers.map(({ reviewer, submissionCount, suggestions }) => (
+                <tr key={reviewer} className="hover:bg-gray-800">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-100">{reviewer}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">{submissionCount}</td>
+                  <td className="px-6 py-4 text-sm text-gray-300">
+                    {suggestions.length === 0 ? (
+                      <span className="text-gray-500">No close matches</span>
+                    ) : (
+                      <div className="flex flex-wrap gap-2">
+                        {suggestions.map(suggestion => (
+                          <button
+                            key={suggestion.userId}
+                            className="px-2 py-0.5 rounded-full text-xs bg-gray-700 hover:bg-gray-600 text-gray-100"
+                            onClick={() => setSelectedUsers(prev => ({ ...prev, [reviewer]: suggestion.userId }))}
+                            title={`Matched "${suggestion.matchedOn}" (${suggestion.distance} edit${suggestion.distance !== 1 ? 's' : ''})`}
+                          >
+                            {suggestion.name || suggestion.email}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
+                    <div className="flex gap-2">
+                      <select
+                        value={selectedUsers[reviewer] || ''}
+                        onChange={(e) => setSelectedUsers(prev => ({ ...prev, [reviewer]: e.target.value }))}
+                        className="h-8 py-1 px-3 text-sm bg-gray-800 border border-gray-700 rounded text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      >
+                        <option value="">Select a user...</option>
+                        {users.map(user => (
+                          <option key={user.id} value={user.id}>{userLabel(user)}</option>
+                        ))}
+                      </select>
+                      <button
+                        className="px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-70"
+                        onClick={() => handleLink(reviewer)}
+                        disabled={!selectedUsers[reviewer] || pendingReviewer === reviewer}
+                      >
+                        Link
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+'use client';
+
+import Image from 'next/image';
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+/**
+ * Shopify match review queue
+ *
+ * Lists cleaned submissions that could not be linked to a Shopify product
+ * automatically, with candidate products side by side. A candidate can be linked
+ * in one click, the catalog searched again with another query, or the submission
+ * parked when no product exists.
+ */
+export default function ShopifyMatchReview() {
+  const [view, setView] = useState('pending');
+  const [submissions, setSubmissions] = useState([]);
+  const [searchResults, setSearchResults] = useState({});
+  const [queries, setQueries] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingId, setPendingId] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadQueue = async (queueView) => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/shopify/review-queue?status=${queueView === 'parked' ? 'no_product' : 'pending'}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setSubmissions(data.submissions);
+      setQueries(Object.fromEntries(data.submissions.map(submission => [submission.submissionId, submission.searchedTitle])));
+      setSearchResults({});
+      setError('');
+    } catch (err) {
+      console.error('Error loading Shopify match queue:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue('pending');
+  }, []);
+
+  const switchView = (queueView) => {
+    setView(queueView);
+    loadQueue(queueView);
+  };
+
+  const handleSearch = async (submissionId) => {
+    const query = (queries[submissionId] || '').trim();
+    if (!query) return;
+
+    setPendingId(submissionId);
+    setError('');
+    try {
+      const response = await fetch(`/api/shopify/search?query=${encodeURIComponent(query)}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.details || data.error || `Request failed with status ${response.status}`);
+      }
+      setSearchResults(previous => ({ ...previous, [submissionId]: data.products }));
+    } catch (err) {
+      console.error(`Error searching Shopify for ${submissionId}:`, err);
+      setError(err.message);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const postAction = async (submissionId, url, body) => {
+    setPendingId(submissionId);
+    setStatus('');
+    setError('');
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setStatus(data.message);
+      // Drop the submission without reloading, so search results of the others stay
+      setSubmissions(previous => previous.filter(submission => submission.submissionId !== submissionId));
+    } catch (err) {
+      console.error(`Error updating submission ${submissionId}:`, err);
+      setError(err.message);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleLink = (submissionId, handle) =>
+    postAction(submissionId, '/api/shopify/link', { submissionId, handle });
+
+  const handlePark = (submissionId, action) =>
+    postAction(submissionId, '/api/shopify/review-queue', { submissionId, action });
+
+  const renderCandidate = (submissionId, candidate) => (
+    <div key={candidate.handle} className="w-48 flex-shrink-0 p-2 rounded border border-gray-700 bg-gray-800 flex flex-col gap-1">
+      {candidate.image ? (
+        <Image src={candidate.image} alt={candidate.title} width={176} height={128} className="w-full h-32 object-contain bg-white rounded" />
+      ) : (
+        <div className="w-full h-32 flex items-center justify-center rounded bg-gray-700 text-xs text-gray-400">No image</div>
+      )}
+      <div className="text-sm text-gray-100">{candidate.title}</div>
+      <div className="text-xs text-gray-400">{candidate.vendor || 'No vendor'} · {candidate.productType || 'No type'}</div>
+      {typeof candidate.score === 'number' && (
+        <div className="text-xs text-gray-500">Score {candidate.score.toFixed(2)}</div>
+      )}
+      <button
+        className="mt-auto px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-70"
+        onClick={() => handleLink(submissionId, candidate.handle)}
+        disabled={pendingId !== null}
+      >
+        Link this product
+      </button>
+    </div>
+  );
+
+  const tabClass = (tab) => `px-3 py-1 rounded text-sm ${view === tab ? 'bg-gray-700 text-gray-100' : 'text-gray-400 hover:text-gray-200'}`;
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Shopify Match Review</h1>
+        <p className="text-gray-400 mb-4">
+          Cleaned submissions that could not be linked to a Shopify product automatically.
+          Linking a product different from the cleaned title also teaches the title cleaning rules.{' '}
+          <Link href="/title-cleaning/suggestions" className="text-blue-400 hover:underline">Suggested cleaning rules</Link>
+          {' · '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        <div className="flex gap-2 mb-2">
+          <button className={tabClass('pending')} onClick={() => switchView('pending')}>Needs a product</button>
+          <button className={tabClass('parked')} onClick={() => switchView('parked')}>No product exists</button>
+        </div>
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      {isLoading ? (
+        <div className="text-center text-gray-400">Loading...</div>
+      ) : submissions.length === 0 ? (
+        <div className="text-center text-gray-400">{view === 'parked' ? 'No parked submissions' : 'Nothing to review'}</div>
+      ) : (
+        <div className="space-y-3">
+          {submissions.map(submission => {
+            const candidates = searchResults[submission.submissionId] || submission.candidates;
+            return (
+              <div key={submission.submissionId} className="p-4 rounded-lg border border-gray-800 bg-gray-900 space-y-3">
+                <div className="flex justify-between items-start gap-4">
+                  <div className="text-sm text-gray-300">
+                    <div className="text-gray-100 font-medium">{submission.cleanedTitle || submission.productTitle}</div>
+                    <div className="text-xs text-gray-400">
+                      Submitted as &quot;{submission.productTitle}&quot;
+                      {submission.reviewer && ` by ${submission.reviewer}`} · {submission.submissionId}
+                      {submission.confidence !== null && ` · best score ${submission.confidence.toFixed(2)}`}
+                    </div>
+                  </div>
+                  {view === 'parked' ? (
+                    <button
+                      className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+                      onClick={() => handlePark(submission.submissionId, 'reopen')}
+                      disabled={pendingId !== null}
+                    >
+                      Reopen
+                    </button>
+                  ) : (
+                    <button
+                      className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+                      onClick={() => handlePark(submission.submissionId, 'park')}
+                      disabled={pendingId !== null}
+                    >
+                      No product exists
+                    </button>
+                  )}
+                </div>
+
+                {view === 'pending' && (
+                  <>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        className="flex-1 px-2 py-1 rounded bg-gray-800 border border-gray-700 text-sm text-gray-100"
+                        value={queries[submission.submissionId] || ''}
+                        onChange={(e) => setQueries(previous => ({ ...previous, [submission.submissionId]: e.target.value }))}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSearch(submission.submissionId)}
+                      />
+                      <button
+                        className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+                        onClick={() => handleSearch(submission.submissionId)}
+                        disabled={pendingId !== null}
+                      >
+                        {pendingId === submission.submissionId ? 'Searching...' : 'Search Shopify'}
+                      </button>
+                    </div>
+                    {candidates.length === 0 ? (
+                      <div className="text-xs text-gray-500">No candidates; search Shopify with another title.</div>
+                    ) : (
+                      <div className="flex gap-3 overflow-x-auto pb-1">
+                        {candidates.map(candidate => renderCandidate(submission.submissionId, candidate))}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 'use client';
 
+import Link from 'next/link';
 import { useState } from 'react';
 
 /**
@@ -127,6 +128,16 @@ export default function SpecificationButton({ submissionId, onComplete }) {
                                   </ul>
                                 </div>
                               )}
+                              {error.field === 'reviewer' && error.value && (
+                                <Link href="/reviewers" className="text-blue-400 hover:underline mt-2">
+                                  Link this reviewer to a user
+                                </Link>
+                              )}
+                              {error.enumTable && error.value && (
+                                <Link href="/enums/synonyms" className="text-blue-400 hover:underline mt-2">
+                                  Map this value to an enum value
+                                </Link>
+                              )}
                             </div>
                           </li>
                         ))}
@@ -1,21 +1,24 @@
 'use client';
 
+import Link from 'next/link';
 import { STATUS } from '@/lib/submission-status';
 import { useEffect, useMemo, useState } from 'react';
 import ReplayButton from '@/app/components/ReplayButton';
 import StatusBadge from '@/app/components/StatusBadge';
 import SpecificationButton from '@/app/components/SpecificationButton';
+import TitleCleaningTrace from '@/app/components/TitleCleaningTrace';
 
 /**
  * Table component to display submissions
  */
 
-export default function SubmissionTable({ submissions, statusCounts, timestamp, lastFetchedTimestamp, error, activeStatus, onStatusChange, onRefresh }) {
+export default function SubmissionTable({ submissions, statusCounts, timestamp, lastFetchedTimestamp, forms, error, activeStatus, onStatusChange, onRefresh }) {
   const [sortField, setSortField] = useState('created_at');
   const [sortDirection, setSortDirection] = useState('desc');
   const [searchQuery, setSearchQuery] = useState('');
   // Use activeStatus from props if provided, otherwise default to 'all'
   const [statusFilter, setStatusFilterInternal] = useState(activeStatus || 'all');
+  const [formFilter, setFormFilter] = useState('all');
 
   // Wrapper function for status filter changes
   const setStatusFilter = (newStatus) => {
@@ -58,6 +61,10 @@ export default function SubmissionTable({ submissions, statusCounts, timestamp,
         return status === statusFilter;
       });
     }
+    // Apply form filter
+    if (formFilter && formFilter !== 'all') {
+      filtered = filtered.filter(submission => submission.form_id === formFilter);
+    }
     // Apply search filter if there's a query
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase().trim();
@@ -73,7 +80,7 @@ export default function SubmissionTable({ submissions, statusCounts, timestamp,
       });
     }
     return filtered;
-  }, [submissions, searchQuery, statusFilter]);
+  }, [submissions, searchQuery, statusFilter, formFilter]);
 
 
 
@@ -166,6 +173,33 @@ export default function SubmissionTable({ submissions, statusCounts, timestamp,
             />
           </div>
 
+          {/* Form Filter Dropdown (only when several forms are configured) */}
+          {forms?.length > 1 && (
+            <div className="relative w-[180px]">
+              <select
+                value={formFilter}
+                onChange={(e) => setFormFilter(e.target.value)}
+                className="block w-full h-8 py-1 px-3 pr-8 text-sm bg-gray-800 border border-gray-700 rounded text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                style={{
+                  WebkitAppearance: 'none',
+                  MozAppearance: 'none',
+                  appearance: 'none',
+                  backgroundImage: 'none'
+                }}
+              >
+                <option value="all">All Forms</option>
+                {forms.map(form => (
+                  <option key={form.formId} value={form.formId}>{form.label}</option>
+                ))}
+              </select>
+              <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-300">
+                <svg className="w-4 h-4 fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20">
+                  <path d="M7 10l5 5 5-5H7z" />
+                </svg>
+              </div>
+            </div>
+          )}
+
           {/* Status Filter Dropdown */}
           <div className="relative w-[180px]">
             <select
@@ -282,7 +316,11 @@ export default function SubmissionTable({ submissions, statusCounts, timestamp,
                     {submission.reviewer || 'Unknown'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
-                    {(submission.status === 'shopify_mapped' || submission.status === 'specification_generated')
+                    {submission.status === STATUS.SPECIFICATION_GENERATED && submission.shopify_handle ? (
+                      <Link href={`/products/${encodeURIComponent(submission.shopify_handle)}`} className="text-blue-400 hover:underline">
+                        {submission.shopify_handle}
+                      </Link>
+                    ) : (submission.status === 'shopify_mapped' || submission.status === 'specification_generated')
                       ? (submission.shopify_handle || 'No handle')
                       : (submission.select_product || 'Unknown')}
                   </td>
@@ -292,6 +330,9 @@ export default function SubmissionTable({ submissions, statusCounts, timestamp,
                       : (submission.status === 'shopify_mapped' || submission.status === 'specification_generated')
                         ? (submission.shopify_title || 'No Shopify title')
                         : (submission.cleaned_product_title || 'Not cleaned yet')}
+                    {submission.status === STATUS.TITLE_CLEANED && (
+                      <TitleCleaningTrace trace={submission.title_cleaning_trace} />
+                    )}
                   </td>
 
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-300">
@@ -1,16 +1,18 @@
 'use client';
 
+import Link from 'next/link';
 import { useState } from 'react';
 import { loadAllSubmissions } from '@/app/actions';
 import SubmissionTable from './SubmissionTable';
 import SyncControls from './SyncControls';
 
-export default function SubmissionsContainer({ initialSubmissions, initialTimestamp, initialLastFetchedTimestamp, initialError, initialStatusCounts }) {
+export default function SubmissionsContainer({ initialSubmissions, initialTimestamp, initialLastFetchedTimestamp, initialForms, initialError, initialStatusCounts }) {
   const [submissions, setSubmissions] = useState(initialSubmissions);
   const [timestamp, setTimestamp] = useState(initialTimestamp);
   const [lastFetchedTimestamp, setLastFetchedTimestamp] = useState(initialLastFetchedTimestamp);
   const [error, setError] = useState(initialError);
   const [statusCounts, setStatusCounts] = useState(initialStatusCounts || { total: 0 });
+  const [forms, setForms] = useState(initialForms || []);
   const [isLoading, setIsLoading] = useState(false);
   const [activeStatus, setActiveStatus] = useState('all'); // Track active status filter
 
@@ -27,6 +29,7 @@ export default function SubmissionsContainer({ initialSubmissions, initialTimest
       setLastFetchedTimestamp(newData.lastFetchedTimestamp);
       
       setStatusCounts(newData.statusCounts || { total: 0 });
+      setForms(newData.forms || []);
       setError(newData.error);
     } catch (err) {
       console.error('Error loading data:', err);
@@ -40,7 +43,7 @@ export default function SubmissionsContainer({ initialSubmissions, initialTimest
   // Handle sync completion
   const handleSyncComplete = async (action, result) => {
     // Refresh the data after specific sync operations
-    if (['fetch', 'fetch-shopify-data', 'clean-titles', 'generate-specifications'].includes(action)) {
+    if (['fetch', 'fetch-updates', 'reconcile', 'fetch-shopify-data', 'clean-titles', 'generate-specifications'].includes(action)) {
       await loadData();
       
       // Only update the status filter if all submissions in the previous state were processed
@@ -93,7 +96,20 @@ export default function SubmissionsContainer({ initialSubmissions, initialTimest
     <div className="w-full space-y-8">
       <div>
         <h1 className="text-3xl font-bold mb-2 text-gray-100">Jotform to Spec Builder Sync</h1>
-        <p className="text-gray-400 mb-4">Convert Jotform submissions to Spec Builder specifications</p>
+        <p className="text-gray-400 mb-4">
+          Convert Jotform submissions to Spec Builder specifications.{' '}
+          <Link href="/specifications/retractions" className="text-blue-400 hover:underline">Review specifications to retract</Link>
+          {' · '}
+          <Link href="/reviewers" className="text-blue-400 hover:underline">Resolve unknown reviewers</Link>
+          {' · '}
+          <Link href="/enums/synonyms" className="text-blue-400 hover:underline">Resolve unknown enum values</Link>
+          {' · '}
+          <Link href="/enums" className="text-blue-400 hover:underline">Manage enum values</Link>
+          {' · '}
+          <Link href="/title-cleaning" className="text-blue-400 hover:underline">Edit title cleaning rules</Link>
+          {' · '}
+          <Link href="/shopify/review" className="text-blue-400 hover:underline">Review unmatched Shopify products</Link>
+        </p>
         
         {/* Sync Controls */}
         <SyncControls 
@@ -107,6 +123,7 @@ export default function SubmissionsContainer({ initialSubmissions, initialTimest
           statusCounts={statusCounts}
           timestamp={timestamp}
           lastFetchedTimestamp={lastFetchedTimestamp} 
+          forms={forms}
           error={error}
           activeStatus={activeStatus}
           onStatusChange={handleStatusChange}
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import FailedSubmissionsModal from './FailedSubmissionsModal';
 
 export default function SyncControls({ onSyncComplete, statusCounts }) {
@@ -8,12 +8,35 @@ export default function SyncControls({ onSyncComplete, statusCounts }) {
   const [isFailureModalOpen, setIsFailureModalOpen] = useState(false);
   const [isLoading, setIsLoading] = useState({
     fetch: false,
+    'fetch-updates': false,
+    reconcile: false,
     'fetch-shopify-data': false,
     'clean-titles': false,
     'generate-specifications': false
   });
   const [status, setStatus] = useState('');
   const [error, setError] = useState('');
+  const [quota, setQuota] = useState(null);
+
+  // Actions that call the Jotform API and count against its daily quota
+  const jotformActions = ['fetch', 'fetch-updates', 'reconcile'];
+
+  // Load today's Jotform API usage
+  const loadQuota = async () => {
+    try {
+      const response = await fetch('/api/jotform/quota');
+      const data = await response.json();
+      if (data.success) {
+        setQuota(data.quota);
+      }
+    } catch (err) {
+      console.error('Error loading Jotform quota:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadQuota();
+  }, []);
 
   const handleSyncAction = async (action) => {
     // Reset error and status
@@ -52,6 +75,11 @@ export default function SyncControls({ onSyncComplete, statusCounts }) {
         throw new Error('Invalid response from server');
       }
       
+      // Quota refusals report the remaining calls
+      if (data.quota) {
+        setQuota(data.quota);
+      }
+      
       if (!response.ok) {
         throw new Error(
           data.message || 
@@ -117,14 +145,20 @@ export default function SyncControls({ onSyncComplete, statusCounts }) {
     } finally {
       // Reset loading state
       setIsLoading(prev => ({ ...prev, [action]: false }));
+      if (jotformActions.includes(action)) {
+        loadQuota();
+      }
     }
   };
   
   const getActionLabel = (action, pastTense = false) => {
     const labels = {
       fetch: pastTense ? 'Fetched new submissions' : 'Fetch Submissions',
+      'fetch-updates': pastTense ? 'Fetched submission edits' : 'Fetch Edits',
+      reconcile: pastTense ? 'Reconciled deletions' : 'Reconcile Deletions',
       'fetch-shopify-data': pastTense ? 'Fetched Shopify data' : 'Fetch Shopify Data',
       'clean-titles': pastTense ? 'Cleaned product titles' : 'Clean Product Titles',
+      'sync-shopify-catalog': pastTense ? 'Synced Shopify catalog' : 'Sync Shopify Catalog',
       'generate-specifications': pastTense ? 'Generated specifications' : 'Generate Specifications'
     };
     return labels[action] || action;
@@ -156,9 +190,12 @@ export default function SyncControls({ onSyncComplete, statusCounts }) {
   const getButtonColor = (action) => {
     switch (action) {
       case 'fetch':
+      case 'fetch-updates':
+      case 'reconcile':
         return 'bg-gray-600 hover:bg-gray-700';
       case 'clean-titles':
         return 'bg-blue-600 hover:bg-blue-700';
+      case 'sync-shopify-catalog':
       case 'fetch-shopify-data':
         return 'bg-green-600 hover:bg-green-700';
       case 'generate-specifications':
@@ -170,7 +207,10 @@ export default function SyncControls({ onSyncComplete, statusCounts }) {
 
   const syncActions = [
     { action: 'fetch', label: 'Fetch Submissions' },
+    { action: 'fetch-updates', label: 'Fetch Edits' },
+    { action: 'reconcile', label: 'Reconcile Deletions' },
     { action: 'clean-titles', label: 'Clean Product Titles' },
+    { action: 'sync-shopify-catalog', label: 'Sync Shopify Catalog' },
     { action: 'fetch-shopify-data', label: 'Fetch Shopify Data' },
     { action: 'generate-specifications', label: 'Generate Specifications' },
   ];
@@ -199,6 +239,12 @@ export default function SyncControls({ onSyncComplete, statusCounts }) {
           </button>
         ))}
       </div>
+      {quota && (
+        <div className={`text-xs mb-1 ${quota.remaining <= quota.reserve ? 'text-red-400' : 'text-gray-400'}`}>
+          Jotform API calls left today: {quota.remaining} of {quota.limit}
+          {quota.remaining <= quota.reserve && ' (syncs are paused until the quota resets at midnight UTC)'}
+        </div>
+      )}
       {status && <div className="text-sm text-gray-600">{status}</div>}
       {error && <div className="text-sm text-red-600">{error}</div>}
       
@@ -0,0 +1,467 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+import TitleCleaningTrace from '@/app/components/TitleCleaningTrace';
+
+const RULE_TYPES = ['literal', 'regex', 'word'];
+
+const inputClass = 'h-8 py-1 px-2 text-sm bg-gray-800 border border-gray-700 rounded text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+/**
+ * Splits a comma-separated input into trimmed, non-empty values
+ * @param {string} text - Input text
+ * @returns {string[]} Values
+ */
+function splitList(text) {
+  return text.split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Converts stored rules into editor rows, with list fields as comma-separated text
+ * @param {Object} rules - Rules object with generalRules and exceptions
+ * @returns {{generalRules: Object[], exceptions: Object[]}} Editor rows
+ */
+function toEditorRows(rules) {
+  return {
+    generalRules: rules.generalRules.map(rule => ({
+      id: rule.id,
+      type: rule.type || 'literal',
+      pattern: rule.pattern,
+      flags: rule.flags || '',
+      replacement: rule.replacement,
+      brands: (rule.brands || []).join(', '),
+      enabled: rule.enabled !== false
+    })),
+    exceptions: rules.exceptions.map(exception => ({
+      matchBy: exception.pattern ? 'pattern' : 'productName',
+      value: exception.pattern || exception.productName,
+      flags: exception.flags || '',
+      skipRules: (exception.skipRules || []).join(', '),
+      enabled: exception.enabled !== false
+    }))
+  };
+}
+
+/**
+ * Converts editor rows back into a rules object
+ * @param {{generalRules: Object[], exceptions: Object[]}} rows - Editor rows
+ * @returns {Object} Rules object with generalRules and exceptions
+ */
+function fromEditorRows(rows) {
+  return {
+    generalRules: rows.generalRules.map(rule => ({
+      id: rule.id.trim(),
+      type: rule.type,
+      pattern: rule.pattern,
+      flags: rule.type === 'literal' ? '' : rule.flags,
+      replacement: rule.replacement,
+      brands: splitList(rule.brands),
+      enabled: rule.enabled
+    })),
+    exceptions: rows.exceptions.map(exception => ({
+      [exception.matchBy]: exception.value,
+      flags: exception.matchBy === 'pattern' ? exception.flags : '',
+      skipRules: splitList(exception.skipRules),
+      enabled: exception.enabled
+    }))
+  };
+}
+
+/**
+ * Title cleaning rules editor
+ *
+ * Edits the product title cleaning rules and exceptions, saves them as a new
+ * version that takes effect without a restart, and explains how a test title
+ * is cleaned with the saved rules.
+ */
+export default function TitleCleaningRulesEditor() {
+  const [rows, setRows] = useState({ generalRules: [], exceptions: [] });
+  const [version, setVersion] = useState(null);
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [note, setNote] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [problems, setProblems] = useState([]);
+  const [testTitle, setTestTitle] = useState('');
+  const [explanation, setExplanation] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  const loadRules = async (requestedVersion = null) => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/title-cleaning/rules${requestedVersion ? `?version=${requestedVersion}` : ''}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setRows(toEditorRows(data.rules));
+      setVersion(data.version);
+      setActiveVersion(data.activeVersion);
+      setVersions(data.versions);
+      setError('');
+      setProblems([]);
+    } catch (err) {
+      console.error('Error loading title cleaning rules:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const updateRow = (list, index, changes) => {
+    setRows(prev => ({
+      ...prev,
+      [list]: prev[list].map((row, i) => (i === index ? { ...row, ...changes } : row))
+    }));
+  };
+
+  const removeRow = (list, index) => {
+    setRows(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const moveRule = (index, offset) => {
+    setRows(prev => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.generalRules.length) return prev;
+      const generalRules = [...prev.generalRules];
+      [generalRules[index], generalRules[target]] = [generalRules[target], generalRules[index]];
+      return { ...prev, generalRules };
+    });
+  };
+
+  const addRule = () => {
+    setRows(prev => ({
+      ...prev,
+      generalRules: [...prev.generalRules, { id: '', type: 'literal', pattern: '', flags: '', replacement: '', brands: '', enabled: true }]
+    }));
+  };
+
+  const addException = () => {
+    setRows(prev => ({
+      ...prev,
+      exceptions: [...prev.exceptions, { matchBy: 'productName', value: '', flags: '', skipRules: '', enabled: true }]
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setStatus('');
+    setError('');
+    setProblems([]);
+    try {
+      const response = await fetch('/api/title-cleaning/rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: fromEditorRows(rows), note })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        setProblems(data.problems || []);
+        throw new Error(data.problems ? 'The rules were not saved:' : (data.message || `Request failed with status ${response.status}`));
+      }
+      setStatus(data.message);
+      setNote('');
+      await loadRules();
+    } catch (err) {
+      console.error('Error saving title cleaning rules:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    setStatus('');
+    setError('');
+    setProblems([]);
+    try {
+      const response = await fetch('/api/title-cleaning/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: fromEditorRows(rows) })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        setProblems(data.problems || []);
+        throw new Error(data.problems ? 'The rules are invalid:' : (data.message || `Request failed with status ${response.status}`));
+      }
+      setPreview(data);
+    } catch (err) {
+      console.error('Error previewing title cleaning rules:', err);
+      setError(err.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleTest = async (e) => {
+    e.preventDefault();
+    if (!testTitle.trim()) return;
+
+    try {
+      const response = await fetch('/api/title-cleaning/explain', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: testTitle })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setExplanation(data.explanation);
+    } catch (err) {
+      console.error('Error explaining title cleaning:', err);
+      setError(err.message);
+    }
+  };
+
+  const headingClass = 'px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider';
+  const cellClass = 'px-3 py-2 text-sm text-gray-300';
+
+  return (
+    <div className="w-full space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Title Cleaning Rules</h1>
+        <p className="text-gray-400 mb-4">
+          Rules run top to bottom, each on the output of the previous one. Saving creates a new version that is used right away.{' '}
+          <Link href="/title-cleaning/suggestions" className="text-blue-400 hover:underline">Suggested rules</Link>
+          {' · '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        <p className="text-sm text-gray-400">
+          {activeVersion ? `In use: version ${activeVersion}` : 'In use: rules file (no saved versions yet)'}
+          {version !== activeVersion && version && ` - editing a copy of version ${version}`}
+        </p>
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        {problems.length > 0 && (
+          <ul className="list-disc list-inside text-sm text-red-600">
+            {problems.map(problem => <li key={problem}>{problem}</li>)}
+          </ul>
+        )}
+      </div>
+
+      <form onSubmit={handleTest} className="p-4 rounded-lg border border-gray-800 bg-gray-900 space-y-2">
+        <div className="flex gap-2">
+          <input
+            value={testTitle}
+            onChange={(e) => setTestTitle(e.target.value)}
+            placeholder="Test a product title against the saved rules..."
+            className={`${inputClass} flex-1`}
+          />
+          <button type="submit" className="px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700">
+            Test
+          </button>
+        </div>
+        {explanation && (
+          <div className="text-sm text-gray-300 space-y-1">
+            <div>Cleaned: <span className="font-medium text-gray-100">&quot;{explanation.cleanedTitle}&quot;</span></div>
+            <TitleCleaningTrace trace={explanation} label="Rules that changed it" />
+          </div>
+        )}
+      </form>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Order', 'ID', 'Type', 'Pattern', 'Flags', 'Replacement', 'Brands', 'On', ''].map(heading => (
+                <th key={heading} className={headingClass}>{heading}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {isLoading ? (
+              <tr>
+                <td colSpan={9} className="px-6 py-4 text-center text-gray-400">Loading...</td>
+              </tr>
+            ) : rows.generalRules.map((rule, index) => (
+              <tr key={index} className={rule.enabled ? 'hover:bg-gray-800' : 'opacity-50'}>
+                <td className={`${cellClass} whitespace-nowrap`}>
+                  <button className="px-1 text-gray-400 hover:text-gray-100" onClick={() => moveRule(index, -1)} title="Move up">↑</button>
+                  <button className="px-1 text-gray-400 hover:text-gray-100" onClick={() => moveRule(index, 1)} title="Move down">↓</button>
+                </td>
+                <td className={cellClass}>
+                  <input value={rule.id} onChange={(e) => updateRow('generalRules', index, { id: e.target.value })} className={inputClass} />
+                </td>
+                <td className={cellClass}>
+                  <select value={rule.type} onChange={(e) => updateRow('generalRules', index, { type: e.target.value })} className={inputClass}>
+                    {RULE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </td>
+                <td className={cellClass}>
+                  <input value={rule.pattern} onChange={(e) => updateRow('generalRules', index, { pattern: e.target.value })} className={`${inputClass} font-mono`} />
+                </td>
+                <td className={cellClass}>
+                  <input
+                    value={rule.flags}
+                    onChange={(e) => updateRow('generalRules', index, { flags: e.target.value })}
+                    disabled={rule.type === 'literal'}
+                    className={`${inputClass} w-16 font-mono disabled:opacity-50`}
+                  />
+                </td>
+                <td className={cellClass}>
+                  <input value={rule.replacement} onChange={(e) => updateRow('generalRules', index, { replacement: e.target.value })} className={`${inputClass} font-mono`} />
+                </td>
+                <td className={cellClass}>
+                  <input
+                    value={rule.brands}
+                    onChange={(e) => updateRow('generalRules', index, { brands: e.target.value })}
+                    placeholder="Any brand"
+                    className={inputClass}
+                  />
+                </td>
+                <td className={cellClass}>
+                  <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRow('generalRules', index, { enabled: e.target.checked })} />
+                </td>
+                <td className={cellClass}>
+                  <button className="text-xs text-red-400 hover:underline" onClick={() => removeRow('generalRules', index)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="p-2 bg-gray-900">
+          <button className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600" onClick={addRule}>Add Rule</button>
+        </div>
+      </div>
+
+      <div className="shadow-md rounded-lg border border-gray-800 overflow-auto">
+        <table className="w-full divide-y divide-gray-800">
+          <thead className="bg-gray-800">
+            <tr>
+              {['Match By', 'Product Name / Pattern', 'Flags', 'Skip Rules', 'On', ''].map(heading => (
+                <th key={heading} className={headingClass}>{heading}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-gray-900 divide-y divide-gray-800">
+            {!isLoading && rows.exceptions.map((exception, index) => (
+              <tr key={index} className={exception.enabled ? 'hover:bg-gray-800' : 'opacity-50'}>
+                <td className={cellClass}>
+                  <select value={exception.matchBy} onChange={(e) => updateRow('exceptions', index, { matchBy: e.target.value })} className={inputClass}>
+                    <option value="productName">Exact title</option>
+                    <option value="pattern">Regex</option>
+                  </select>
+                </td>
+                <td className={cellClass}>
+                  <input value={exception.value} onChange={(e) => updateRow('exceptions', index, { value: e.target.value })} className={`${inputClass} w-full`} />
+                </td>
+                <td className={cellClass}>
+                  <input
+                    value={exception.flags}
+                    onChange={(e) => updateRow('exceptions', index, { flags: e.target.value })}
+                    disabled={exception.matchBy !== 'pattern'}
+                    className={`${inputClass} w-16 font-mono disabled:opacity-50`}
+                  />
+                </td>
+                <td className={cellClass}>
+                  <input
+                    value={exception.skipRules}
+                    onChange={(e) => updateRow('exceptions', index, { skipRules: e.target.value })}
+                    placeholder="rule_id, other_rule_id"
+                    className={`${inputClass} w-full`}
+                  />
+                </td>
+                <td className={cellClass}>
+                  <input type="checkbox" checked={exception.enabled} onChange={(e) => updateRow('exceptions', index, { enabled: e.target.checked })} />
+                </td>
+                <td className={cellClass}>
+                  <button className="text-xs text-red-400 hover:underline" onClick={() => removeRow('exceptions', index)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="p-2 bg-gray-900">
+          <button className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600" onClick={addException}>Add Exception</button>
+        </div>
+      </div>
+
+      <div className="flex gap-2 items-center">
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="What changed? (optional)"
+          className={`${inputClass} flex-1`}
+        />
+        <button
+          className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+          onClick={handlePreview}
+          disabled={isPreviewing || isLoading}
+        >
+          {isPreviewing ? 'Previewing...' : 'Preview Impact'}
+        </button>
+        <button
+          className="px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-70"
+          onClick={handleSave}
+          disabled={isSaving || isLoading}
+        >
+          {isSaving ? 'Saving...' : 'Save New Version'}
+        </button>
+      </div>
+
+      {preview && (
+        <div className="p-4 rounded-lg border border-gray-800 bg-gray-900 space-y-3">
+          <h2 className="text-xl font-semibold text-gray-100">Impact Preview</h2>
+          <p className="text-sm text-gray-300">
+            {preview.titlesChanged} of {preview.titlesChecked} distinct titles would clean differently,
+            affecting {preview.submissionsChanged} submission{preview.submissionsChanged !== 1 ? 's' : ''}.
+            {' '}{preview.likelyShopifyMatchChanges} submission{preview.likelyShopifyMatchChanges !== 1 ? 's' : ''} would likely match a different Shopify product.
+          </p>
+          {preview.byRule.map(group => (
+            <details key={group.ruleId} className="text-sm text-gray-300">
+              <summary className="cursor-pointer">
+                <span className="font-mono text-gray-100">{group.ruleId}</span>
+                {' '}- {group.titleCount} title{group.titleCount !== 1 ? 's' : ''}, {group.submissionCount} submission{group.submissionCount !== 1 ? 's' : ''}
+                {group.likelyShopifyMatchChanges > 0 && `, ${group.likelyShopifyMatchChanges} likely Shopify match change${group.likelyShopifyMatchChanges !== 1 ? 's' : ''}`}
+              </summary>
+              <table className="mt-2 w-full text-xs">
+                <tbody className="divide-y divide-gray-800">
+                  {group.examples.map(example => (
+                    <tr key={example.title}>
+                      <td className="py-1 pr-3 text-gray-400">{example.title}</td>
+                      <td className="py-1 pr-3 text-red-400 line-through">{example.current}</td>
+                      <td className="py-1 pr-3 text-green-400">{example.proposed}</td>
+                      <td className="py-1 text-gray-400">{example.submissionCount}x</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {group.truncated && <div className="text-xs text-gray-500">More titles not shown</div>}
+            </details>
+          ))}
+        </div>
+      )}
+
+      {versions.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold mb-2 text-gray-100">Version History</h2>
+          <ul className="text-sm text-gray-300 space-y-1">
+            {versions.map(entry => (
+              <li key={entry.version} className="flex gap-2 items-center">
+                <span className="font-medium text-gray-100">v{entry.version}</span>
+                <span>{new Date(entry.createdAt).toLocaleString()}</span>
+                <span className="text-gray-400">{entry.ruleCount} rules, {entry.exceptionCount} exceptions</span>
+                {entry.note && <span>- {entry.note}</span>}
+                <button className="text-xs text-blue-400 hover:underline" onClick={() => loadRules(entry.version)}>
+                  Load
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
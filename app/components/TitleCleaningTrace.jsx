@@ -0,0 +1,41 @@
+'use client';
+
+/**
+ * Title cleaning trace
+ *
+ * Shows how a product title was cleaned: each rule that changed it with the
+ * title before and after, and any exceptions that switched rules off.
+ */
+export default function TitleCleaningTrace({ trace, label = 'Why?' }) {
+  if (!trace) return null;
+
+  const appliedRules = trace.appliedRules || [];
+  const hasDetails = appliedRules.length > 0 || (trace.matchingExceptions || []).length > 0;
+
+  return (
+    <details className="text-xs text-gray-400 whitespace-normal">
+      <summary className="cursor-pointer text-blue-400 hover:underline">{label}</summary>
+      <div className="mt-1 space-y-1">
+        {!hasDetails && <div>No rule changed this title</div>}
+        {appliedRules.length > 0 && (
+          <ol className="list-decimal list-inside space-y-0.5">
+            {appliedRules.map((rule, index) => (
+              <li key={`${rule.id}-${index}`}>
+                <span className="font-mono text-gray-300">{rule.id}</span>: &quot;{rule.before}&quot; → &quot;{rule.after}&quot;
+              </li>
+            ))}
+          </ol>
+        )}
+        {(trace.matchingExceptions || []).length > 0 && (
+          <div>
+            Exceptions: {trace.matchingExceptions.join(', ')}
+            {(trace.skippedRules || []).length > 0 && ` (skipped ${trace.skippedRules.map(rule => rule.id).join(', ')})`}
+          </div>
+        )}
+        <div className="text-gray-500">
+          {trace.rulesVersion ? `Rules version ${trace.rulesVersion}` : 'Rules file'}
+        </div>
+      </div>
+    </details>
+  );
+}
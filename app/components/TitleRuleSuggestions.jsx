@@ -0,0 +1,158 @@
+'use client';
+
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+
+/**
+ * Title rule suggestions
+ *
+ * Lists cleaning rules and exceptions learned from Shopify products linked by
+ * hand, with the corrections behind each one, so an admin can accept them into
+ * the rule set or dismiss them.
+ */
+export default function TitleRuleSuggestions() {
+  const [suggestions, setSuggestions] = useState([]);
+  const [unexplained, setUnexplained] = useState([]);
+  const [covered, setCovered] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingKey, setPendingKey] = useState(null);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const loadSuggestions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch('/api/title-cleaning/suggestions');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setSuggestions(data.suggestions);
+      setUnexplained(data.unexplained);
+      setCovered(data.covered);
+      setError('');
+    } catch (err) {
+      console.error('Error loading title cleaning suggestions:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSuggestions();
+  }, []);
+
+  const handleResolve = async (key, action) => {
+    setPendingKey(key);
+    setStatus('');
+    setError('');
+    try {
+      const response = await fetch('/api/title-cleaning/suggestions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ key, action })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Request failed with status ${response.status}`);
+      }
+      setStatus(data.message);
+      await loadSuggestions();
+    } catch (err) {
+      console.error(`Error resolving suggestion ${key}:`, err);
+      setError(err.message);
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  const renderCorrection = (correction) => (
+    <li key={correction.id} className="text-xs text-gray-400">
+      {correction.originalTitle} → <span className="text-red-400">{correction.currentCleanedTitle}</span>
+      {' '}(linked to <span className="text-green-400">{correction.shopifyTitle}</span>)
+    </li>
+  );
+
+  return (
+    <div className="w-full space-y-4">
+      <div>
+        <h1 className="text-3xl font-bold mb-2 text-gray-100">Suggested Cleaning Rules</h1>
+        <p className="text-gray-400 mb-4">
+          Learned from Shopify products linked by hand when a cleaned title did not match.
+          Accepting a suggestion saves a new rules version.{' '}
+          <Link href="/title-cleaning" className="text-blue-400 hover:underline">Edit rules</Link>
+          {' · '}
+          <Link href="/" className="text-blue-400 hover:underline">Back to submissions</Link>
+        </p>
+        {covered > 0 && (
+          <div className="text-sm text-gray-400">
+            {covered} correction{covered !== 1 ? 's are' : ' is'} already handled by the current rules.
+          </div>
+        )}
+        {status && <div className="text-sm text-gray-300">{status}</div>}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+      </div>
+
+      {isLoading ? (
+        <div className="text-center text-gray-400">Loading...</div>
+      ) : suggestions.length === 0 ? (
+        <div className="text-center text-gray-400">No suggestions</div>
+      ) : (
+        <div className="space-y-3">
+          {suggestions.map(suggestion => (
+            <div key={suggestion.key} className="p-4 rounded-lg border border-gray-800 bg-gray-900 space-y-2">
+              <div className="flex justify-between items-start gap-4">
+                <div className="text-sm text-gray-300">
+                  <span className="px-2 py-0.5 mr-2 rounded-full text-xs bg-gray-700 text-gray-100">
+                    {suggestion.kind === 'rule' ? 'Rule' : 'Exception'}
+                  </span>
+                  {suggestion.kind === 'rule' ? (
+                    <span className="font-mono">
+                      &quot;{suggestion.rule.pattern}&quot; → &quot;{suggestion.rule.replacement}&quot;
+                      <span className="text-gray-500"> ({suggestion.rule.id}, whole words)</span>
+                    </span>
+                  ) : (
+                    <span>
+                      &quot;{suggestion.exception.productName}&quot; skips{' '}
+                      <span className="font-mono">{suggestion.exception.skipRules.join(', ')}</span>
+                    </span>
+                  )}
+                  <div className="text-xs text-gray-400 mt-1">
+                    Seen in {suggestion.support} submission{suggestion.support !== 1 ? 's' : ''}, fixes {suggestion.fixes} on its own.
+                    {suggestion.kind === 'rule' && ` Would change ${suggestion.otherTitlesChanged} other stored title${suggestion.otherTitlesChanged !== 1 ? 's' : ''}.`}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    className="px-3 py-1 rounded text-white text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-70"
+                    onClick={() => handleResolve(suggestion.key, 'accept')}
+                    disabled={pendingKey !== null}
+                  >
+                    Accept
+                  </button>
+                  <button
+                    className="px-3 py-1 rounded text-white text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-70"
+                    onClick={() => handleResolve(suggestion.key, 'dismiss')}
+                    disabled={pendingKey !== null}
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+              <ul className="space-y-0.5">{suggestion.examples.map(renderCorrection)}</ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {unexplained.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold mb-2 text-gray-100">Corrections Without a Suggestion</h2>
+          <p className="text-sm text-gray-400 mb-2">These need a rule written by hand, or more corrections like them.</p>
+          <ul className="space-y-0.5">{unexplained.map(renderCorrection)}</ul>
+        </div>
+      )}
+    </div>
+  );
+}
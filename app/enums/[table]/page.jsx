@@ -0,0 +1,15 @@
+import EnumValueEditor from '@/app/components/EnumValueEditor';
+
+export const dynamic = 'force-dynamic';
+
+export default async function EnumValuesPage({ params }) {
+  const { table } = await params;
+
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <EnumValueEditor table={table} />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,13 @@
+import EnumTables from '@/app/components/EnumTables';
+
+export const dynamic = 'force-dynamic';
+
+export default function EnumTablesPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <EnumTables />
+      </div>
+    </main>
+  );
+}
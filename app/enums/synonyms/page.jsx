@@ -0,0 +1,13 @@
+import EnumSynonymPanel from '@/app/components/EnumSynonymPanel';
+
+export const dynamic = 'force-dynamic';
+
+export default function EnumSynonymsPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <EnumSynonymPanel />
+      </div>
+    </main>
+  );
+}
@@ -3,7 +3,7 @@ import SubmissionsContainer from './components/SubmissionsContainer';
 
 export default async function Home() {
   // Load all submissions regardless of status
-  const { submissions, statusCounts, timestamp, lastFetchedTimestamp, error } = await loadAllSubmissions(); // Retrieve all submissions
+  const { submissions, statusCounts, timestamp, lastFetchedTimestamp, forms, error } = await loadAllSubmissions(); // Retrieve all submissions
   
   return (
     <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
@@ -14,6 +14,7 @@ export default async function Home() {
           initialStatusCounts={statusCounts}
           initialTimestamp={timestamp}
           initialLastFetchedTimestamp={lastFetchedTimestamp}
+          initialForms={forms}
           initialError={error}
         />
       </div>
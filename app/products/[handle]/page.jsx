@@ -0,0 +1,15 @@
+import ProductProfile from '@/app/components/ProductProfile';
+
+export const dynamic = 'force-dynamic';
+
+export default async function ProductPage({ params }) {
+  const { handle } = await params;
+
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <ProductProfile handle={handle} />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,13 @@
+import ReviewerAliasPanel from '@/app/components/ReviewerAliasPanel';
+
+export const dynamic = 'force-dynamic';
+
+export default function ReviewersPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <ReviewerAliasPanel />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,13 @@
+import ShopifyMatchReview from '@/app/components/ShopifyMatchReview';
+
+export const dynamic = 'force-dynamic';
+
+export default function ShopifyMatchReviewPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <ShopifyMatchReview />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,13 @@
+import RetractionReview from '@/app/components/RetractionReview';
+
+export const dynamic = 'force-dynamic';
+
+export default function RetractionsPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <RetractionReview />
+      </div>
+    </main>
+  );
+}
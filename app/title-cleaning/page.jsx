@@ -0,0 +1,13 @@
+import TitleCleaningRulesEditor from '@/app/components/TitleCleaningRulesEditor';
+
+export const dynamic = 'force-dynamic';
+
+export default function TitleCleaningPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <TitleCleaningRulesEditor />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,13 @@
+import TitleRuleSuggestions from '@/app/components/TitleRuleSuggestions';
+
+export const dynamic = 'force-dynamic';
+
+export default function TitleRuleSuggestionsPage() {
+  return (
+    <main className="flex min-h-screen flex-col items-center p-4 sm:p-8">
+      <div className="w-full max-w-7xl">
+        <TitleRuleSuggestions />
+      </div>
+    </main>
+  );
+}
@@ -5,7 +5,6 @@ const requiredEnvVars = [
   // Jotform
   'JOTFORM_API_KEY',
   'JOTFORM_API_URL',
-  'JOTFORM_FORM_ID',
   // Shopify
   'SHOPIFY_STORE_URL',
   'SHOPIFY_ACCESS_TOKEN',
@@ -18,13 +17,28 @@ if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+// Parses a numeric variable, keeping 0 and falling back when it is unset or not a number
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
 // Export configuration
 module.exports = {
   // Jotform API Configuration
   jotform: {
     apiKey: process.env.JOTFORM_API_KEY,
     apiUrl: process.env.JOTFORM_API_URL,
-    formId: process.env.JOTFORM_FORM_ID,
+    // Primary form; more forms can be configured in lib/jotform-forms.json
+    formId: process.env.JOTFORM_FORM_ID || null,
+    // Optional webhook settings
+    webhookSecret: process.env.JOTFORM_WEBHOOK_SECRET || null,
+    webhookAutoAdvance: process.env.JOTFORM_WEBHOOK_AUTO_ADVANCE === 'true',
+    // Timezone of the Jotform account (e.g. America/New_York); the API reports submission times in it
+    timeZone: process.env.JOTFORM_TIMEZONE || null,
+    // Daily API call quota of the Jotform plan, and calls kept in reserve for single-submission work
+    dailyCallLimit: parseInt(process.env.JOTFORM_DAILY_CALL_LIMIT, 10) || 1000,
+    callReserve: parseInt(process.env.JOTFORM_CALL_RESERVE, 10) || 20,
   },
   
   // Shopify Configuration
@@ -32,6 +46,15 @@ module.exports = {
     storeUrl: process.env.SHOPIFY_STORE_URL,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
     apiVersion: process.env.SHOPIFY_API_VERSION,
+    // Scored product matching: best candidates at or above this score, and this far ahead of the next, are linked automatically
+    matching: {
+      autoAcceptScore: parseNumber(process.env.SHOPIFY_MATCH_AUTO_ACCEPT, 0.85),
+      minScoreMargin: parseNumber(process.env.SHOPIFY_MATCH_MIN_MARGIN, 0.05)
+    },
+    // Hours between handle verification runs in the server process (0 disables them)
+    verifyIntervalHours: parseFloat(process.env.SHOPIFY_VERIFY_INTERVAL_HOURS) || 0,
+    // Metafield namespace specifications are published to
+    specMetafieldNamespace: process.env.SHOPIFY_SPEC_METAFIELD_NAMESPACE || 'specifications',
     // Optional Shopify variables
     ...(process.env.SHOPIFY_API_KEY && { apiKey: process.env.SHOPIFY_API_KEY }),
     ...(process.env.SHOPIFY_API_SECRET_KEY && { apiSecretKey: process.env.SHOPIFY_API_SECRET_KEY })
@@ -0,0 +1,69 @@
+/**
+ * Next.js startup hook
+ *
+ * Validates the Jotform field mapping against the live form when the server
+ * starts, so a form edit shows up as a mapping error in the logs right away,
+ * loads the latest saved product title cleaning rules, and schedules the
+ * Shopify handle verification when SHOPIFY_VERIFY_INTERVAL_HOURS is set.
+ */
+
+// Longest delay setInterval supports (about 24.8 days); longer ones fire immediately
+const MAX_INTERVAL_MS = 2 ** 31 - 1;
+
+export async function register() {
+  // Only the Node.js runtime can reach the Jotform API client
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  try {
+    const { checkFieldMapping } = await import('@/lib/jotform-submissions');
+    await checkFieldMapping();
+  } catch (error) {
+    console.error('Could not validate Jotform field mapping at startup:', error.message);
+  }
+
+  let client;
+  try {
+    const { default: db } = await import('@/lib/db');
+    const { refreshCleaningRules } = await import('@/lib/product-title-cleaner');
+    client = await db.getClient();
+    await refreshCleaningRules(client);
+  } catch (error) {
+    console.error('Could not load saved title cleaning rules at startup:', error.message);
+  } finally {
+    client?.release();
+  }
+
+  const { default: config } = await import('@/config');
+  const intervalHours = config.shopify.verifyIntervalHours;
+  if (intervalHours > 0) {
+    const intervalMs = intervalHours * 60 * 60 * 1000;
+    if (intervalMs > MAX_INTERVAL_MS) {
+      console.warn(`SHOPIFY_VERIFY_INTERVAL_HOURS is too long; verifying every ${Math.floor(MAX_INTERVAL_MS / 3600000)} hours instead`);
+    }
+
+    let isRunning = false;
+    const timer = setInterval(async () => {
+      // A slow run must not overlap the next one
+      if (isRunning) {
+        console.warn('Skipping scheduled Shopify handle verification; the previous run is still in progress');
+        return;
+      }
+
+      isRunning = true;
+      let verifyClient;
+      try {
+        const { default: db } = await import('@/lib/db');
+        const { verifyShopifyHandles } = await import('@/lib/shopify-verification');
+        verifyClient = await db.getClient();
+        await verifyShopifyHandles(verifyClient);
+      } catch (error) {
+        console.error('Scheduled Shopify handle verification failed:', error.message);
+      } finally {
+        verifyClient?.release();
+        isRunning = false;
+      }
+    }, Math.min(intervalMs, MAX_INTERVAL_MS));
+    // Don't keep the process alive just for the schedule
+    timer.unref?.();
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Enum value administration
+ *
+ * Renames, merges and deletes the values of the enum tables. Renaming keeps the
+ * old name as a synonym so answers using it still resolve. Merging repoints
+ * specifications, junction rows and synonyms to the kept value. Values still
+ * used by a specification cannot be deleted, only merged.
+ */
+
+const { ENUM_TABLES, isEnumTable } = require('./enum-tables');
+const { enumLabelMatchSql, normalizeEnumLabel } = require('./enum-synonyms');
+
+/**
+ * Builds the SQL counting the specifications that use a value
+ * @param {string} enumTable - Enum table
+ * @param {string} idExpression - SQL expression of the value ID
+ * @returns {string} Subquery, or 0 for tables no specification references
+ */
+function usageCountSql(enumTable, idExpression) {
+  const { specColumn, junction } = ENUM_TABLES[enumTable];
+  if (specColumn) {
+    return `(SELECT COUNT(*) FROM specifications s WHERE s.${specColumn} = ${idExpression})`;
+  }
+  if (junction) {
+    return `(SELECT COUNT(*) FROM ${junction.table} j WHERE j.${junction.column} = ${idExpression})`;
+  }
+  return '0';
+}
+
+/**
+ * Loads one value of an enum table
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table
+ * @param {number} id - Value ID
+ * @returns {Promise<Object|null>} Value with its usage count, or null if it does not exist
+ */
+async function getEnumValue(client, enumTable, id) {
+  const result = await client.query(`
+    SELECT e.id, e.name, ${usageCountSql(enumTable, 'e.id')} AS usage_count
+    FROM ${enumTable} e
+    WHERE e.id = $1
+  `, [id]);
+
+  const row = result.rows[0];
+  return row ? { id: row.id, name: row.name, usageCount: parseInt(row.usage_count, 10) } : null;
+}
+
+/**
+ * Lists the enum tables with their number of values and synonyms
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<{enumTable: string, label: string, valueCount: number, synonymCount: number}>>} Tables by label
+ */
+async function getEnumTableSummaries(client) {
+  const synonymResult = await client.query(`
+    SELECT enum_table, COUNT(*) AS count FROM enum_synonyms GROUP BY enum_table
+  `);
+  const synonymCounts = new Map(synonymResult.rows.map(row => [row.enum_table, parseInt(row.count, 10)]));
+
+  const summaries = [];
+  for (const [enumTable, { label }] of Object.entries(ENUM_TABLES)) {
+    const countResult = await client.query(`SELECT COUNT(*) AS count FROM ${enumTable}`);
+    summaries.push({
+      enumTable,
+      label,
+      valueCount: parseInt(countResult.rows[0].count, 10),
+      synonymCount: synonymCounts.get(enumTable) || 0
+    });
+  }
+
+  return summaries.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Lists the values of an enum table with how often each is used
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table
+ * @returns {Promise<Array<{id: number, name: string, usageCount: number, synonyms: string[], createdAt: string, updatedAt: string}>>}
+ *   Values by name; usageCount is the number of specifications using the value
+ */
+async function getEnumValuesWithUsage(client, enumTable) {
+  if (!isEnumTable(enumTable)) {
+    throw new Error(`Unknown enum table: ${enumTable}`);
+  }
+
+  const result = await client.query(`
+    SELECT
+      e.id, e.name, e.created_at, e.updated_at,
+      ${usageCountSql(enumTable, 'e.id')} AS usage_count,
+      ARRAY(
+        SELECT y.label FROM enum_synonyms y
+        WHERE y.enum_table = $1 AND y.enum_id = e.id
+        ORDER BY LOWER(y.label)
+      ) AS synonyms
+    FROM ${enumTable} e
+    ORDER BY LOWER(e.name)
+  `, [enumTable]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    usageCount: parseInt(row.usage_count, 10),
+    synonyms: row.synonyms,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }));
+}
+
+/**
+ * Renames a value, keeping the old name as a synonym of it
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table
+ * @param {number} id - Value ID
+ * @param {string} newName - New name
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+async function renameEnumValue(client, enumTable, id, newName) {
+  const name = normalizeEnumLabel(newName);
+  if (!isEnumTable(enumTable)) {
+    return { success: false, errorMessage: `Unknown enum table: ${enumTable}` };
+  }
+  if (!name) {
+    return { success: false, errorMessage: 'A name is required' };
+  }
+
+  const value = await getEnumValue(client, enumTable, id);
+  if (!value) {
+    return { success: false, errorMessage: `Value ${id} not found in ${enumTable}` };
+  }
+  if (value.name === name) {
+    return { success: true, errorMessage: null };
+  }
+
+  const duplicate = await client.query(
+    `SELECT name FROM ${enumTable} WHERE ${enumLabelMatchSql('name')} = LOWER($1) AND id <> $2`,
+    [name, id]
+  );
+  if (duplicate.rows.length > 0) {
+    return { success: false, errorMessage: `"${duplicate.rows[0].name}" already exists; merge the values instead` };
+  }
+
+  await client.query(
+    `UPDATE ${enumTable} SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [name, id]
+  );
+
+  // The new name now matches directly, so a synonym with it is redundant
+  await client.query(
+    `DELETE FROM enum_synonyms WHERE enum_table = $1 AND ${enumLabelMatchSql('label')} = LOWER($2)`,
+    [enumTable, name]
+  );
+
+  // Answers still using the old name keep resolving to the value
+  if (normalizeEnumLabel(value.name).toLowerCase() !== name.toLowerCase()) {
+    await client.query(`
+      INSERT INTO enum_synonyms (enum_table, label, enum_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (enum_table, ${enumLabelMatchSql('label')}) DO UPDATE SET enum_id = EXCLUDED.enum_id
+    `, [enumTable, normalizeEnumLabel(value.name), id]);
+  }
+
+  return { success: true, errorMessage: null };
+}
+
+/**
+ * Merges one value into another and deletes it
+ * Specifications and junction rows using the merged value are repointed to the
+ * kept value (a specification with both keeps one junction row), its synonyms
+ * move along, and its name becomes a synonym of the kept value.
+ *
+ * @param {Object} client - Database client (call inside a transaction)
+ * @param {string} enumTable - Enum table
+ * @param {number} sourceId - Value to merge and delete
+ * @param {number} targetId - Value to keep
+ * @returns {Promise<{success: boolean, errorMessage: string|null, specificationsRepointed: number, synonymsRepointed: number}>} Result
+ */
+async function mergeEnumValues(client, enumTable, sourceId, targetId) {
+  const failure = errorMessage => ({ success: false, errorMessage, specificationsRepointed: 0, synonymsRepointed: 0 });
+
+  if (!isEnumTable(enumTable)) {
+    return failure(`Unknown enum table: ${enumTable}`);
+  }
+  if (Number(sourceId) === Number(targetId)) {
+    return failure('A value cannot be merged into itself');
+  }
+
+  const source = await getEnumValue(client, enumTable, sourceId);
+  const target = await getEnumValue(client, enumTable, targetId);
+  if (!source || !target) {
+    return failure(`Value ${source ? targetId : sourceId} not found in ${enumTable}`);
+  }
+
+  const { specColumn, junction } = ENUM_TABLES[enumTable];
+  let specificationsRepointed = 0;
+
+  if (specColumn) {
+    const result = await client.query(
+      `UPDATE specifications SET ${specColumn} = $1, updated_at = CURRENT_TIMESTAMP WHERE ${specColumn} = $2`,
+      [target.id, source.id]
+    );
+    specificationsRepointed = result.rowCount || 0;
+  }
+
+  if (junction) {
+    // Specifications that already have the kept value only lose the merged one
+    const duplicateResult = await client.query(`
+      DELETE FROM ${junction.table}
+      WHERE ${junction.column} = $1
+        AND specification_id IN (SELECT specification_id FROM ${junction.table} WHERE ${junction.column} = $2)
+    `, [source.id, target.id]);
+    const updateResult = await client.query(
+      `UPDATE ${junction.table} SET ${junction.column} = $1 WHERE ${junction.column} = $2`,
+      [target.id, source.id]
+    );
+    specificationsRepointed = (duplicateResult.rowCount || 0) + (updateResult.rowCount || 0);
+  }
+
+  const synonymResult = await client.query(
+    'UPDATE enum_synonyms SET enum_id = $1 WHERE enum_table = $2 AND enum_id = $3',
+    [target.id, enumTable, source.id]
+  );
+
+  await client.query(`DELETE FROM ${enumTable} WHERE id = $1`, [source.id]);
+
+  // Answers using the merged name resolve to the kept value
+  if (normalizeEnumLabel(source.name).toLowerCase() !== normalizeEnumLabel(target.name).toLowerCase()) {
+    await client.query(`
+      INSERT INTO enum_synonyms (enum_table, label, enum_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (enum_table, ${enumLabelMatchSql('label')}) DO UPDATE SET enum_id = EXCLUDED.enum_id
+    `, [enumTable, normalizeEnumLabel(source.name), target.id]);
+  }
+
+  return {
+    success: true,
+    errorMessage: null,
+    specificationsRepointed,
+    synonymsRepointed: synonymResult.rowCount || 0
+  };
+}
+
+/**
+ * Deletes a value no specification uses, with its synonyms
+ * @param {Object} client - Database client (call inside a transaction)
+ * @param {string} enumTable - Enum table
+ * @param {number} id - Value ID
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+async function deleteEnumValue(client, enumTable, id) {
+  if (!isEnumTable(enumTable)) {
+    return { success: false, errorMessage: `Unknown enum table: ${enumTable}` };
+  }
+
+  const value = await getEnumValue(client, enumTable, id);
+  if (!value) {
+    return { success: false, errorMessage: `Value ${id} not found in ${enumTable}` };
+  }
+  if (value.usageCount > 0) {
+    return {
+      success: false,
+      errorMessage: `"${value.name}" is used by ${value.usageCount} specification${value.usageCount !== 1 ? 's' : ''}; merge it into another value instead`
+    };
+  }
+
+  await client.query('DELETE FROM enum_synonyms WHERE enum_table = $1 AND enum_id = $2', [enumTable, id]);
+  await client.query(`DELETE FROM ${enumTable} WHERE id = $1`, [id]);
+
+  return { success: true, errorMessage: null };
+}
+
+module.exports = {
+  deleteEnumValue,
+  getEnumTableSummaries,
+  getEnumValuesWithUsage,
+  mergeEnumValues,
+  renameEnumValue
+};
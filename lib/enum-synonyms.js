@@ -0,0 +1,278 @@
+/**
+ * Enum value synonyms
+ *
+ * Resolves the wording of a Jotform answer to an enum value, first by the enum's
+ * own name and then by the enum_synonyms table. Answers of pending submissions
+ * that match neither are listed with fuzzy suggestions (edit distance), so each
+ * wording is mapped to a canonical value, or added as a new value, once.
+ */
+
+const { ENUM_TABLES, isEnumTable } = require('./enum-tables');
+const { editDistance } = require('./reviewer-identity');
+
+// Maximum number of suggestions returned for an unknown value
+const MAX_SUGGESTIONS = 3;
+
+// Submission answers backed by an enum table; list answers hold one value per line
+const ENUM_ANSWERS = [
+  { field: 'product_type', enumTable: 'enum_product_types', column: 'js.product_type' },
+  { field: 'product_brand', enumTable: 'enum_product_brands', column: 'js.product_brand' },
+  { field: 'snuff_type', enumTable: 'enum_snuff_types', column: 'j.snuff_type' },
+  { field: 'moisture', enumTable: 'enum_moisture_levels', column: 'j.moisture' },
+  { field: 'grind', enumTable: 'enum_grinds', column: 'j.grind' },
+  { field: 'nicotine', enumTable: 'enum_nicotine_levels', column: 'j.nicotine' },
+  { field: 'ease_of_use', enumTable: 'enum_experience_levels', column: 'j.ease_of_use' },
+  { field: 'tobacco', enumTable: 'enum_tobacco_types', column: 'j.tobacco', list: true },
+  { field: 'cure', enumTable: 'enum_cures', column: 'j.cure', list: true },
+  { field: 'tasting_notes', enumTable: 'enum_tasting_notes', column: 'j.tasting_notes', list: true }
+];
+
+/**
+ * Normalizes an answer for matching: trims and collapses whitespace
+ * @param {string} label - Answer as given in Jotform
+ * @returns {string} Normalized answer
+ */
+function normalizeEnumLabel(label) {
+  return String(label || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Builds the SQL that normalizes a column like normalizeEnumLabel, lowercased for matching
+ * The unique index on enum_synonyms labels uses the same expression.
+ *
+ * @param {string} column - Column or SQL expression
+ * @returns {string} SQL expression
+ */
+function enumLabelMatchSql(column) {
+  return `LOWER(TRIM(regexp_replace(${column}, '\\s+', ' ', 'g')))`;
+}
+
+/**
+ * Finds the enum ID of an answer by the enum's name, then by synonym
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table, e.g. enum_grinds
+ * @param {string} label - Answer as given in Jotform
+ * @returns {Promise<number|null>} Enum ID or null if the answer is unknown
+ */
+async function findEnumIdByLabel(client, enumTable, label) {
+  if (!isEnumTable(enumTable)) {
+    throw new Error(`Unknown enum table: ${enumTable}`);
+  }
+
+  const name = normalizeEnumLabel(label);
+  if (!name) return null;
+
+  const result = await client.query(`
+    SELECT id FROM ${enumTable} WHERE ${enumLabelMatchSql('name')} = LOWER($1)
+    UNION ALL
+    SELECT enum_id AS id FROM enum_synonyms WHERE enum_table = $2 AND ${enumLabelMatchSql('label')} = LOWER($1)
+    LIMIT 1
+  `, [name, enumTable]);
+
+  return result.rows[0]?.id ?? null;
+}
+
+/**
+ * Suggests enum values close to an unknown answer
+ * @param {string} label - Unknown answer
+ * @param {Array<{id: number, name: string}>} values - Values of the enum table
+ * @param {number} [limit=MAX_SUGGESTIONS] - Maximum number of suggestions
+ * @returns {Array<{id: number, name: string, distance: number}>} Closest values first
+ */
+function suggestEnumValues(label, values, limit = MAX_SUGGESTIONS) {
+  const needle = normalizeEnumLabel(label).toLowerCase();
+
+  return values
+    .map(value => {
+      const name = value.name.toLowerCase();
+      // An answer containing the value (or the reverse) is as close as a typo
+      const distance = name.includes(needle) || needle.includes(name) ? 1 : editDistance(needle, name);
+      return { id: value.id, name: value.name, distance };
+    })
+    .filter(suggestion => suggestion.distance <= Math.max(2, Math.floor(needle.length / 3)))
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Lists the values of an enum table
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table
+ * @returns {Promise<Array<{id: number, name: string}>>} Values by name
+ */
+async function getEnumValues(client, enumTable) {
+  if (!isEnumTable(enumTable)) {
+    throw new Error(`Unknown enum table: ${enumTable}`);
+  }
+
+  const result = await client.query(`SELECT id, name FROM ${enumTable} ORDER BY name`);
+  return result.rows;
+}
+
+/**
+ * Lists answers of pending submissions that match no enum value or synonym
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<{enumTable: string, field: string, value: string, submissionCount: number, suggestions: Array}>>}
+ *   Unknown answers, most submissions first
+ */
+async function getUnresolvedEnumValues(client) {
+  const unresolved = [];
+
+  for (const { field, enumTable, column, list } of ENUM_ANSWERS) {
+    // List answers are split into one row per line; whitespace is collapsed like normalizeEnumLabel
+    const answerExpression = list ? `regexp_split_to_table(${column}, E'\\n')` : column;
+    const valueExpression = `TRIM(regexp_replace(${answerExpression}, '\\s+', ' ', 'g'))`;
+    const result = await client.query(`
+      SELECT answers.value, COUNT(DISTINCT answers.submission_id) AS submission_count
+      FROM (
+        SELECT j.submission_id, ${valueExpression} AS value
+        FROM jotform j
+        LEFT JOIN jotform_shopify js ON js.submission_id = j.submission_id
+        WHERE j.status NOT IN ('specification_generated', 'ignore')
+      ) answers
+      WHERE answers.value IS NOT NULL AND answers.value <> ''
+        AND NOT EXISTS (
+          SELECT 1 FROM ${enumTable} e WHERE ${enumLabelMatchSql('e.name')} = LOWER(answers.value)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM enum_synonyms s WHERE s.enum_table = $1 AND ${enumLabelMatchSql('s.label')} = LOWER(answers.value)
+        )
+      GROUP BY answers.value
+      ORDER BY COUNT(DISTINCT answers.submission_id) DESC, answers.value
+    `, [enumTable]);
+
+    if (result.rows.length === 0) continue;
+
+    const values = await getEnumValues(client, enumTable);
+    for (const row of result.rows) {
+      unresolved.push({
+        enumTable,
+        field,
+        value: row.value,
+        submissionCount: parseInt(row.submission_count, 10),
+        suggestions: suggestEnumValues(row.value, values)
+      });
+    }
+  }
+
+  return unresolved.sort((a, b) => b.submissionCount - a.submissionCount);
+}
+
+/**
+ * Lists the synonyms of every enum table
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<{id: number, enumTable: string, label: string, enumId: number, name: string|null}>>}
+ *   Synonyms with the name of their value (null when the value no longer exists)
+ */
+async function getEnumSynonyms(client) {
+  const result = await client.query(`
+    SELECT id, enum_table, label, enum_id, created_at FROM enum_synonyms
+    ORDER BY enum_table, LOWER(label)
+  `);
+
+  const synonyms = [];
+  for (const row of result.rows) {
+    if (!isEnumTable(row.enum_table)) continue;
+
+    const valueResult = await client.query(`SELECT name FROM ${row.enum_table} WHERE id = $1`, [row.enum_id]);
+    synonyms.push({
+      id: row.id,
+      enumTable: row.enum_table,
+      label: row.label,
+      enumId: row.enum_id,
+      name: valueResult.rows[0]?.name || null,
+      createdAt: row.created_at
+    });
+  }
+
+  return synonyms;
+}
+
+/**
+ * Maps an answer to an enum value, replacing any existing mapping of that answer
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table
+ * @param {string} label - Answer as given in Jotform
+ * @param {number} enumId - Value to map the answer to
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+async function linkEnumSynonym(client, enumTable, label, enumId) {
+  const synonym = normalizeEnumLabel(label);
+  if (!isEnumTable(enumTable)) {
+    return { success: false, errorMessage: `Unknown enum table: ${enumTable}` };
+  }
+  if (!synonym || !enumId) {
+    return { success: false, errorMessage: 'Answer and enum value are required' };
+  }
+
+  const valueResult = await client.query(`SELECT name FROM ${enumTable} WHERE id = $1`, [enumId]);
+  if (valueResult.rows.length === 0) {
+    return { success: false, errorMessage: `Value ${enumId} not found in ${enumTable}` };
+  }
+
+  // The value's own name needs no synonym
+  if (normalizeEnumLabel(valueResult.rows[0].name).toLowerCase() === synonym.toLowerCase()) {
+    return { success: true, errorMessage: null };
+  }
+
+  await client.query(`
+    INSERT INTO enum_synonyms (enum_table, label, enum_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (enum_table, ${enumLabelMatchSql('label')}) DO UPDATE SET enum_id = EXCLUDED.enum_id
+  `, [enumTable, synonym, enumId]);
+
+  return { success: true, errorMessage: null };
+}
+
+/**
+ * Adds a value to an enum table
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Enum table
+ * @param {string} name - New value
+ * @returns {Promise<{success: boolean, errorMessage: string|null, id: number|null}>} Result with the new value's ID
+ */
+async function createEnumValue(client, enumTable, name) {
+  const value = normalizeEnumLabel(name);
+  if (!isEnumTable(enumTable)) {
+    return { success: false, errorMessage: `Unknown enum table: ${enumTable}`, id: null };
+  }
+  if (!value) {
+    return { success: false, errorMessage: 'A name is required', id: null };
+  }
+
+  const existing = await client.query(`SELECT id FROM ${enumTable} WHERE ${enumLabelMatchSql('name')} = LOWER($1)`, [value]);
+  if (existing.rows.length > 0) {
+    return { success: false, errorMessage: `"${value}" already exists in ${ENUM_TABLES[enumTable].label.toLowerCase()}`, id: null };
+  }
+
+  const result = await client.query(`INSERT INTO ${enumTable} (name) VALUES ($1) RETURNING id`, [value]);
+  return { success: true, errorMessage: null, id: result.rows[0].id };
+}
+
+/**
+ * Removes a synonym
+ * @param {Object} client - Database client
+ * @param {number} id - Synonym ID
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+async function deleteEnumSynonym(client, id) {
+  const result = await client.query('DELETE FROM enum_synonyms WHERE id = $1', [id]);
+  if (result.rowCount === 0) {
+    return { success: false, errorMessage: `Synonym ${id} not found` };
+  }
+  return { success: true, errorMessage: null };
+}
+
+module.exports = {
+  ENUM_ANSWERS,
+  createEnumValue,
+  deleteEnumSynonym,
+  enumLabelMatchSql,
+  findEnumIdByLabel,
+  getEnumSynonyms,
+  getEnumValues,
+  getUnresolvedEnumValues,
+  linkEnumSynonym,
+  normalizeEnumLabel,
+  suggestEnumValues
+};
@@ -0,0 +1,37 @@
+/**
+ * Enum tables of specifications
+ *
+ * The enum_* tables hold the allowed values of specification fields. Table names
+ * reach SQL by interpolation, so anything taking a table name from a request
+ * checks it against this list first.
+ */
+
+// Enum tables by name, with a display label and the column referencing their values:
+// a specifications column, or a junction table for fields with several values
+const ENUM_TABLES = {
+  enum_cures: { label: 'Cures', junction: { table: 'spec_cures', column: 'enum_cure_id' } },
+  enum_experience_levels: { label: 'Experience levels', specColumn: 'experience_level_id' },
+  enum_grinds: { label: 'Grinds', specColumn: 'grind_id' },
+  enum_moisture_levels: { label: 'Moisture levels', specColumn: 'moisture_level_id' },
+  enum_nicotine_levels: { label: 'Nicotine levels', specColumn: 'nicotine_level_id' },
+  enum_product_brands: { label: 'Product brands', specColumn: 'product_brand_id' },
+  enum_product_types: { label: 'Product types', specColumn: 'product_type_id' },
+  // Snuff types are validated but not stored on specifications
+  enum_snuff_types: { label: 'Snuff types' },
+  enum_tasting_notes: { label: 'Tasting notes', junction: { table: 'spec_tasting_notes', column: 'enum_tasting_note_id' } },
+  enum_tobacco_types: { label: 'Tobacco types', junction: { table: 'spec_tobacco_types', column: 'enum_tobacco_type_id' } }
+};
+
+/**
+ * Checks that a name is one of the enum tables
+ * @param {string} enumTable - Table name
+ * @returns {boolean} Whether the table is an enum table
+ */
+function isEnumTable(enumTable) {
+  return Object.prototype.hasOwnProperty.call(ENUM_TABLES, enumTable);
+}
+
+module.exports = {
+  ENUM_TABLES,
+  isEnumTable
+};
@@ -0,0 +1,236 @@
+/**
+ * Jotform API client with retries and daily quota tracking
+ *
+ * Wraps the @wojtekmaj/jotform SDK. Every API call is counted in the
+ * jotform_api_usage table, transient failures (429, 5xx, network errors) are
+ * retried with exponential backoff honouring Retry-After, and calls are refused
+ * once the plan's daily quota (JOTFORM_DAILY_CALL_LIMIT) is used up.
+ */
+
+import * as jotform from '@wojtekmaj/jotform';
+import config from '../config';
+import db from './db';
+import { isNetworkError } from './network-errors';
+
+// Initialize Jotform client
+jotform.options({
+  apiKey: config.jotform.apiKey,
+  url: config.jotform.apiUrl
+});
+
+// Error code of errors thrown when the daily quota does not allow a call
+export const JOTFORM_QUOTA_ERROR = 'JOTFORM_QUOTA_EXCEEDED';
+
+// Retry settings for transient failures
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+/**
+ * Gets the current quota day; Jotform usage is tracked per UTC day
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getUsageDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Gets today's Jotform API usage
+ * @returns {Promise<{date: string, limit: number, used: number, remaining: number, reserve: number}>} Quota status
+ */
+export async function getJotformQuota() {
+  const date = getUsageDate();
+  const result = await db.query(
+    'SELECT calls FROM jotform_api_usage WHERE usage_date = $1',
+    [date]
+  );
+
+  const limit = config.jotform.dailyCallLimit;
+  const used = result.rows[0]?.calls || 0;
+
+  return {
+    date,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    reserve: config.jotform.callReserve
+  };
+}
+
+/**
+ * Counts one API call against today's quota
+ * Uses the pool rather than a caller's client, so the count survives a rolled-back transaction
+ *
+ * @param {number} [calls=1] - Calls to add
+ * @returns {Promise<void>}
+ */
+async function recordJotformCalls(calls = 1) {
+  await db.query(`
+    INSERT INTO jotform_api_usage (usage_date, calls)
+    VALUES ($1, $2)
+    ON CONFLICT (usage_date) DO UPDATE
+    SET calls = jotform_api_usage.calls + EXCLUDED.calls, updated_at = CURRENT_TIMESTAMP
+  `, [getUsageDate(), calls]);
+}
+
+/**
+ * Marks today's quota as used up, after Jotform reports its daily limit was reached
+ * @returns {Promise<void>}
+ */
+async function markQuotaExhausted() {
+  await db.query(`
+    INSERT INTO jotform_api_usage (usage_date, calls)
+    VALUES ($1, $2)
+    ON CONFLICT (usage_date) DO UPDATE
+    SET calls = GREATEST(jotform_api_usage.calls, EXCLUDED.calls), updated_at = CURRENT_TIMESTAMP
+  `, [getUsageDate(), config.jotform.dailyCallLimit]);
+}
+
+/**
+ * Creates the error thrown when the quota does not allow a call
+ * @param {string} message - Error message
+ * @param {Object} quota - Quota status from getJotformQuota
+ * @param {number} [required] - Calls the refused operation needed
+ * @returns {Error} Error with code JOTFORM_QUOTA_ERROR and the quota attached
+ */
+function createQuotaError(message, quota, required = 1) {
+  const error = new Error(message);
+  error.code = JOTFORM_QUOTA_ERROR;
+  error.quota = { ...quota, required };
+  return error;
+}
+
+/**
+ * Refuses an operation that needs more API calls than are left today
+ * The reserve is kept for single-submission work such as field mapping checks
+ *
+ * @param {number} requiredCalls - Estimated API calls the operation makes
+ * @param {string} [action='this operation'] - Description used in the error message
+ * @returns {Promise<Object>} Quota status when the operation may run
+ * @throws {Error} Error with code JOTFORM_QUOTA_ERROR when not enough calls are left
+ */
+export async function ensureJotformQuota(requiredCalls, action = 'this operation') {
+  const quota = await getJotformQuota();
+
+  if (quota.remaining - quota.reserve < requiredCalls) {
+    throw createQuotaError(
+      `Not enough Jotform API calls left today for ${action}: needs about ${requiredCalls}, ` +
+      `${quota.remaining} of ${quota.limit} remaining (${quota.reserve} kept in reserve)`,
+      quota,
+      requiredCalls
+    );
+  }
+
+  return quota;
+}
+
+/**
+ * Gets the HTTP status of a failed call, if the SDK exposed one
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {number|null} HTTP status
+ */
+function getErrorStatus(error) {
+  const status = error?.status || error?.statusCode || error?.response?.status || error?.responseCode;
+  return status ? Number(status) : null;
+}
+
+/**
+ * Reads a Retry-After delay from a failed call
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {number|null} Delay in milliseconds, or null if none was sent
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.response?.headers || error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Checks whether Jotform refused the call because the daily limit was reached
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {boolean} Whether the daily limit was reached
+ */
+function isDailyLimitError(error) {
+  return /daily limit|api limit/i.test(error?.message || '');
+}
+
+/**
+ * Checks whether a failed call is worth retrying
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {boolean} Whether the call may succeed when retried
+ */
+function isRetryable(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  // A TypeError without a network error code is a bug in the request, not a transient failure
+  return isNetworkError(error);
+}
+
+/**
+ * Runs a Jotform API request with quota tracking and retries
+ * Every attempt counts against the quota, including retries
+ *
+ * @param {string} name - Request name used in log messages
+ * @param {Function} request - Function performing the SDK call
+ * @returns {Promise<*>} The SDK call's result
+ * @throws {Error} The last error, or an error with code JOTFORM_QUOTA_ERROR when the quota is used up
+ */
+async function callJotform(name, request) {
+  for (let attempt = 1; ; attempt++) {
+    const quota = await getJotformQuota();
+    if (quota.remaining <= 0) {
+      throw createQuotaError(`Jotform daily API limit of ${quota.limit} calls reached; try again tomorrow (UTC)`, quota);
+    }
+
+    await recordJotformCalls();
+
+    try {
+      return await request();
+    } catch (error) {
+      if (isDailyLimitError(error)) {
+        await markQuotaExhausted();
+        throw createQuotaError(`Jotform daily API limit reached: ${error.message}`, await getJotformQuota());
+      }
+
+      if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+
+      // Exponential backoff with jitter, unless Jotform says how long to wait
+      const delay = getRetryAfterMs(error)
+        ?? Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1)) + Math.floor(Math.random() * 250);
+      console.warn(`Jotform ${name} failed (${getErrorStatus(error) || error.message}); retrying in ${delay}ms (attempt ${attempt}/${MAX_ATTEMPTS})`);
+      await new Promise(resolve => setTimeout(resolve, Math.min(delay, MAX_DELAY_MS)));
+    }
+  }
+}
+
+/**
+ * Fetches a page of a form's submissions
+ * @param {string} formId - Jotform form ID
+ * @param {Object} options - limit, offset, filter, orderby and direction
+ * @returns {Promise<Array>} Submissions
+ */
+export function getFormSubmissions(formId, options) {
+  return callJotform('getFormSubmissions', () => jotform.getFormSubmissions(formId, options));
+}
+
+/**
+ * Fetches a form's questions
+ * @param {string} formId - Jotform form ID
+ * @returns {Promise<Object.<string, Object>>} Questions keyed by qid
+ */
+export function getFormQuestions(formId) {
+  return callJotform('getFormQuestions', () => jotform.getFormQuestions(formId));
+}
@@ -0,0 +1,195 @@
+/**
+ * Jotform field mapping
+ *
+ * Maps Jotform questions (by question ID or question name) to columns of the
+ * jotform table, with per-field type coercion. The mapping lives in
+ * lib/jotform-field-mapping.json so form edits don't require code changes.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Path to the default field mapping config file
+const FIELD_MAPPING_FILE = path.join(process.cwd(), 'lib', 'jotform-field-mapping.json');
+
+// Columns of the jotform table that can be populated from form answers
+const MAPPABLE_COLUMNS = [
+  'reviewer',
+  'select_product',
+  'snuff_type',
+  'tobacco',
+  'moisture',
+  'grind',
+  'nicotine',
+  'ease_of_use',
+  'review',
+  'star_rating',
+  'cure',
+  'tasting_notes',
+  'fermented',
+  'oral_tobacco',
+  'artisan',
+  'rating_boost'
+];
+
+/**
+ * Extracts the raw value of an answer as a string or array
+ * @param {Object} answer - Answer object from a Jotform submission
+ * @returns {string|Array|undefined} The raw answer value
+ */
+function rawAnswerValue(answer) {
+  if (!answer) return undefined;
+  if (answer.answer !== undefined && answer.answer !== null) return answer.answer;
+  return answer.prettyFormat;
+}
+
+// Type coercions, keyed by the "type" of a mapped field
+const COERCERS = {
+  string: (value) => {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return Object.values(value).join(' ').trim();
+    return String(value);
+  },
+  int: (value) => parseInt(value, 10) || 0,
+  boolean: (value) => String(value || '').trim().toLowerCase() === 'yes',
+  // Newline-delimited list, as expected by the specification generator
+  list: (value) => {
+    if (value === undefined || value === null) return '';
+    const items = Array.isArray(value) ? value : String(value).split(/\r?\n/);
+    return items
+      .map(item => String(item).trim())
+      .filter(item => item.length > 0)
+      .join('\n');
+  }
+};
+
+/**
+ * Validates the structure of a field mapping
+ * @param {Object} mapping - Parsed mapping object
+ * @returns {string[]} List of problems, empty if the mapping is well formed
+ */
+function validateMappingStructure(mapping) {
+  const problems = [];
+
+  if (!mapping || !Array.isArray(mapping.fields)) {
+    return ['Field mapping must contain a fields array.'];
+  }
+
+  const seenColumns = new Set();
+  mapping.fields.forEach((field, index) => {
+    const label = field?.column || `fields[${index}]`;
+
+    if (!field?.column) {
+      problems.push(`${label}: missing column`);
+    } else if (!MAPPABLE_COLUMNS.includes(field.column)) {
+      problems.push(`${label}: unknown jotform column "${field.column}"`);
+    } else if (seenColumns.has(field.column)) {
+      problems.push(`${label}: column is mapped more than once`);
+    } else {
+      seenColumns.add(field.column);
+    }
+
+    if (!field?.qid && !field?.name) {
+      problems.push(`${label}: needs either a qid or a question name`);
+    }
+
+    if (!COERCERS[field?.type || 'string']) {
+      problems.push(`${label}: unknown type "${field.type}" (expected ${Object.keys(COERCERS).join(', ')})`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Loads a field mapping from a JSON file
+ * @param {string} [file] - Path to the mapping file (defaults to lib/jotform-field-mapping.json)
+ * @returns {Object} The mapping object with a fields array
+ * @throws {Error} If the file does not exist or is invalid
+ */
+function loadFieldMapping(file = FIELD_MAPPING_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Jotform field mapping file not found: ${file}`);
+  }
+  const mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const problems = validateMappingStructure(mapping);
+  if (problems.length > 0) {
+    throw new Error(`Invalid Jotform field mapping (${file}):\n- ${problems.join('\n- ')}`);
+  }
+
+  return mapping;
+}
+
+// Load the default mapping (throws if not found or invalid)
+const FIELD_MAPPING = loadFieldMapping();
+
+/**
+ * Validates a mapping against the form's question list
+ * Every mapped qid must exist, and every mapped question name must resolve to exactly one question
+ *
+ * @param {Object.<string, Object>} questions - Questions keyed by qid, as returned by Jotform's getFormQuestions
+ * @param {Object} [mapping=FIELD_MAPPING] - Field mapping to validate
+ * @returns {{valid: boolean, problems: string[]}} Validation result
+ */
+function validateMappingAgainstQuestions(questions, mapping = FIELD_MAPPING) {
+  const problems = [];
+  const questionList = Object.values(questions || {});
+
+  for (const field of mapping.fields) {
+    if (field.qid) {
+      const question = questions?.[field.qid];
+      if (!question) {
+        problems.push(`${field.column}: question ${field.qid} does not exist on the form`);
+      } else if (field.name && question.name !== field.name) {
+        problems.push(`${field.column}: question ${field.qid} is named "${question.name}", expected "${field.name}"`);
+      }
+      continue;
+    }
+
+    const matches = questionList.filter(question => question.name === field.name);
+    if (matches.length === 0) {
+      problems.push(`${field.column}: no question named "${field.name}" on the form`);
+    } else if (matches.length > 1) {
+      problems.push(`${field.column}: question name "${field.name}" is ambiguous (qids ${matches.map(q => q.qid).join(', ')})`);
+    }
+  }
+
+  return { valid: problems.length === 0, problems };
+}
+
+/**
+ * Finds the answer for a mapped field in a submission's answers
+ * @param {Object.<string, Object>} answers - Submission answers keyed by qid
+ * @param {Object} field - Mapped field
+ * @returns {Object|undefined} The matching answer object
+ */
+function findAnswer(answers, field) {
+  if (field.qid) return answers[field.qid];
+  return Object.values(answers).find(answer => answer?.name === field.name);
+}
+
+/**
+ * Applies a field mapping to a submission's answers
+ * @param {Object.<string, Object>} answers - Submission answers keyed by qid
+ * @param {Object} [mapping=FIELD_MAPPING] - Field mapping to apply
+ * @returns {Object} Column values keyed by jotform column name
+ */
+function mapAnswers(answers, mapping = FIELD_MAPPING) {
+  const columns = {};
+
+  for (const field of mapping.fields) {
+    const coerce = COERCERS[field.type || 'string'];
+    columns[field.column] = coerce(rawAnswerValue(findAnswer(answers || {}, field)));
+  }
+
+  return columns;
+}
+
+module.exports = {
+  FIELD_MAPPING,
+  MAPPABLE_COLUMNS,
+  loadFieldMapping,
+  validateMappingAgainstQuestions,
+  mapAnswers
+};
@@ -0,0 +1,102 @@
+/**
+ * Jotform form registry
+ *
+ * Lists the review forms the pipeline ingests. Each form has its own field mapping
+ * and an optional default product type. Forms are configured in lib/jotform-forms.json;
+ * without that file the single form from JOTFORM_FORM_ID is used with the default mapping.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { FIELD_MAPPING, loadFieldMapping } = require('./jotform-field-mapping');
+
+// Path to the forms config file
+const FORMS_FILE = path.join(process.cwd(), 'lib', 'jotform-forms.json');
+
+// Mapping file used when a form does not name its own
+const DEFAULT_MAPPING_FILE = 'jotform-field-mapping.json';
+
+/**
+ * Loads the configured forms
+ * @param {string} [file] - Path to the forms file (defaults to lib/jotform-forms.json)
+ * @returns {Array<{formId: string, label: string, mappingFile: string, mapping: Object, defaultProductType: string|null}>} Configured forms, primary form first
+ * @throws {Error} If no form is configured or the forms file is invalid
+ */
+function loadJotformForms(file = FORMS_FILE) {
+  if (!fs.existsSync(file)) {
+    if (!config.jotform.formId) {
+      throw new Error('No Jotform form configured: set JOTFORM_FORM_ID or create lib/jotform-forms.json');
+    }
+    return [{
+      formId: String(config.jotform.formId),
+      label: 'Default',
+      mappingFile: DEFAULT_MAPPING_FILE,
+      mapping: FIELD_MAPPING,
+      defaultProductType: null
+    }];
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(parsed?.forms) || parsed.forms.length === 0) {
+    throw new Error(`Invalid Jotform forms config (${file}): must contain a non-empty forms array`);
+  }
+
+  const problems = [];
+  const seenIds = new Set();
+  const forms = parsed.forms.map((form, index) => {
+    const formId = form?.formId ? String(form.formId) : null;
+    if (!formId) {
+      problems.push(`forms[${index}]: missing formId`);
+    } else if (seenIds.has(formId)) {
+      problems.push(`forms[${index}]: form ${formId} is configured more than once`);
+    }
+    seenIds.add(formId);
+
+    const mappingFile = form?.mappingFile || DEFAULT_MAPPING_FILE;
+    let mapping = FIELD_MAPPING;
+    if (mappingFile !== DEFAULT_MAPPING_FILE) {
+      try {
+        mapping = loadFieldMapping(path.join(path.dirname(file), mappingFile));
+      } catch (error) {
+        problems.push(`forms[${index}]: ${error.message}`);
+      }
+    }
+
+    return {
+      formId,
+      label: form?.label || formId,
+      mappingFile,
+      mapping,
+      defaultProductType: form?.defaultProductType || null
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid Jotform forms config (${file}):\n- ${problems.join('\n- ')}`);
+  }
+
+  return forms;
+}
+
+// Load the configured forms (throws if none are configured or the file is invalid)
+const JOTFORM_FORMS = loadJotformForms();
+
+/**
+ * Finds a configured form
+ * Rows stored before multi-form support have no form ID and belong to the primary form
+ *
+ * @param {string|number|null} [formId] - Jotform form ID; omit for the primary form
+ * @returns {Object|null} The form, or null if the form ID is not configured
+ */
+function getJotformForm(formId) {
+  if (formId === undefined || formId === null || formId === '') {
+    return JOTFORM_FORMS[0];
+  }
+  return JOTFORM_FORMS.find(form => form.formId === String(formId)) || null;
+}
+
+module.exports = {
+  JOTFORM_FORMS,
+  getJotformForm,
+  loadJotformForms
+};
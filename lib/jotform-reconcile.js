@@ -0,0 +1,263 @@
+/**
+ * Jotform status reconciliation
+ *
+ * Compares stored submissions with their current status in Jotform. Submissions
+ * that were deleted, archived or flagged (any status other than ACTIVE), or that
+ * no longer exist, are moved to 'ignore' with a reason. Their specifications are
+ * queued in specification_retractions for review instead of being deleted outright.
+ */
+
+import db from './db';
+import { ensureJotformQuota } from './jotform-client';
+import { JOTFORM_FORMS } from './jotform-forms';
+import { fetchSubmissions } from './jotform-submissions';
+import { STATUS } from './submission-status';
+
+// Jotform status of a live submission
+const ACTIVE_JOTFORM_STATUS = 'ACTIVE';
+
+// Reason recorded for submissions Jotform no longer returns
+const MISSING_REASON = 'Missing from Jotform';
+
+// Prefix of reasons set by reconciliation; only these are undone when a submission reappears
+const JOTFORM_REASON_PREFIX = 'Jotform status ';
+
+/**
+ * Fetches the status of every submission on a form
+ * @param {string} formId - Jotform form ID
+ * @param {number} pageSize - Submissions requested per page
+ * @returns {Promise<{statuses: Map<string, string>, pagesFetched: number}>} Jotform status by submission ID
+ */
+async function fetchAllSubmissionStatuses(formId, pageSize) {
+  const statuses = new Map();
+  let pagesFetched = 0;
+  let offset = 0;
+
+  while (true) {
+    const submissions = await fetchSubmissions({
+      limit: pageSize,
+      offset,
+      orderby: 'created_at',
+      direction: 'ASC',
+      formId
+    });
+    pagesFetched++;
+
+    for (const submission of submissions) {
+      if (submission?.id) {
+        statuses.set(String(submission.id), (submission.status || ACTIVE_JOTFORM_STATUS).toUpperCase());
+      }
+    }
+
+    if (submissions.length < Math.min(1000, pageSize)) {
+      break;
+    }
+    offset += submissions.length;
+  }
+
+  return { statuses, pagesFetched };
+}
+
+/**
+ * Reconciles stored submissions against their Jotform status
+ * Every configured form is checked; rows of forms that are no longer configured are left alone
+ *
+ * @param {Object} options - Reconciliation options
+ * @param {number} [options.pageSize=1000] - Submissions requested per page
+ * @returns {Promise<Object>} Summary with checked, ignored, restored, retractionsQueued and a sample of changes
+ */
+async function reconcileSubmissionStatuses({ pageSize = 1000 } = {}) {
+  // Every submission is listed, so estimate the pages from what is stored
+  const countResult = await db.query(`
+    SELECT COALESCE(form_id, $1) AS form_id, COUNT(*) AS count
+    FROM jotform
+    GROUP BY COALESCE(form_id, $1)
+  `, [JOTFORM_FORMS[0].formId]);
+  const storedCounts = new Map(countResult.rows.map(row => [row.form_id, parseInt(row.count, 10)]));
+  const pageLimit = Math.min(1000, pageSize);
+  const requiredCalls = JOTFORM_FORMS.reduce(
+    (total, form) => total + Math.floor((storedCounts.get(form.formId) || 0) / pageLimit) + 1,
+    0
+  );
+  await ensureJotformQuota(requiredCalls, 'reconciling submission statuses');
+
+  // Jotform status by submission ID, per form
+  const statusesByForm = new Map();
+  let pagesFetched = 0;
+  for (const form of JOTFORM_FORMS) {
+    const result = await fetchAllSubmissionStatuses(form.formId, pageSize);
+    statusesByForm.set(form.formId, result.statuses);
+    pagesFetched += result.pagesFetched;
+  }
+
+  const client = await db.getClient();
+  const summary = {
+    success: true,
+    pagesFetched,
+    checked: 0,
+    ignored: 0,
+    restored: 0,
+    retractionsQueued: 0,
+    changes: []
+  };
+
+  try {
+    await client.query('BEGIN');
+
+    // Rows without a form ID predate multi-form support and belong to the primary form
+    const storedResult = await client.query(`
+      SELECT
+        j.submission_id, COALESCE(j.form_id, $1) AS form_id, j.status, j.ignore_reason,
+        s.id AS specification_id, s.shopify_handle
+      FROM jotform j
+      LEFT JOIN specifications s ON s.submission_id = j.submission_id
+      WHERE COALESCE(j.form_id, $1) = ANY($2)
+    `, [JOTFORM_FORMS[0].formId, JOTFORM_FORMS.map(form => form.formId)]);
+    summary.checked = storedResult.rows.length;
+
+    // Guard against an API or configuration problem ignoring every stored submission of a form
+    for (const [formId, statuses] of statusesByForm) {
+      if (statuses.size === 0 && storedResult.rows.some(row => row.form_id === formId)) {
+        throw new Error(`Jotform returned no submissions for form ${formId}; refusing to mark every stored submission as missing`);
+      }
+    }
+
+    for (const row of storedResult.rows) {
+      const jotformStatus = statusesByForm.get(row.form_id).get(row.submission_id) || null;
+      const isActive = jotformStatus === ACTIVE_JOTFORM_STATUS;
+
+      if (row.status === STATUS.IGNORE) {
+        // Restore submissions that reconciliation ignored and that are live again
+        const ignoredByReconcile = row.ignore_reason === MISSING_REASON
+          || (row.ignore_reason || '').startsWith(JOTFORM_REASON_PREFIX);
+
+        if (isActive && ignoredByReconcile) {
+          await client.query(`
+            UPDATE jotform
+            SET status = $1, ignore_reason = NULL, jotform_status = $2, status_updated_at = CURRENT_TIMESTAMP
+            WHERE submission_id = $3
+          `, [STATUS.FETCHED, jotformStatus, row.submission_id]);
+
+          await client.query(`
+            UPDATE specification_retractions
+            SET resolution = 'restored', resolved_at = CURRENT_TIMESTAMP
+            WHERE submission_id = $1 AND resolution IS NULL
+          `, [row.submission_id]);
+
+          summary.restored++;
+          if (summary.changes.length < 10) {
+            summary.changes.push({ submissionId: row.submission_id, action: 'restored', jotformStatus });
+          }
+        }
+        continue;
+      }
+
+      if (isActive) {
+        continue;
+      }
+
+      const reason = jotformStatus ? `${JOTFORM_REASON_PREFIX}${jotformStatus}` : MISSING_REASON;
+
+      await client.query(`
+        UPDATE jotform
+        SET status = $1, ignore_reason = $2, jotform_status = $3, status_updated_at = CURRENT_TIMESTAMP
+        WHERE submission_id = $4
+      `, [STATUS.IGNORE, reason, jotformStatus, row.submission_id]);
+      summary.ignored++;
+
+      if (row.specification_id) {
+        const retractionResult = await client.query(`
+          INSERT INTO specification_retractions (specification_id, submission_id, shopify_handle, reason)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (specification_id) WHERE resolution IS NULL DO NOTHING
+        `, [row.specification_id, row.submission_id, row.shopify_handle, reason]);
+        summary.retractionsQueued += retractionResult.rowCount;
+      }
+
+      if (summary.changes.length < 10) {
+        summary.changes.push({ submissionId: row.submission_id, action: 'ignored', reason });
+      }
+    }
+
+    await client.query('COMMIT');
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error reconciling submission statuses:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Gets specifications queued for retraction
+ * @param {Object} client - Database client
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.includeResolved=false] - Include already reviewed entries
+ * @returns {Promise<Array>} Retraction entries with the specification and submission context
+ */
+async function getSpecificationRetractions(client, { includeResolved = false } = {}) {
+  const result = await client.query(`
+    SELECT
+      r.*,
+      j.reviewer,
+      j.select_product,
+      j.jotform_status,
+      s.star_rating,
+      (s.id IS NOT NULL) AS specification_exists
+    FROM specification_retractions r
+    LEFT JOIN jotform j ON j.submission_id = r.submission_id
+    LEFT JOIN specifications s ON s.id = r.specification_id
+    ${includeResolved ? '' : 'WHERE r.resolution IS NULL'}
+    ORDER BY r.detected_at DESC
+  `);
+
+  return result.rows;
+}
+
+/**
+ * Resolves a queued retraction
+ * 'retract' deletes the specification and its junction rows; 'keep' leaves it in place
+ *
+ * @param {Object} client - Database client (caller owns the transaction)
+ * @param {number} retractionId - specification_retractions.id
+ * @param {'retract'|'keep'} action - Review decision
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+async function resolveSpecificationRetraction(client, retractionId, action) {
+  if (!['retract', 'keep'].includes(action)) {
+    return { success: false, errorMessage: `Unknown action: ${action}` };
+  }
+
+  const result = await client.query(
+    'SELECT * FROM specification_retractions WHERE id = $1 AND resolution IS NULL',
+    [retractionId]
+  );
+  const retraction = result.rows[0];
+  if (!retraction) {
+    return { success: false, errorMessage: `No pending retraction with ID ${retractionId}` };
+  }
+
+  if (action === 'retract') {
+    const specId = retraction.specification_id;
+    await client.query('DELETE FROM spec_tobacco_types WHERE specification_id = $1', [specId]);
+    await client.query('DELETE FROM spec_cures WHERE specification_id = $1', [specId]);
+    await client.query('DELETE FROM spec_tasting_notes WHERE specification_id = $1', [specId]);
+    await client.query('DELETE FROM specifications WHERE id = $1', [specId]);
+  }
+
+  await client.query(`
+    UPDATE specification_retractions
+    SET resolution = $1, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [action === 'retract' ? 'retracted' : 'kept', retractionId]);
+
+  return { success: true, errorMessage: null };
+}
+
+export {
+  getSpecificationRetractions,
+  reconcileSubmissionStatuses,
+  resolveSpecificationRetraction
+};
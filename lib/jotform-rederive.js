@@ -0,0 +1,143 @@
+/**
+ * Re-derive submissions from raw JSON
+ *
+ * Re-runs formatSubmission over the raw_json stored with each jotform row, without
+ * calling Jotform. Used after fixing a field mapping: a preview lists the column
+ * changes, and applying them goes through the same update, status reset and
+ * change log as an edit detected in Jotform.
+ */
+
+import db from './db';
+import { getJotformForm } from './jotform-forms';
+import { formatSubmission } from './jotform-submissions';
+import { applySubmissionEdit, diffSubmission, getStatusAfterEdit } from './jotform-updates';
+
+// Maximum number of per-submission diffs returned with a result
+const MAX_DIFFS = 200;
+
+/**
+ * Re-derives one stored row from its raw JSON
+ * @param {Object} row - Row from the jotform table
+ * @returns {{submission: Object|null, formatted: Object|null, changes: Object, error: string|null}} Derived columns and diff
+ */
+function rederiveRow(row) {
+  let submission;
+  try {
+    submission = JSON.parse(row.raw_json || '');
+  } catch (error) {
+    return { submission: null, formatted: null, changes: {}, error: 'raw_json is missing or not valid JSON' };
+  }
+
+  // Rows without a form ID predate multi-form support and belong to the primary form
+  const form = getJotformForm(row.form_id || submission.form_id);
+  if (!form) {
+    return { submission, formatted: null, changes: {}, error: `Form ${row.form_id || submission.form_id} is not configured` };
+  }
+
+  const formatted = formatSubmission(submission, form);
+  if (formatted.invalid) {
+    return { submission, formatted: null, changes: {}, error: `Could not format submission: ${formatted.reason}` };
+  }
+
+  return { submission, formatted, changes: diffSubmission(row, formatted), error: null };
+}
+
+/**
+ * Previews or applies re-deriving submissions from their stored raw JSON
+ *
+ * Without `apply` nothing is written. With `apply`, every changed row is updated in a
+ * single transaction: the columns change, the status moves back in the pipeline where
+ * needed (see getStatusAfterEdit) and the diff is recorded in jotform_submission_changes.
+ *
+ * @param {Object} options - Re-derive options
+ * @param {string[]} [options.submissionIds] - Submissions to re-derive (defaults to all)
+ * @param {boolean} [options.apply=false] - Write the changes instead of previewing them
+ * @returns {Promise<Object>} Summary with checked, changed, unchanged, statusResets, errors, columnCounts and diffs
+ */
+async function rederiveSubmissions({ submissionIds, apply = false } = {}) {
+  const client = await db.getClient();
+  const summary = {
+    success: true,
+    applied: apply,
+    checked: 0,
+    changed: 0,
+    unchanged: 0,
+    statusResets: 0,
+    // Number of changed rows per column
+    columnCounts: {},
+    errors: [],
+    diffs: [],
+    truncated: false
+  };
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the rows so an apply works on the same data it diffs
+    const result = submissionIds
+      ? await client.query(
+        `SELECT * FROM jotform WHERE submission_id = ANY($1) ORDER BY created_at ${apply ? 'FOR UPDATE' : ''}`,
+        [submissionIds]
+      )
+      : await client.query(`SELECT * FROM jotform ORDER BY created_at ${apply ? 'FOR UPDATE' : ''}`);
+    summary.checked = result.rows.length;
+
+    if (submissionIds) {
+      const found = new Set(result.rows.map(row => row.submission_id));
+      for (const submissionId of submissionIds.filter(id => !found.has(id))) {
+        summary.errors.push({ submissionId, error: 'Submission not found' });
+      }
+    }
+
+    for (const row of result.rows) {
+      const { submission, formatted, changes, error } = rederiveRow(row);
+      if (error) {
+        summary.errors.push({ submissionId: row.submission_id, error });
+        continue;
+      }
+
+      const changedColumns = Object.keys(changes);
+      if (changedColumns.length === 0) {
+        summary.unchanged++;
+        continue;
+      }
+
+      const previousStatus = row.status;
+      const newStatus = apply
+        ? (await applySubmissionEdit(client, row, submission, formatted, changes, 'rederive')).newStatus
+        : getStatusAfterEdit(previousStatus, changedColumns);
+
+      summary.changed++;
+      if (newStatus !== previousStatus) {
+        summary.statusResets++;
+      }
+      for (const column of changedColumns) {
+        summary.columnCounts[column] = (summary.columnCounts[column] || 0) + 1;
+      }
+
+      if (summary.diffs.length < MAX_DIFFS) {
+        summary.diffs.push({ submissionId: row.submission_id, changes, previousStatus, newStatus });
+      } else {
+        summary.truncated = true;
+      }
+    }
+
+    if (apply) {
+      await client.query('COMMIT');
+    } else {
+      await client.query('ROLLBACK');
+    }
+
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error re-deriving submissions:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export {
+  rederiveSubmissions
+};
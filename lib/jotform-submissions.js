@@ -4,17 +4,13 @@
  * Provides methods to interact with the Jotform API using the official npm package
  */
 
-import config from '@/config';
-import * as jotform from '@wojtekmaj/jotform'; // Only getFormSubmissions is available for fetching submissions
 import db from './db';
+import { getFormQuestions, getFormSubmissions, JOTFORM_QUOTA_ERROR } from './jotform-client';
 import { cleanProductName } from '@/lib/product-title-cleaner';
 import { STATUS } from './submission-status';
-
-// Initialize Jotform client
-jotform.options({
-  apiKey: config.jotform.apiKey,
-  url: config.jotform.apiUrl
-});
+import { mapAnswers, validateMappingAgainstQuestions } from './jotform-field-mapping';
+import { getJotformForm, JOTFORM_FORMS } from './jotform-forms';
+import { getFormSyncKey, getSyncState, JOTFORM_SYNC_KEY, saveSyncState } from './sync-state';
 
 // Type definitions for better code completion
 /**
@@ -30,23 +26,25 @@ jotform.options({
  * Fetches submissions from Jotform API with pagination and filtering
  * @param {Object} options - Fetch options
  * @param {number} [options.limit=100] - Max number of submissions to fetch per page
- * @param {string} [options.filter] - Filter string (e.g., "created_at:gt:2023-01-01")
+ * @param {number} [options.offset=0] - Number of submissions to skip (for paging)
+ * @param {Object} [options.filter] - Filter object (e.g., { 'created_at:gt': '2023-01-01 00:00:00' })
  * @param {string} [options.orderby='created_at'] - Field to order by
  * @param {'ASC'|'DESC'} [options.direction='DESC'] - Sort direction
- * @param {string} [options.formId] - Form ID (defaults to JOTFORM_FORM_ID from config)
+ * @param {string} [options.formId] - Form ID (defaults to the primary configured form)
  * @returns {Promise<JotformSubmission[]>} Array of submission objects
  */
 async function fetchSubmissions({
   limit = 100,
+  offset = 0,
   filter,
   orderby = 'created_at',
   direction = 'DESC',
-  formId = config.jotform.formId
+  formId = getJotformForm().formId
 } = {}) {
   try {
     const options = {
       limit: Math.min(1000, limit), // Jotform max limit is 1000
-      offset: 0,
+      offset,
       orderby,
       direction
     };
@@ -59,7 +57,7 @@ async function fetchSubmissions({
     // Fetch logging removed for performance
 
     // Use the correct SDK method and expect an array
-    const submissions = await jotform.getFormSubmissions(
+    const submissions = await getFormSubmissions(
       formId,
       {
         limit: options.limit,
@@ -76,6 +74,10 @@ async function fetchSubmissions({
 
     return submissions;
   } catch (error) {
+    // Keep quota refusals intact so callers can report the remaining calls
+    if (error.code === JOTFORM_QUOTA_ERROR) {
+      throw error;
+    }
     console.error('Error in fetchSubmissions:', {
       message: error.message,
       status: error.status,
@@ -86,17 +88,77 @@ async function fetchSubmissions({
   }
 }
 
+// Cached results of validating each form's field mapping against the live form, by form ID
+const fieldMappingChecks = new Map();
+
+/**
+ * Validates field mappings against the forms' current question lists
+ * A passing result is cached, so the Jotform API is only called once per form and
+ * process unless `force` is set. Failing results are re-checked on every call.
+ *
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.formId] - Form ID to check (defaults to every configured form)
+ * @param {boolean} [options.force=false] - Re-check even if a passing result is cached
+ * @returns {Promise<{valid: boolean, problems: string[]}>} Validation result; problems are prefixed with the form when several forms are checked
+ */
+async function checkFieldMapping({ formId, force = false } = {}) {
+  const forms = formId ? [getJotformForm(formId)] : JOTFORM_FORMS;
+  if (forms.includes(null)) {
+    return { valid: false, problems: [`Form ${formId} is not configured`] };
+  }
+
+  const problems = [];
+  for (const form of forms) {
+    let check = fieldMappingChecks.get(form.formId);
+
+    if (!check?.valid || force) {
+      const questions = await getFormQuestions(form.formId);
+      check = validateMappingAgainstQuestions(questions, form.mapping);
+      fieldMappingChecks.set(form.formId, check);
+
+      if (!check.valid) {
+        console.error(`Jotform field mapping ${form.mappingFile} does not match form ${form.formId}:\n- ${check.problems.join('\n- ')}`);
+      }
+    }
+
+    const prefix = forms.length > 1 ? `${form.label} (${form.mappingFile}): ` : '';
+    problems.push(...check.problems.map(problem => `${prefix}${problem}`));
+  }
+
+  return { valid: problems.length === 0, problems };
+}
+
+/**
+ * Throws if the field mapping does not match the form's question list
+ * Call before ingesting so a form change fails loudly instead of producing empty columns
+ *
+ * @param {Object} [options] - Options passed to checkFieldMapping
+ * @returns {Promise<void>}
+ */
+async function assertFieldMapping(options) {
+  const { valid, problems } = await checkFieldMapping(options);
+  if (!valid) {
+    throw new Error(`Jotform field mapping error: ${problems.join('; ')}. Update the form's field mapping file in lib/ to match the form.`);
+  }
+}
+
 /**
  * Format a submission from Jotform API to match our database schema
  * @param {JotformSubmission} submission - Raw submission from Jotform API
+ * @param {Object} [form] - Configured form the submission belongs to (defaults to the form named by submission.form_id)
  * @returns {Object|null} Formatted submission or null if invalid
  */
-function formatSubmission(submission) {
+function formatSubmission(submission, form = getJotformForm(submission?.form_id)) {
   if (!submission?.id) {
     console.warn('Invalid submission: missing ID', { submissionFragment: JSON.stringify(submission).substring(0, 100) });
     return { invalid: true, reason: 'missing_id', originalSubmission: submission };
   }
 
+  if (!form) {
+    console.warn(`Submission ${submission.id} belongs to unconfigured form ${submission.form_id}`);
+    return { invalid: true, reason: 'unknown_form', submissionId: submission.id };
+  }
+
   try {
     // Safely parse the created_at timestamp
     let createdAt;
@@ -124,32 +186,12 @@ function formatSubmission(submission) {
       });
     }
 
-    // Map to database schema based on the provided mapping
-    // Import cleaner at the top
-    // const { cleanProductName } = require('./product-title-cleaner');
-
-    // Store the original title without cleaning it
-    // This preserves the raw data for the dedicated cleaning step
-    const originalTitle = answers['10']?.answer || '';
-    
+    // Map answers to database columns using the form's field mapping.
+    // select_product keeps the original title; cleaning is a dedicated step
     const formatted = {
       submission_id: submission.id,
-      reviewer: answers['4']?.answer || '',
-      select_product: originalTitle,
-      snuff_type: answers['18']?.answer || '',
-      tobacco: answers['20']?.answer || '',
-      moisture: answers['26']?.answer || '',
-      grind: answers['27']?.answer || '',
-      nicotine: answers['28']?.answer || '',
-      ease_of_use: answers['29']?.answer || '',
-      review: answers['35']?.answer || '',
-      star_rating: parseInt(answers['36']?.answer, 10) || 0,
-      cure: answers['38']?.answer || '',
-      tasting_notes: answers['40']?.answer || '',
-      fermented: (answers['41']?.answer || '').toLowerCase() === 'yes',
-      oral_tobacco: (answers['42']?.answer || '').toLowerCase() === 'yes',
-      artisan: (answers['43']?.answer || '').toLowerCase() === 'yes',
-      rating_boost: parseInt(answers['46']?.answer, 10) || 0,
+      form_id: form.formId,
+      ...mapAnswers(answers, form.mapping),
       created_at: submission.created_at || new Date().toISOString(),
       raw_json: JSON.stringify(submission)
     };
@@ -166,92 +208,239 @@ function formatSubmission(submission) {
   }
 }
 
+// Jotform timestamps look like "2023-05-01 12:34:56" (form owner's timezone)
+const JOTFORM_DATE_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
 /**
- * Sync submissions from Jotform to the database
- * @param {Object} options - Sync options
- * @param {number} [options.limit=100] - Max number of submissions to sync
- * @param {Date|string} [options.since] - Only sync submissions after this date
- * @returns {Promise<{total: number, new: number, updated: number, errors: number}>} Sync results
+ * Converts a date to Jotform's "YYYY-MM-DD HH:MM:SS" format
+ * @param {Date|string} date - Date object or date string
+ * @returns {string} Date in Jotform format
  */
-async function syncSubmissions({ limit = 100, since } = {}) {
-  const client = await db.getClient();
-  
-  try {
-    await client.query('BEGIN');
-    
-    // Get the latest submission date in the database for comparison
-    const lastDateResult = await client.query('SELECT MAX(created_at) as last_date FROM jotform');
-    const lastDate = lastDateResult.rows[0].last_date || '2023-01-01 00:00:00';
-    // Last submission date log removed for performance
-    
-    // Build filter for new submissions
-    let filter;
-    if (since) {
-      const sinceDate = typeof since === 'string' ? new Date(since) : since;
-      filter = `created_at:gt:${sinceDate.toISOString()}`;
-    }
-
-    // Fetch submissions from Jotform
-    const submissions = await fetchSubmissions({
-      limit,
-      filter,
-      orderby: 'created_at',
-      direction: 'ASC'
-    });
+function toJotformDate(date) {
+  if (typeof date === 'string' && JOTFORM_DATE_PATTERN.test(date)) {
+    return date;
+  }
+  const parsed = typeof date === 'string' ? new Date(date) : date;
+  return parsed.toISOString().replace('T', ' ').split('.')[0];
+}
 
-    if (submissions.length === 0) {
-      return { total: 0, new: 0, updated: 0, errors: 0 };
-    }
+/**
+ * Shifts a Jotform date string by a number of seconds without timezone conversion
+ * @param {string} jotformDate - Date in Jotform format
+ * @param {number} seconds - Seconds to add (negative to subtract)
+ * @returns {string} Shifted date in Jotform format
+ */
+function shiftJotformDate(jotformDate, seconds) {
+  // Treat the wall-clock time as UTC so the shift never crosses a timezone
+  const date = new Date(`${jotformDate.replace(' ', 'T')}Z`);
+  date.setUTCSeconds(date.getUTCSeconds() + seconds);
+  return toJotformDate(date);
+}
 
-    // Format submissions for database
-    const formattedSubmissions = submissions
-      .map(formatSubmission)
-      .filter(Boolean); // Remove any null/undefined
+/**
+ * Derives a starting high-water mark from the newest stored submission of a form
+ * Used the first time the paged sync runs against an existing database
+ *
+ * @param {Object} client - Database client
+ * @param {Object} form - Configured form
+ * @returns {Promise<string|null>} Date in Jotform format or null if the form has no stored submissions
+ */
+async function getStoredHighWaterMark(client, form) {
+  // Rows without a form ID predate multi-form support and belong to the primary form
+  const result = await client.query(`
+    SELECT to_char(MAX(created_at), 'YYYY-MM-DD HH24:MI:SS') AS mark
+    FROM jotform
+    WHERE form_id = $1 OR (form_id IS NULL AND $2::boolean)
+  `, [form.formId, form === JOTFORM_FORMS[0]]);
+  return result.rows[0]?.mark || null;
+}
 
-    if (formattedSubmissions.length === 0) {
-      console.warn('No valid submissions to process');
-      return { total: 0, new: 0, updated: 0, errors: 0 };
+/**
+ * Sync the submissions of one form from Jotform to the database
+ * 
+ * Pages through every submission created since the form's persisted high-water mark
+ * (sync_state table). Each page is inserted and the mark advanced in a single
+ * transaction, so a sync that crashes resumes from the last committed page.
+ * 
+ * @param {Object} client - Database client
+ * @param {Object} form - Configured form
+ * @param {Object} options - Sync options (see syncSubmissions)
+ * @returns {Promise<Object>} Sync results for the form
+ */
+async function syncFormSubmissions(client, form, { pageSize, maxPages, since }) {
+  const syncKey = getFormSyncKey(JOTFORM_SYNC_KEY, form.formId);
+  const summary = {
+    formId: form.formId,
+    label: form.label,
+    pagesFetched: 0,
+    fetched: 0,
+    saved: 0,
+    skipped: 0,
+    skippedExisting: 0,
+    skippedInvalid: 0,
+    invalidReasons: {},
+    highWaterMark: null
+  };
+  
+  try {
+    // The primary form continues from the mark stored before multi-form support
+    let state = await getSyncState(client, syncKey);
+    if (!state && form === JOTFORM_FORMS[0]) {
+      state = await getSyncState(client, JOTFORM_SYNC_KEY);
     }
-
-    // Check which submissions already exist
-    const submissionIds = formattedSubmissions.map(s => s.submission_id);
-    const existingIds = await getExistingSubmissionIds(submissionIds);
     
-    // Existing submission log removed for performance
+    let highWaterMark = since
+      ? toJotformDate(since)
+      : state?.high_water_mark || await getStoredHighWaterMark(client, form);
+    summary.highWaterMark = highWaterMark;
     
-    // Filter out submissions that already exist
-    const newSubmissions = formattedSubmissions.filter(s => !existingIds.includes(s.submission_id));
+    await saveSyncState(client, syncKey, {
+      last_run_started_at: new Date(),
+      last_error: null
+    });
     
-    if (newSubmissions.length === 0) {
-      // No new submissions log removed for performance
-      await client.query('COMMIT');
-      return { 
-        total: formattedSubmissions.length, 
-        new: 0, 
-        updated: 0, 
-        errors: 0 
-      };
-    }
+    // Step back one second: Jotform only offers a strict "gt" filter, and other
+    // submissions may share the mark's second. Re-fetched rows are skipped as existing.
+    const filter = highWaterMark
+      ? { 'created_at:gt': shiftJotformDate(highWaterMark, -1) }
+      : undefined;
     
-    // Insertion log removed for performance
+    let offset = 0;
+    while (summary.pagesFetched < maxPages) {
+      const submissions = await fetchSubmissions({
+        limit: pageSize,
+        offset,
+        filter,
+        orderby: 'created_at',
+        direction: 'ASC',
+        formId: form.formId
+      });
+      summary.pagesFetched++;
+      summary.fetched += submissions.length;
+      
+      if (submissions.length === 0) {
+        break;
+      }
+      
+      await client.query('BEGIN');
+      try {
+        // Separate valid submissions from invalid ones
+        const validSubmissions = [];
+        for (const formatted of submissions.map(submission => formatSubmission(submission, form))) {
+          if (formatted && !formatted.invalid) {
+            validSubmissions.push(formatted);
+          } else if (formatted) {
+            const reason = formatted.reason || 'unknown';
+            summary.invalidReasons[reason] = (summary.invalidReasons[reason] || 0) + 1;
+            summary.skippedInvalid++;
+          }
+        }
+        
+        const existingIds = await getExistingSubmissionIds(
+          validSubmissions.map(s => s.submission_id),
+          client
+        );
+        const newSubmissions = validSubmissions.filter(s => !existingIds.includes(s.submission_id));
+        summary.skippedExisting += validSubmissions.length - newSubmissions.length;
+        
+        const insertResult = await insertSubmissions(newSubmissions, client);
+        summary.saved += insertResult?.rowCount || 0;
+        
+        // Advance the mark to the newest submission on this page
+        const newest = submissions
+          .filter(s => s?.id && JOTFORM_DATE_PATTERN.test(s.created_at || ''))
+          .reduce((latest, s) => (!latest || s.created_at >= latest.created_at ? s : latest), null);
+        
+        if (newest && (!highWaterMark || newest.created_at >= highWaterMark)) {
+          highWaterMark = newest.created_at;
+          await saveSyncState(client, syncKey, {
+            high_water_mark: highWaterMark,
+            last_submission_id: newest.id
+          });
+        }
+        
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+      
+      if (submissions.length < Math.min(1000, pageSize)) {
+        break;
+      }
+      offset += submissions.length;
+    }
     
-    // Insert new submissions
-    const insertResult = await insertSubmissions(newSubmissions);
-    const insertedCount = insertResult?.rowCount || 0;
+    summary.skipped = summary.skippedExisting + summary.skippedInvalid;
+    summary.highWaterMark = highWaterMark;
     
-    // Success log removed for performance
+    await saveSyncState(client, syncKey, {
+      last_run_completed_at: new Date(),
+      last_run_summary: summary
+    });
     
-    // Commit transaction
-    await client.query('COMMIT');
+    return summary;
+  } catch (error) {
+    try {
+      await saveSyncState(client, syncKey, { last_error: error.message });
+    } catch (stateError) {
+      console.error('Error recording sync failure:', stateError);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sync submissions from Jotform to the database
+ * 
+ * Syncs each configured form in turn (see syncFormSubmissions). Totals are summed
+ * over the forms; per-form results are returned in `forms`.
+ * 
+ * @param {Object} options - Sync options
+ * @param {string} [options.formId] - Only sync this form (defaults to every configured form)
+ * @param {number} [options.pageSize=1000] - Submissions requested per page (Jotform max is 1000)
+ * @param {number} [options.maxPages=Infinity] - Stop after this many pages per form; the next sync continues from the mark
+ * @param {Date|string} [options.since] - Override the stored high-water marks
+ * @returns {Promise<{success: boolean, pagesFetched: number, fetched: number, saved: number, skipped: number, skippedExisting: number, skippedInvalid: number, invalidReasons: Object, highWaterMark: string|null, forms: Object[]}>} Sync results
+ */
+async function syncSubmissions({ formId, pageSize = 1000, maxPages = Infinity, since } = {}) {
+  const forms = formId ? [getJotformForm(formId)] : JOTFORM_FORMS;
+  if (forms.includes(null)) {
+    throw new Error(`Form ${formId} is not configured`);
+  }
+
+  const client = await db.getClient();
+  const summary = {
+    success: true,
+    pagesFetched: 0,
+    fetched: 0,
+    saved: 0,
+    skipped: 0,
+    skippedExisting: 0,
+    skippedInvalid: 0,
+    invalidReasons: {},
+    highWaterMark: null,
+    forms: []
+  };
+  
+  try {
+    for (const form of forms) {
+      const formSummary = await syncFormSubmissions(client, form, { pageSize, maxPages, since });
+      summary.forms.push(formSummary);
+      
+      for (const key of ['pagesFetched', 'fetched', 'saved', 'skipped', 'skippedExisting', 'skippedInvalid']) {
+        summary[key] += formSummary[key];
+      }
+      for (const [reason, count] of Object.entries(formSummary.invalidReasons)) {
+        summary.invalidReasons[reason] = (summary.invalidReasons[reason] || 0) + count;
+      }
+      if (formSummary.highWaterMark && (!summary.highWaterMark || formSummary.highWaterMark > summary.highWaterMark)) {
+        summary.highWaterMark = formSummary.highWaterMark;
+      }
+    }
     
-    return {
-      total: formattedSubmissions.length,
-      new: insertedCount,
-      updated: 0,
-      errors: formattedSubmissions.length - insertedCount - (formattedSubmissions.length - newSubmissions.length)
-    };
+    return summary;
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Error in syncSubmissions:', error);
     throw error;
   } finally {
@@ -262,12 +451,13 @@ async function syncSubmissions({ limit = 100, since } = {}) {
 /**
  * Get existing submission IDs from the database
  * @param {string[]} submissionIds - Array of submission IDs to check
+ * @param {Object} [dbClient] - Optional database client (for transactions)
  * @returns {Promise<string[]>} Array of existing submission IDs
  */
-async function getExistingSubmissionIds(submissionIds) {
+async function getExistingSubmissionIds(submissionIds, dbClient = null) {
   if (submissionIds.length === 0) return [];
   
-  const client = await db.getClient();
+  const client = dbClient || await db.getClient();
   try {
     // Split into chunks to avoid SQL parameter limits
     const chunkSize = 1000;
@@ -292,29 +482,37 @@ async function getExistingSubmissionIds(submissionIds) {
     console.error('Error checking existing submissions:', error);
     throw error;
   } finally {
-    client.release();
+    // Only release the client if we created it
+    if (!dbClient) {
+      client.release();
+    }
   }
 }
 
 /**
  * Insert submissions into the database
  * @param {Array<Object>} submissions - Array of formatted submission objects
+ * @param {Object} [dbClient] - Optional database client; the caller then owns the transaction
  * @returns {Promise<Object>} Result object with count of inserted rows
  */
-async function insertSubmissions(submissions) {
+async function insertSubmissions(submissions, dbClient = null) {
   if (!submissions.length) return { rowCount: 0 };
   
   // Filter out any submissions that might still have the invalid flag
   submissions = submissions.filter(submission => !submission.invalid);
+  if (!submissions.length) return { rowCount: 0 };
   
-  const client = await db.getClient();
+  const client = dbClient || await db.getClient();
   
   try {
-    await client.query('BEGIN');
+    if (!dbClient) {
+      await client.query('BEGIN');
+    }
     
     // Build the query
     const columns = [
       'submission_id', 
+      'form_id',
       'reviewer',
       'select_product',
       'snuff_type',
@@ -344,6 +542,7 @@ async function insertSubmissions(submissions) {
     for (const submission of submissions) {
       const submissionValues = [
         submission.submission_id,
+        submission.form_id || null,
         submission.reviewer,
         submission.select_product,
         submission.snuff_type,
@@ -384,25 +583,36 @@ async function insertSubmissions(submissions) {
     // Execute the query
     const result = await client.query(query, values);
     
-    // Commit the transaction
-    await client.query('COMMIT');
+    // Commit the transaction if we started it
+    if (!dbClient) {
+      await client.query('COMMIT');
+    }
     
     return result;
     
   } catch (error) {
-    // Rollback the transaction on error
-    await client.query('ROLLBACK');
+    // Rollback the transaction on error if we started it
+    if (!dbClient) {
+      await client.query('ROLLBACK');
+    }
     console.error('Error inserting submissions:', error);
     throw error;
     
   } finally {
-    client.release();
+    if (!dbClient) {
+      client.release();
+    }
   }
 }
 
 // Export all functions as a single module
 export {
+  assertFieldMapping,
+  checkFieldMapping,
   fetchSubmissions,
+  JOTFORM_DATE_PATTERN,
+  shiftJotformDate,
+  toJotformDate,
   formatSubmission, getExistingSubmissionIds,
   insertSubmissions, syncSubmissions
 };
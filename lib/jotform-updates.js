@@ -0,0 +1,385 @@
+/**
+ * Jotform edit detection
+ *
+ * Finds submissions that were edited in Jotform after we fetched them, updates
+ * the stored jotform row, records a field-level diff in jotform_submission_changes,
+ * and moves the submission back in the pipeline so its specification is regenerated.
+ */
+
+import { createHash } from 'crypto';
+import db from './db';
+import {
+  fetchSubmissions,
+  formatSubmission,
+  JOTFORM_DATE_PATTERN,
+  shiftJotformDate,
+  toJotformDate
+} from './jotform-submissions';
+import { MAPPABLE_COLUMNS } from './jotform-field-mapping';
+import { getJotformForm, JOTFORM_FORMS } from './jotform-forms';
+import { getFormSyncKey, getSyncState, JOTFORM_UPDATES_SYNC_KEY, saveSyncState } from './sync-state';
+import { STATUS, updateSubmissionStatus } from './submission-status';
+
+// Columns that feed title cleaning and Shopify mapping; a change restarts the pipeline
+const TITLE_COLUMNS = ['select_product'];
+
+/**
+ * Hashes the answers of a submission
+ * Only answers are hashed: Jotform toggles flags such as "new" when a submission is viewed
+ *
+ * @param {Object} submission - Raw submission from Jotform API
+ * @returns {string} SHA-256 hex digest
+ */
+function hashAnswers(submission) {
+  return createHash('sha256')
+    .update(JSON.stringify(submission?.answers || {}))
+    .digest('hex');
+}
+
+/**
+ * Normalizes a column value so stored and freshly formatted values compare equal
+ * @param {*} value - Column value
+ * @returns {string|number|boolean} Normalized value
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean' || typeof value === 'number') return value;
+  return String(value).trim();
+}
+
+/**
+ * Computes the field-level diff between a stored jotform row and a re-formatted submission
+ * @param {Object} storedRow - Row from the jotform table
+ * @param {Object} formatted - Output of formatSubmission
+ * @returns {Object.<string, {from: *, to: *}>} Changed columns
+ */
+function diffSubmission(storedRow, formatted) {
+  const changes = {};
+
+  for (const column of MAPPABLE_COLUMNS) {
+    if (!(column in formatted)) continue;
+
+    const from = normalizeValue(storedRow[column]);
+    const to = normalizeValue(formatted[column]);
+    if (from !== to) {
+      changes[column] = { from: storedRow[column] ?? null, to: formatted[column] };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Decides which pipeline state an edited submission should return to
+ * - Title edits restart the pipeline at FETCHED (re-clean and re-map)
+ * - Other edits to a generated specification return to SHOPIFY_MAPPED (regenerate)
+ * - Submissions that errored restart at FETCHED
+ * - Ignored submissions and submissions still early in the pipeline keep their state
+ *
+ * @param {string} currentStatus - Current submission status
+ * @param {string[]} changedColumns - Columns that changed
+ * @returns {string} The status the submission should have
+ */
+function getStatusAfterEdit(currentStatus, changedColumns) {
+  const status = currentStatus || STATUS.FETCHED;
+
+  // Deleted or spam submissions stay ignored; only reconciliation brings them back
+  if (status === STATUS.IGNORE) {
+    return status;
+  }
+
+  if (status === STATUS.ERROR) {
+    return STATUS.FETCHED;
+  }
+
+  if (changedColumns.some(column => TITLE_COLUMNS.includes(column))) {
+    return STATUS.FETCHED;
+  }
+
+  if (status === STATUS.SPECIFICATION_GENERATED) {
+    return STATUS.SHOPIFY_MAPPED;
+  }
+
+  return status;
+}
+
+/**
+ * Applies an edit to a stored submission inside the caller's transaction
+ * Updates the changed columns, resets the status and records the diff
+ *
+ * @param {Object} client - Database client
+ * @param {Object} storedRow - Row from the jotform table
+ * @param {Object} submission - Raw submission from Jotform API
+ * @param {Object} formatted - Output of formatSubmission
+ * @param {Object.<string, {from: *, to: *}>} changes - Column diff
+ * @param {'jotform_edit'|'rederive'} [source='jotform_edit'] - What produced the change, recorded with the diff
+ * @returns {Promise<{previousStatus: string, newStatus: string}>} Status change
+ */
+async function applySubmissionEdit(client, storedRow, submission, formatted, changes, source = 'jotform_edit') {
+  const changedColumns = Object.keys(changes);
+  const previousStatus = storedRow.status || STATUS.FETCHED;
+  const newStatus = getStatusAfterEdit(previousStatus, changedColumns);
+
+  // Update the changed columns and the stored raw JSON
+  const assignments = changedColumns.map((column, index) => `${column} = $${index + 1}`);
+  const values = changedColumns.map(column => formatted[column]);
+
+  assignments.push(`raw_json = $${values.length + 1}`);
+  values.push(formatted.raw_json);
+
+  // A new title must be cleaned again
+  if (newStatus === STATUS.FETCHED && previousStatus !== STATUS.FETCHED) {
+    assignments.push('cleaned_product_title = NULL', 'title_cleaning_trace = NULL');
+  }
+
+  values.push(storedRow.submission_id);
+  await client.query(`
+    UPDATE jotform
+    SET ${assignments.join(', ')}, last_updated = CURRENT_TIMESTAMP
+    WHERE submission_id = $${values.length}
+  `, values);
+
+  if (newStatus !== previousStatus) {
+    // Moving backwards is not a forward pipeline transition, so skip validation
+    const updateResult = await updateSubmissionStatus(client, storedRow.submission_id, newStatus, null, true);
+    if (!updateResult.success) {
+      throw new Error(`Failed to reset status of ${storedRow.submission_id}: ${updateResult.errorMessage}`);
+    }
+  }
+
+  await client.query(`
+    INSERT INTO jotform_submission_changes (
+      submission_id, jotform_updated_at, changes, previous_status, new_status, source
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    storedRow.submission_id,
+    submission.updated_at || null,
+    JSON.stringify(changes),
+    previousStatus,
+    newStatus,
+    source
+  ]);
+
+  return { previousStatus, newStatus };
+}
+
+/**
+ * Detects and ingests edits to already-fetched submissions of one form
+ *
+ * Pages through submissions whose Jotform updated_at is newer than the form's
+ * persisted mark (sync_state). A submission counts as edited when its updated_at
+ * differs from the stored raw JSON, or its answers hash differs. Submissions not
+ * stored yet are left to the regular fetch.
+ *
+ * @param {Object} client - Database client
+ * @param {Object} form - Configured form
+ * @param {Object} options - Detection options (see detectSubmissionUpdates)
+ * @returns {Promise<Object>} Summary for the form
+ */
+async function detectFormSubmissionUpdates(client, form, { pageSize, since }) {
+  const syncKey = getFormSyncKey(JOTFORM_UPDATES_SYNC_KEY, form.formId);
+  const summary = {
+    formId: form.formId,
+    label: form.label,
+    pagesFetched: 0,
+    fetched: 0,
+    changed: 0,
+    unchanged: 0,
+    notStored: 0,
+    statusResets: 0,
+    changes: [],
+    highWaterMark: null
+  };
+
+  try {
+    // The primary form continues from the mark stored before multi-form support
+    let state = await getSyncState(client, syncKey);
+    if (!state && form === JOTFORM_FORMS[0]) {
+      state = await getSyncState(client, JOTFORM_UPDATES_SYNC_KEY);
+    }
+    let highWaterMark = since ? toJotformDate(since) : state?.high_water_mark || null;
+
+    await saveSyncState(client, syncKey, {
+      last_run_started_at: new Date(),
+      last_error: null
+    });
+
+    // Never-edited submissions have no updated_at, so any "gt" filter excludes them
+    const filter = {
+      'updated_at:gt': highWaterMark ? shiftJotformDate(highWaterMark, -1) : '2000-01-01 00:00:00'
+    };
+
+    let offset = 0;
+    while (true) {
+      const submissions = await fetchSubmissions({
+        limit: pageSize,
+        offset,
+        filter,
+        orderby: 'updated_at',
+        direction: 'ASC',
+        formId: form.formId
+      });
+      summary.pagesFetched++;
+      summary.fetched += submissions.length;
+
+      if (submissions.length === 0) {
+        break;
+      }
+
+      await client.query('BEGIN');
+      try {
+        const storedResult = await client.query(
+          'SELECT * FROM jotform WHERE submission_id = ANY($1)',
+          [submissions.map(s => s?.id).filter(Boolean)]
+        );
+        const storedById = new Map(storedResult.rows.map(row => [row.submission_id, row]));
+
+        for (const submission of submissions) {
+          const storedRow = storedById.get(submission?.id);
+          if (!storedRow) {
+            summary.notStored++;
+            continue;
+          }
+
+          let storedSubmission = {};
+          try {
+            storedSubmission = JSON.parse(storedRow.raw_json || '{}');
+          } catch (e) {
+            // Unparseable raw JSON always counts as changed
+          }
+
+          const sameUpdatedAt = (storedSubmission.updated_at || null) === (submission.updated_at || null);
+          if (sameUpdatedAt && hashAnswers(storedSubmission) === hashAnswers(submission)) {
+            summary.unchanged++;
+            continue;
+          }
+
+          const formatted = formatSubmission(submission, form);
+          if (formatted.invalid) {
+            continue;
+          }
+
+          const changes = diffSubmission(storedRow, formatted);
+
+          if (Object.keys(changes).length === 0) {
+            // Only unmapped data changed; keep the raw JSON current without touching the pipeline
+            await client.query(
+              'UPDATE jotform SET raw_json = $1, last_updated = CURRENT_TIMESTAMP WHERE submission_id = $2',
+              [formatted.raw_json, storedRow.submission_id]
+            );
+            summary.unchanged++;
+            continue;
+          }
+
+          const { previousStatus, newStatus } = await applySubmissionEdit(client, storedRow, submission, formatted, changes);
+          summary.changed++;
+          if (newStatus !== previousStatus) {
+            summary.statusResets++;
+          }
+          if (summary.changes.length < 10) {
+            summary.changes.push({
+              submissionId: storedRow.submission_id,
+              changes,
+              previousStatus,
+              newStatus
+            });
+          }
+        }
+
+        // Advance the mark to the newest edit on this page
+        const newest = submissions
+          .map(s => s?.updated_at)
+          .filter(updatedAt => JOTFORM_DATE_PATTERN.test(updatedAt || ''))
+          .sort()
+          .pop();
+
+        if (newest && (!highWaterMark || newest >= highWaterMark)) {
+          highWaterMark = newest;
+          await saveSyncState(client, syncKey, { high_water_mark: highWaterMark });
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+
+      if (submissions.length < Math.min(1000, pageSize)) {
+        break;
+      }
+      offset += submissions.length;
+    }
+
+    summary.highWaterMark = highWaterMark;
+
+    await saveSyncState(client, syncKey, {
+      last_run_completed_at: new Date(),
+      last_run_summary: { ...summary, changes: undefined }
+    });
+
+    return summary;
+  } catch (error) {
+    try {
+      await saveSyncState(client, syncKey, { last_error: error.message });
+    } catch (stateError) {
+      console.error('Error recording update detection failure:', stateError);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Detects and ingests edits to already-fetched submissions
+ * Checks each configured form in turn (see detectFormSubmissionUpdates)
+ *
+ * @param {Object} options - Detection options
+ * @param {string} [options.formId] - Only check this form (defaults to every configured form)
+ * @param {number} [options.pageSize=1000] - Submissions requested per page
+ * @param {Date|string} [options.since] - Override the stored updated_at marks
+ * @returns {Promise<Object>} Summary with pagesFetched, fetched, changed, unchanged, notStored, statusResets, a sample of changes and per-form results in forms
+ */
+async function detectSubmissionUpdates({ formId, pageSize = 1000, since } = {}) {
+  const forms = formId ? [getJotformForm(formId)] : JOTFORM_FORMS;
+  if (forms.includes(null)) {
+    throw new Error(`Form ${formId} is not configured`);
+  }
+
+  const client = await db.getClient();
+  const summary = {
+    success: true,
+    pagesFetched: 0,
+    fetched: 0,
+    changed: 0,
+    unchanged: 0,
+    notStored: 0,
+    statusResets: 0,
+    changes: [],
+    forms: []
+  };
+
+  try {
+    for (const form of forms) {
+      const formSummary = await detectFormSubmissionUpdates(client, form, { pageSize, since });
+
+      for (const key of ['pagesFetched', 'fetched', 'changed', 'unchanged', 'notStored', 'statusResets']) {
+        summary[key] += formSummary[key];
+      }
+      summary.changes.push(...formSummary.changes.slice(0, 10 - summary.changes.length));
+      summary.forms.push({ ...formSummary, changes: undefined });
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('Error in detectSubmissionUpdates:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export {
+  applySubmissionEdit,
+  detectSubmissionUpdates,
+  diffSubmission,
+  getStatusAfterEdit
+};
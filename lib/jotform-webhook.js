@@ -0,0 +1,99 @@
+/**
+ * Jotform webhook helpers
+ *
+ * Verifies webhook requests and converts Jotform's webhook payload into the
+ * same submission shape the REST API returns, so it can go through formatSubmission.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { toJotformDate } from './jotform-submissions';
+
+/**
+ * Compares a provided secret with the configured one in constant time
+ * @param {string|null} provided - Secret sent with the request
+ * @param {string|null} expected - Configured shared secret
+ * @returns {boolean} Whether the secrets match
+ */
+export function verifyWebhookSecret(provided, expected) {
+  if (!provided || !expected) return false;
+
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(String(expected));
+  if (providedBuffer.length !== expectedBuffer.length) return false;
+
+  return timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Formats a date as a Jotform timestamp in the account's timezone
+ * @param {Date} date - Date to format
+ * @param {string|null} timeZone - IANA timezone; UTC when not set
+ * @returns {string} Date in Jotform format ("YYYY-MM-DD HH:MM:SS")
+ */
+function toJotformLocalDate(date, timeZone) {
+  if (!timeZone) return toJotformDate(date);
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Converts a Jotform webhook payload into an API-style submission
+ *
+ * The webhook sends rawRequest as a JSON string keyed by "q<qid>_<name>"
+ * (e.g. "q10_selectProduct"). Those keys become answers keyed by qid. The submit
+ * time is given in the account's timezone, as the API reports created_at.
+ *
+ * @param {Object.<string, string>} fields - Webhook form fields (formID, submissionID, rawRequest, ...)
+ * @param {Object} [options] - Conversion options
+ * @param {string|null} [options.timeZone] - Timezone of the Jotform account
+ * @returns {Object} Submission with id, form_id, created_at, status and answers
+ * @throws {Error} If the payload has no submission ID or rawRequest is not valid JSON
+ */
+export function webhookPayloadToSubmission(fields, { timeZone = null } = {}) {
+  const submissionId = fields.submissionID || fields.submission_id;
+  if (!submissionId) {
+    throw new Error('Webhook payload is missing submissionID');
+  }
+
+  let rawRequest = {};
+  if (fields.rawRequest) {
+    try {
+      rawRequest = typeof fields.rawRequest === 'string' ? JSON.parse(fields.rawRequest) : fields.rawRequest;
+    } catch (error) {
+      throw new Error(`Webhook rawRequest is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const answers = {};
+  for (const [key, value] of Object.entries(rawRequest)) {
+    const match = key.match(/^q(\d+)_(.+)$/);
+    if (match) {
+      answers[match[1]] = { name: match[2], answer: value };
+    }
+  }
+
+  // submitDate is epoch milliseconds when present; otherwise use the receive time
+  const submitDate = Number(rawRequest.submitDate);
+  const createdAt = toJotformLocalDate(Number.isFinite(submitDate) && submitDate > 0 ? new Date(submitDate) : new Date(), timeZone);
+
+  return {
+    id: String(submissionId),
+    form_id: fields.formID || rawRequest.formID || null,
+    created_at: createdAt,
+    status: 'ACTIVE',
+    answers,
+    webhook: true
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Network error detection for API clients
+ *
+ * fetch rejects with a TypeError both when the network fails and when the
+ * request itself is invalid, so retries are limited to errors carrying a
+ * known network error code (on the error or its cause).
+ */
+
+// Network error codes worth retrying
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+];
+
+/**
+ * Checks whether an error is a transient network failure
+ * @param {Error} error - Error thrown by fetch or an SDK
+ * @returns {boolean} Whether the request may succeed when retried
+ */
+function isNetworkError(error) {
+  const code = error?.code || error?.cause?.code;
+  return RETRYABLE_NETWORK_CODES.includes(code);
+}
+
+module.exports = {
+  isNetworkError
+};
@@ -0,0 +1,254 @@
+/**
+ * Specifications aggregated per Shopify product
+ *
+ * A product usually has several specifications, one per review. This module
+ * combines them per shopify_handle into a consensus profile: the most common value
+ * of each single-choice field, every tobacco type, cure and tasting note ordered by
+ * how often it was chosen, the average star rating with each review's rating boost
+ * applied, and the majority of each flag.
+ */
+
+import { getCachedProductByHandle } from './shopify-catalog';
+
+// Highest star rating a review can give, also with its rating boost
+const MAX_STAR_RATING = 5;
+
+/**
+ * Picks the most common value, breaking ties by first appearance
+ * @param {Array} values - Values, nulls ignored
+ * @returns {*} Most common value, or null when there is none
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Counts how many specifications chose each value, most often chosen first
+ * @param {Array<string[]|string|null>} lists - Names chosen per specification (one name or a list)
+ * @returns {Array<{name: string, count: number}>} Distinct names with their counts
+ */
+function countFrequencies(lists) {
+  const counts = new Map();
+  for (const list of lists) {
+    if (list === null || list === undefined) continue;
+    for (const name of new Set(Array.isArray(list) ? list : [list])) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Lists every value chosen across specifications, most often chosen first
+ * @param {string[][]} lists - Names chosen per specification
+ * @returns {string[]} Distinct names
+ */
+function byFrequency(lists) {
+  return countFrequencies(lists).map(({ name }) => name);
+}
+
+/**
+ * Applies a review's rating boost to its star rating
+ * @param {Object} row - Specification row with star_rating and rating_boost
+ * @returns {number|null} Boosted rating capped to 1..MAX_STAR_RATING, or null when the review is unrated (0)
+ */
+function boostedRating(row) {
+  if (!(row.star_rating > 0)) return null;
+  const rating = row.star_rating + (row.rating_boost || 0);
+  return Math.min(MAX_STAR_RATING, Math.max(1, rating));
+}
+
+/**
+ * Averages ratings to one decimal
+ * @param {number[]} ratings - Ratings, nulls ignored
+ * @returns {number|null} Average, or null when nothing is rated
+ */
+function averageRating(ratings) {
+  const rated = ratings.filter(rating => rating !== null);
+  if (rated.length === 0) return null;
+  return Math.round((rated.reduce((sum, rating) => sum + rating, 0) / rated.length) * 10) / 10;
+}
+
+/**
+ * Loads the names of one junction table per specification
+ * @param {Object} client - Database client
+ * @param {string} junctionTable - e.g. spec_cures
+ * @param {string} enumColumn - e.g. enum_cure_id
+ * @param {string} enumTable - e.g. enum_cures
+ * @param {number[]} specificationIds - Specifications to load
+ * @returns {Promise<Map<number, string[]>>} Names by specification ID
+ */
+async function loadJunctionNames(client, junctionTable, enumColumn, enumTable, specificationIds) {
+  const result = await client.query(`
+    SELECT j.specification_id, e.name
+    FROM ${junctionTable} j
+    JOIN ${enumTable} e ON e.id = j.${enumColumn}
+    WHERE j.specification_id = ANY($1)
+    ORDER BY e.name
+  `, [specificationIds]);
+
+  const names = new Map();
+  for (const row of result.rows) {
+    if (!names.has(row.specification_id)) names.set(row.specification_id, []);
+    names.get(row.specification_id).push(row.name);
+  }
+  return names;
+}
+
+/**
+ * Loads the specifications of Shopify products with their enum names
+ * @param {Object} client - Database client
+ * @param {string[]} [handles] - Handles to load; every product with specifications when omitted
+ * @returns {Promise<{rows: Object[], tobaccoTypes: Map, cures: Map, tastingNotes: Map}>} Specification rows by
+ *   handle and ID, and the junction names by specification ID
+ */
+async function loadProductSpecifications(client, handles) {
+  const result = await client.query(`
+    SELECT
+      s.id, s.submission_id, s.shopify_handle, s.shopify_product_id, s.star_rating, s.rating_boost,
+      s.review, s.is_fermented, s.is_oral_tobacco, s.is_artisan, s.created_at,
+      u.name AS reviewer,
+      pt.name AS product_type, pb.name AS product_brand, g.name AS grind,
+      ml.name AS moisture_level, nl.name AS nicotine_level, el.name AS experience_level
+    FROM specifications s
+    LEFT JOIN users u ON u.id = s.user_id
+    LEFT JOIN enum_product_types pt ON pt.id = s.product_type_id
+    LEFT JOIN enum_product_brands pb ON pb.id = s.product_brand_id
+    LEFT JOIN enum_grinds g ON g.id = s.grind_id
+    LEFT JOIN enum_moisture_levels ml ON ml.id = s.moisture_level_id
+    LEFT JOIN enum_nicotine_levels nl ON nl.id = s.nicotine_level_id
+    LEFT JOIN enum_experience_levels el ON el.id = s.experience_level_id
+    WHERE s.shopify_handle IS NOT NULL AND s.shopify_handle <> ''
+      AND ($1::text[] IS NULL OR s.shopify_handle = ANY($1))
+    ORDER BY s.shopify_handle, s.id
+  `, [handles || null]);
+
+  const specificationIds = result.rows.map(row => row.id);
+  const tobaccoTypes = await loadJunctionNames(client, 'spec_tobacco_types', 'enum_tobacco_type_id', 'enum_tobacco_types', specificationIds);
+  const cures = await loadJunctionNames(client, 'spec_cures', 'enum_cure_id', 'enum_cures', specificationIds);
+  const tastingNotes = await loadJunctionNames(client, 'spec_tasting_notes', 'enum_tasting_note_id', 'enum_tasting_notes', specificationIds);
+
+  return { rows: result.rows, tobaccoTypes, cures, tastingNotes };
+}
+
+/**
+ * Combines the specifications of one product into its consensus
+ * @param {string} handle - Product handle
+ * @param {Object[]} rows - Specification rows of the product
+ * @param {Object} junctions - Junction names by specification ID (tobaccoTypes, cures, tastingNotes)
+ * @returns {Object} Summary of the product
+ */
+function summarizeProduct(handle, rows, { tobaccoTypes, cures, tastingNotes }) {
+  const majority = column => rows.filter(row => row[column]).length * 2 > rows.length;
+  // Unrated specifications (0) don't pull the average down
+  const ratings = rows.map(boostedRating).filter(rating => rating !== null);
+
+  return {
+    handle,
+    productId: mostCommon(rows.map(row => row.shopify_product_id)),
+    specificationCount: rows.length,
+    productType: mostCommon(rows.map(row => row.product_type)),
+    productBrand: mostCommon(rows.map(row => row.product_brand)),
+    grind: mostCommon(rows.map(row => row.grind)),
+    moistureLevel: mostCommon(rows.map(row => row.moisture_level)),
+    nicotineLevel: mostCommon(rows.map(row => row.nicotine_level)),
+    experienceLevel: mostCommon(rows.map(row => row.experience_level)),
+    tobaccoTypes: byFrequency(rows.map(row => tobaccoTypes.get(row.id) || [])),
+    cures: byFrequency(rows.map(row => cures.get(row.id) || [])),
+    tastingNotes: byFrequency(rows.map(row => tastingNotes.get(row.id) || [])),
+    starRating: averageRating(ratings),
+    ratingCount: ratings.length,
+    fermented: majority('is_fermented'),
+    oralTobacco: majority('is_oral_tobacco'),
+    artisan: majority('is_artisan')
+  };
+}
+
+/**
+ * Groups specification rows by handle, keeping their order
+ * @param {Object[]} rows - Specification rows
+ * @returns {Map<string, Object[]>} Rows by handle
+ */
+function groupByHandle(rows) {
+  const rowsByHandle = new Map();
+  for (const row of rows) {
+    if (!rowsByHandle.has(row.shopify_handle)) rowsByHandle.set(row.shopify_handle, []);
+    rowsByHandle.get(row.shopify_handle).push(row);
+  }
+  return rowsByHandle;
+}
+
+/**
+ * Aggregates the specifications of Shopify products
+ * @param {Object} client - Database client
+ * @param {string[]} [handles] - Handles to aggregate; every product with specifications when omitted
+ * @returns {Promise<Object[]>} One summary per handle: specificationCount (the review count), productType,
+ *   productBrand, grind, moistureLevel, nicotineLevel, experienceLevel, tobaccoTypes, cures, tastingNotes,
+ *   starRating (boosted average), ratingCount, fermented, oralTobacco and artisan
+ */
+export async function getProductSpecificationSummaries(client, handles) {
+  const { rows, ...junctions } = await loadProductSpecifications(client, handles);
+  return [...groupByHandle(rows)].map(([handle, productRows]) => summarizeProduct(handle, productRows, junctions));
+}
+
+/**
+ * Builds the full profile of one product: its consensus, how often each value was
+ * chosen, and the reviews it was built from
+ * @param {Object} client - Database client
+ * @param {string} handle - Product handle
+ * @returns {Promise<Object|null>} Profile with summary, product (cached Shopify title and image, or null),
+ *   frequencies per field, unboostedStarRating and reviews; null when the product has no specifications
+ */
+export async function getProductProfile(client, handle) {
+  const { rows, ...junctions } = await loadProductSpecifications(client, [handle]);
+  if (rows.length === 0) return null;
+
+  const { tobaccoTypes, cures, tastingNotes } = junctions;
+  const product = await getCachedProductByHandle(client, handle);
+
+  return {
+    summary: summarizeProduct(handle, rows, junctions),
+    product: product
+      ? { id: product.id, title: product.title, vendor: product.vendor, status: product.status, image: product.images[0]?.src || null }
+      : null,
+    frequencies: {
+      productType: countFrequencies(rows.map(row => row.product_type)),
+      productBrand: countFrequencies(rows.map(row => row.product_brand)),
+      grind: countFrequencies(rows.map(row => row.grind)),
+      moistureLevel: countFrequencies(rows.map(row => row.moisture_level)),
+      nicotineLevel: countFrequencies(rows.map(row => row.nicotine_level)),
+      experienceLevel: countFrequencies(rows.map(row => row.experience_level)),
+      tobaccoTypes: countFrequencies(rows.map(row => tobaccoTypes.get(row.id) || [])),
+      cures: countFrequencies(rows.map(row => cures.get(row.id) || [])),
+      tastingNotes: countFrequencies(rows.map(row => tastingNotes.get(row.id) || []))
+    },
+    unboostedStarRating: averageRating(rows.map(row => (row.star_rating > 0 ? row.star_rating : null))),
+    reviews: rows.map(row => ({
+      specificationId: row.id,
+      submissionId: row.submission_id,
+      reviewer: row.reviewer,
+      starRating: row.star_rating,
+      ratingBoost: row.rating_boost || 0,
+      boostedRating: boostedRating(row),
+      review: row.review,
+      createdAt: row.created_at
+    }))
+  };
+}
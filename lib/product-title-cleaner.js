@@ -1,5 +1,9 @@
 /**
  * Text cleaning utilities for consistent data formatting
+ *
+ * Product title rules come from lib/product-title-cleaning-rules.json until a
+ * version is saved from the rules editor; saved versions live in the
+ * title_cleaning_rule_versions table and are picked up without a restart.
  */
 const fs = require('fs');
 const path = require('path');
@@ -7,6 +11,148 @@ const path = require('path');
 // Path to the product title cleaning rules config file
 const PRODUCT_RULES_FILE = path.join(process.cwd(), 'lib', 'product-title-cleaning-rules.json');
 
+// Rule types: literal replaceAll, regular expression, or literal matched on word boundaries
+const RULE_TYPES = ['literal', 'regex', 'word'];
+
+// Flags accepted by RegExp
+const VALID_FLAGS = /^[dgimsuvy]*$/;
+
+// Letters and digits (any script) that a word-boundary match may not touch
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a regular expression, collecting a problem instead of throwing
+ * @param {string} pattern - Regex source
+ * @param {string} flags - Regex flags
+ * @param {string} label - Rule or exception label used in the problem message
+ * @param {string[]} problems - Problems found so far
+ * @returns {RegExp|null} The regex, or null if it is invalid
+ */
+function buildRegExp(pattern, flags, label, problems) {
+  if (!VALID_FLAGS.test(flags) || new Set(flags).size !== flags.length) {
+    problems.push(`${label}: invalid regex flags "${flags}"`);
+    return null;
+  }
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    problems.push(`${label}: invalid regex "${pattern}" (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Validates and compiles cleaning rules and exceptions
+ *
+ * Rules run in the order listed, each on the output of the previous one. A rule's
+ * `brands` scope is checked against the title as it is when the rule's turn comes,
+ * so a rule can rely on an earlier rule having normalized the brand. Exceptions are
+ * matched against the original (trimmed) title. Rules and exceptions with
+ * `enabled: false` are validated but left out of the result.
+ *
+ * @param {Object} rules - Rules object with generalRules and exceptions
+ * @param {Object} [options] - Compile options
+ * @param {Set<string>} [options.knownRuleIds] - Rule IDs defined elsewhere that exceptions may skip
+ * @returns {{generalRules: Object[], exceptions: Object[], ruleIds: Set<string>}} Compiled rules and exceptions, and every rule ID
+ * @throws {Error} Listing every problem if any rule or exception is invalid; the list is attached as `problems`
+ */
+function compileCleaningRules(rules, { knownRuleIds = new Set() } = {}) {
+  const problems = [];
+  const generalRules = [];
+  const exceptions = [];
+  const ruleIds = new Set();
+
+  (rules.generalRules || []).forEach((rule, index) => {
+    const label = `Rule ${rule?.id || `#${index + 1}`}`;
+    const type = rule?.type || 'literal';
+
+    if (!rule?.id || typeof rule.id !== 'string') {
+      problems.push(`${label}: id is required`);
+    } else if (ruleIds.has(rule.id)) {
+      problems.push(`${label}: duplicate id`);
+    }
+    if (!RULE_TYPES.includes(type)) {
+      problems.push(`${label}: unknown type "${type}" (expected ${RULE_TYPES.join(', ')})`);
+      return;
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+      problems.push(`${label}: pattern must be a non-empty string`);
+      return;
+    }
+    if (typeof rule.replacement !== 'string') {
+      problems.push(`${label}: replacement must be a string`);
+    }
+    if (rule.flags !== undefined && type === 'literal') {
+      problems.push(`${label}: flags are only supported for regex and word rules`);
+    }
+    if (rule.brands !== undefined
+      && (!Array.isArray(rule.brands) || rule.brands.length === 0 || !rule.brands.every(brand => typeof brand === 'string' && brand.trim()))) {
+      problems.push(`${label}: brands must be a non-empty array of brand names`);
+    }
+    ruleIds.add(rule.id);
+
+    // Regex rules replace every match unless told otherwise; word rules always do
+    let regex = null;
+    if (type === 'regex') {
+      regex = buildRegExp(rule.pattern, rule.flags ?? 'g', label, problems);
+    } else if (type === 'word') {
+      const flags = `gu${(rule.flags || '').replace(/[gu]/g, '')}`;
+      regex = buildRegExp(`(?<!${WORD_CHAR})${escapeRegExp(rule.pattern)}(?!${WORD_CHAR})`, flags, label, problems);
+    }
+
+    if (rule.enabled === false) return;
+    generalRules.push({
+      ...rule,
+      type,
+      regex,
+      brandPrefixes: Array.isArray(rule.brands) ? rule.brands.map(brand => brand.trim().toLowerCase()) : null
+    });
+  });
+
+  (rules.exceptions || []).forEach((exception, index) => {
+    const label = `Exception ${exception?.productName || exception?.pattern || `#${index + 1}`}`;
+    const hasName = typeof exception?.productName === 'string' && exception.productName !== '';
+    const hasPattern = typeof exception?.pattern === 'string' && exception.pattern !== '';
+
+    if (hasName === hasPattern) {
+      problems.push(`${label}: set either productName or pattern`);
+      return;
+    }
+    if (!Array.isArray(exception.skipRules)) {
+      problems.push(`${label}: skipRules must be an array`);
+      return;
+    }
+    for (const ruleId of exception.skipRules) {
+      if (!ruleIds.has(ruleId) && !knownRuleIds.has(ruleId)) {
+        problems.push(`${label}: skips unknown rule "${ruleId}"`);
+      }
+    }
+
+    if (exception.enabled === false) return;
+    exceptions.push({
+      ...exception,
+      regex: hasPattern ? buildRegExp(exception.pattern, exception.flags || '', label, problems) : null
+    });
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid product title cleaning rules:\n- ${problems.join('\n- ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return { generalRules, exceptions, ruleIds };
+}
+
 /**
  * Loads product title cleaning rules from the config file
  * @returns {Object} The rules object with generalRules and exceptions
@@ -33,81 +179,325 @@ function loadCleaningRules() {
 // Load rules from file (throws if not found or invalid)
 const CLEANING_RULES = loadCleaningRules();
 
+// Rules in use: the file's until a version is saved in title_cleaning_rule_versions
+let activeRules = {
+  version: null,
+  rules: CLEANING_RULES,
+  compiled: compileCleaningRules(CLEANING_RULES)
+};
+
 /**
- * Cleans up a product name based on the loaded rules and exceptions
- * 
- * @param {string} text - The product name to clean
- * @param {Object[]} [additionalRules=[]] - Custom general rules to apply
- * @param {Object[]} [additionalExceptions=[]] - Custom exceptions to apply
- * @returns {string|null} The cleaned product name, or null if input is empty
+ * Gets the rules currently used for cleaning
+ * @returns {{version: number|null, rules: Object}} Rules object and its database version (null for the rules file)
  */
-function cleanProductName(text, additionalRules = [], additionalExceptions = []) {
-  if (!text) return null;
-  
-  // Start with trimmed title
-  let cleaned = text.trim();
-  
-  // Get all rules and exceptions
-  const generalRules = [...CLEANING_RULES.generalRules, ...additionalRules];
-  const allExceptions = [...CLEANING_RULES.exceptions, ...additionalExceptions];
-  
-  // Check if this title matches any exception product names
-  const matchingExceptions = allExceptions.filter(exception => 
-    exception.productName === cleaned
+function getActiveCleaningRules() {
+  return { version: activeRules.version, rules: activeRules.rules };
+}
+
+/**
+ * Switches the cleaner to a rules version without a restart
+ * @param {Object} row - title_cleaning_rule_versions row
+ * @returns {void}
+ * @throws {Error} If the stored rules are invalid; the previous rules stay active
+ */
+function activateRulesVersion(row) {
+  const compiled = compileCleaningRules(row.rules);
+  activeRules = { version: row.version, rules: row.rules, compiled };
+}
+
+/**
+ * Reloads the rules if a newer version was saved, e.g. by another server process
+ * Call before cleaning; it costs one small query when nothing changed.
+ *
+ * @param {Object} client - Database client
+ * @returns {Promise<{version: number|null, reloaded: boolean}>} Active version and whether it changed
+ */
+async function refreshCleaningRules(client) {
+  const latest = await client.query('SELECT MAX(version) AS version FROM title_cleaning_rule_versions');
+  const latestVersion = latest.rows[0]?.version ?? null;
+
+  if (latestVersion === activeRules.version) {
+    return { version: activeRules.version, reloaded: false };
+  }
+
+  // No saved versions, e.g. after a save was rolled back: fall back to the rules file
+  if (latestVersion === null) {
+    activeRules = { version: null, rules: CLEANING_RULES, compiled: compileCleaningRules(CLEANING_RULES) };
+    return { version: null, reloaded: true };
+  }
+
+  const result = await client.query(
+    'SELECT version, rules FROM title_cleaning_rule_versions WHERE version = $1',
+    [latestVersion]
   );
-  
-  // Get list of rule IDs to skip
-  const skipRuleIds = matchingExceptions.length > 0 
-    ? matchingExceptions.reduce((acc, exception) => 
-        [...acc, ...(exception.skipRules || [])], 
-      [])
-    : [];
-  
-  // Apply each general rule, skipping those in the skipRuleIds list
-  for (const rule of generalRules) {
-    // Skip this rule if it's in the exception list for this product
-    if (skipRuleIds.includes(rule.id)) continue;
-    
-    // Apply the rule
-    if (typeof rule.pattern === 'string') {
-      // Replace all occurrences of the string pattern
-      cleaned = cleaned.replaceAll(rule.pattern, rule.replacement);
-    } else {
-      // For RegExp patterns if we decide to support them
-      cleaned = cleaned.replace(new RegExp(rule.pattern, 'g'), rule.replacement);
+  activateRulesVersion(result.rows[0]);
+
+  return { version: latestVersion, reloaded: true };
+}
+
+/**
+ * Normalizes a rules object from the editor: drops unknown fields and empty optional values
+ * @param {Object} rules - Rules object with generalRules and exceptions
+ * @returns {Object} Rules object in the documented format
+ * @throws {Error} If the generalRules or exceptions array is missing (with `problems` attached)
+ */
+function normalizeCleaningRules(rules) {
+  if (!Array.isArray(rules?.generalRules) || !Array.isArray(rules?.exceptions)) {
+    const error = new Error('Rules must contain generalRules and exceptions arrays');
+    error.problems = [error.message];
+    throw error;
+  }
+
+  // Only keep known, non-empty fields, so the stored JSON stays in the documented format
+  return {
+    generalRules: rules.generalRules.map(rule => ({
+      id: rule.id,
+      type: rule.type || undefined,
+      pattern: rule.pattern,
+      flags: rule.flags || undefined,
+      replacement: rule.replacement ?? '',
+      brands: rule.brands?.length ? rule.brands : undefined,
+      enabled: rule.enabled === false ? false : undefined
+    })),
+    exceptions: rules.exceptions.map(exception => ({
+      productName: exception.productName || undefined,
+      pattern: exception.pattern || undefined,
+      flags: exception.flags || undefined,
+      skipRules: exception.skipRules || [],
+      enabled: exception.enabled === false ? false : undefined
+    }))
+  };
+}
+
+/**
+ * Saves a rules object as a new version and starts using it right away
+ * @param {Object} client - Database client
+ * @param {Object} rules - Rules object with generalRules and exceptions
+ * @param {string} [note] - What changed, shown in the version history
+ * @returns {Promise<{version: number, createdAt: string}>} The new version
+ * @throws {Error} If the rules are invalid (with `problems` attached); nothing is saved
+ */
+async function saveCleaningRules(client, rules, note = null) {
+  const normalized = normalizeCleaningRules(rules);
+  compileCleaningRules(normalized);
+
+  const result = await client.query(`
+    INSERT INTO title_cleaning_rule_versions (rules, note)
+    VALUES ($1, $2)
+    RETURNING version, rules, created_at
+  `, [JSON.stringify(normalized), note || null]);
+
+  activateRulesVersion(result.rows[0]);
+  return { version: result.rows[0].version, createdAt: result.rows[0].created_at };
+}
+
+/**
+ * Lists saved rules versions, newest first
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<{version: number, note: string|null, createdAt: string, ruleCount: number, exceptionCount: number}>>} Versions
+ */
+async function getCleaningRuleVersions(client) {
+  const result = await client.query(`
+    SELECT
+      version, note, created_at,
+      jsonb_array_length(rules->'generalRules') AS rule_count,
+      jsonb_array_length(rules->'exceptions') AS exception_count
+    FROM title_cleaning_rule_versions
+    ORDER BY version DESC
+  `);
+
+  return result.rows.map(row => ({
+    version: row.version,
+    note: row.note,
+    createdAt: row.created_at,
+    ruleCount: row.rule_count,
+    exceptionCount: row.exception_count
+  }));
+}
+
+/**
+ * Gets the rules object of a saved version
+ * @param {Object} client - Database client
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Rules object, or null if the version does not exist
+ */
+async function getCleaningRulesVersion(client, version) {
+  const result = await client.query(
+    'SELECT rules FROM title_cleaning_rule_versions WHERE version = $1',
+    [version]
+  );
+  return result.rows[0]?.rules || null;
+}
+
+/**
+ * Compiles rules and exceptions passed by a caller on top of the loaded ones
+ * @param {Object[]} additionalRules - Custom general rules
+ * @param {Object[]} additionalExceptions - Custom exceptions
+ * @returns {{generalRules: Object[], exceptions: Object[]}} All compiled rules and exceptions
+ */
+function withAdditionalRules(additionalRules, additionalExceptions) {
+  if (additionalRules.length === 0 && additionalExceptions.length === 0) {
+    return activeRules.compiled;
+  }
+
+  const extra = compileCleaningRules(
+    { generalRules: additionalRules, exceptions: additionalExceptions },
+    { knownRuleIds: activeRules.compiled.ruleIds }
+  );
+  return {
+    generalRules: [...activeRules.compiled.generalRules, ...extra.generalRules],
+    exceptions: [...activeRules.compiled.exceptions, ...extra.exceptions],
+    ruleIds: new Set([...activeRules.compiled.ruleIds, ...extra.ruleIds])
+  };
+}
+
+/**
+ * Checks whether an exception applies to a title
+ * @param {Object} exception - Compiled exception
+ * @param {string} title - Trimmed original title
+ * @returns {boolean} Whether the exception matches
+ */
+function exceptionMatches(exception, title) {
+  if (!exception.regex) {
+    return exception.productName === title;
+  }
+
+  // Reset lastIndex so a sticky or global regex does not resume from the previous title
+  exception.regex.lastIndex = 0;
+  return exception.regex.test(title);
+}
+
+/**
+ * Checks whether a brand-scoped rule applies to the title at its turn
+ * The title must start with one of the brands, followed by a non-letter or the end
+ *
+ * @param {Object} rule - Compiled rule
+ * @param {string} title - Title as cleaned so far
+ * @returns {boolean} Whether the rule is in scope
+ */
+function ruleInScope(rule, title) {
+  if (!rule.brandPrefixes) return true;
+
+  const lower = title.toLowerCase();
+  return rule.brandPrefixes.some(brand =>
+    lower.startsWith(brand) && !/[\p{L}\p{N}]/u.test(lower.charAt(brand.length))
+  );
+}
+
+/**
+ * Applies one compiled rule
+ * @param {Object} rule - Compiled rule
+ * @param {string} title - Title as cleaned so far
+ * @returns {string} Title after the rule
+ */
+function applyRule(rule, title) {
+  if (rule.regex) {
+    // Reset lastIndex in case a sticky or global regex was used before
+    rule.regex.lastIndex = 0;
+    return title.replace(rule.regex, rule.replacement);
+  }
+  return title.replaceAll(rule.pattern, rule.replacement);
+}
+
+/**
+ * Runs the compiled rules over a title
+ * @param {string} title - Trimmed original title
+ * @param {{generalRules: Object[], exceptions: Object[]}} compiled - Compiled rules and exceptions
+ * @returns {{cleaned: string, matchingExceptions: Object[], skipRuleIds: Set<string>, steps: Object[]}} Cleaned title, the exceptions used and the rules that changed it
+ */
+function runCleaningRules(title, compiled) {
+  // Exceptions are matched against the original title
+  const matchingExceptions = compiled.exceptions.filter(exception => exceptionMatches(exception, title));
+  const skipRuleIds = new Set(matchingExceptions.flatMap(exception => exception.skipRules));
+
+  // Apply each general rule in order, skipping excepted and out-of-scope rules
+  let cleaned = title;
+  const steps = [];
+  for (const rule of compiled.generalRules) {
+    if (skipRuleIds.has(rule.id) || !ruleInScope(rule, cleaned)) continue;
+
+    const before = cleaned;
+    cleaned = applyRule(rule, cleaned);
+    if (cleaned !== before) {
+      steps.push({ ruleId: rule.id, before, after: cleaned });
     }
   }
-  
-  // Final trimming and normalization
-  cleaned = cleaned.trim();
-  // Normalize multiple spaces to single spaces
-  cleaned = cleaned.replace(/\s+/g, ' ');
-  
-  return cleaned;
+
+  // Final trimming and normalization of multiple spaces to single spaces
+  cleaned = cleaned.trim().replace(/\s+/g, ' ');
+
+  return { cleaned, matchingExceptions, skipRuleIds, steps };
 }
 
+/**
+ * Finds the rules responsible for two rule sets cleaning a title differently
+ * Walks both sets of steps to the first one that differs; later steps only differ
+ * because their input did, so they are not blamed.
+ *
+ * @param {Object[]} currentSteps - Steps with the rules in use
+ * @param {Object[]} proposedSteps - Steps with the proposed rules
+ * @returns {string[]} IDs of the rules at the first differing step
+ */
+function findDivergingRules(currentSteps, proposedSteps) {
+  const length = Math.max(currentSteps.length, proposedSteps.length);
+  for (let i = 0; i < length; i++) {
+    const current = currentSteps[i];
+    const proposed = proposedSteps[i];
+    if (current?.ruleId !== proposed?.ruleId || current?.after !== proposed?.after) {
+      return [...new Set([current?.ruleId, proposed?.ruleId].filter(Boolean))];
+    }
+  }
+  return [];
+}
 
 /**
- * Creates a configurable text cleaner function
+ * Cleans titles with the rules in use and with a proposed rules object, without
+ * activating the proposal, and returns the titles that come out differently
+ *
+ * @param {Object} proposedRules - Rules object with generalRules and exceptions
+ * @param {string[]} titles - Original product titles
+ * @returns {Array<{title: string, current: string, proposed: string, ruleIds: string[]}>} Titles whose cleaned result changes
+ * @throws {Error} If the proposed rules are invalid (with `problems` attached)
+ */
+function previewCleaningRules(proposedRules, titles) {
+  const proposedCompiled = compileCleaningRules(normalizeCleaningRules(proposedRules));
+  const changes = [];
+
+  for (const title of titles) {
+    if (!title || !title.trim()) continue;
+
+    const trimmed = title.trim();
+    const current = runCleaningRules(trimmed, activeRules.compiled);
+    const proposed = runCleaningRules(trimmed, proposedCompiled);
+    if (current.cleaned === proposed.cleaned) continue;
+
+    changes.push({
+      title,
+      current: current.cleaned,
+      proposed: proposed.cleaned,
+      ruleIds: findDivergingRules(current.steps, proposed.steps)
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Cleans up a product name based on the loaded rules and exceptions
  * 
- * @param {Object[]} rules - Array of cleaning rules
- * @param {string|RegExp} rules[].pattern - String or regex to match
- * @param {string} rules[].replacement - Replacement text
- * @returns {Function} A function that cleans text according to the rules
+ * @param {string} text - The product name to clean
+ * @param {Object[]} [additionalRules=[]] - Custom general rules to apply after the loaded ones
+ * @param {Object[]} [additionalExceptions=[]] - Custom exceptions to apply
+ * @returns {string|null} The cleaned product name, or null if input is empty
+ * @throws {Error} If an additional rule or exception is invalid
  */
-function createTextCleaner(rules) {
-  return (text) => {
-    if (!text) return null;
-    
-    let cleaned = text.trim();
-    
-    for (const { pattern, replacement } of rules) {
-      cleaned = cleaned.replace(pattern, replacement);
-    }
-    
-    return cleaned.trim();
-  };
+function cleanProductName(text, additionalRules = [], additionalExceptions = []) {
+  if (!text) return null;
+
+  return runCleaningRules(text.trim(), withAdditionalRules(additionalRules, additionalExceptions)).cleaned;
 }
+
+
 /**
  * Creates a configurable text cleaner function (legacy function preserved for backward compatibility)
  * 
@@ -132,57 +522,64 @@ function createTextCleaner(rules) {
 
 /**
  * Explains the title cleaning process for a given title
- * Useful for debugging why a particular title is cleaned the way it is
+ * Useful for debugging why a particular title is cleaned the way it is: the
+ * applied rules are a step-by-step trace of only the rules that changed the
+ * title, each with the title before and after it.
  * 
  * @param {string} originalTitle - The original title to explain cleaning for
- * @returns {Object} Object with cleaning details including applied and skipped rules
+ * @param {Object[]} [additionalRules=[]] - Custom general rules, as for cleanProductName
+ * @param {Object[]} [additionalExceptions=[]] - Custom exceptions, as for cleanProductName
+ * @returns {Object} Object with the cleaned title, rules version, applied rules trace, skipped rules and matching exceptions
+ * @throws {Error} If an additional rule or exception is invalid
  */
-function explainTitleCleaning(originalTitle) {
-  if (!originalTitle) return { originalTitle: '', cleanedTitle: '', appliedRules: [], skippedRules: [], matchingExceptions: [] };
+function explainTitleCleaning(originalTitle, additionalRules = [], additionalExceptions = []) {
+  if (!originalTitle) {
+    return { originalTitle: '', cleanedTitle: '', rulesVersion: activeRules.version, appliedRules: [], skippedRules: [], matchingExceptions: [] };
+  }
   
   const trimmedTitle = originalTitle.trim();
-  
-  // Check if this title matches any exception product names
-  const matchingExceptions = CLEANING_RULES.exceptions.filter(exception => 
-    exception.productName === trimmedTitle
-  );
-  
-  // Get list of rule IDs to skip
-  const skipRuleIds = matchingExceptions.length > 0 
-    ? matchingExceptions.reduce((acc, exception) => 
-        [...acc, ...(exception.skipRules || [])], 
-      [])
-    : [];
-  
-  // Get applied and skipped rules
-  const appliedRules = CLEANING_RULES.generalRules
-    .filter(rule => !skipRuleIds.includes(rule.id))
-    .map(rule => ({
-      id: rule.id,
-      pattern: rule.pattern,
-      replacement: rule.replacement
-    }));
-  
-  const skippedRules = CLEANING_RULES.generalRules
-    .filter(rule => skipRuleIds.includes(rule.id))
-    .map(rule => ({
-      id: rule.id,
-      pattern: rule.pattern,
-      replacement: rule.replacement
-    }));
-  
+  const compiled = withAdditionalRules(additionalRules, additionalExceptions);
+  const { cleaned, matchingExceptions, skipRuleIds, steps } = runCleaningRules(trimmedTitle, compiled);
+  const rulesById = new Map(compiled.generalRules.map(rule => [rule.id, rule]));
+
+  const describeRule = rule => ({
+    id: rule.id,
+    type: rule.type,
+    pattern: rule.pattern,
+    replacement: rule.replacement
+  });
+
+  // Only rules that changed the title, in the order they ran
+  const appliedRules = steps.map(step => ({
+    ...describeRule(rulesById.get(step.ruleId)),
+    before: step.before,
+    after: step.after
+  }));
+
+  const skippedRules = compiled.generalRules
+    .filter(rule => skipRuleIds.has(rule.id))
+    .map(describeRule);
+
   return {
     originalTitle: trimmedTitle,
-    cleanedTitle: cleanProductName(trimmedTitle),
+    cleanedTitle: cleaned,
+    rulesVersion: activeRules.version,
     appliedRules,
     skippedRules,
-    matchingExceptions: matchingExceptions.map(e => e.productName)
+    matchingExceptions: matchingExceptions.map(e => e.productName || `/${e.pattern}/${e.flags || ''}`)
   };
 }
 
 module.exports = {
   cleanProductName,
+  compileCleaningRules,
   createTextCleaner,
   explainTitleCleaning,
+  getActiveCleaningRules,
+  getCleaningRulesVersion,
+  getCleaningRuleVersions,
+  previewCleaningRules,
+  refreshCleaningRules,
+  saveCleaningRules,
   CLEANING_RULES
 };
@@ -0,0 +1,196 @@
+/**
+ * Reviewer identity resolution
+ *
+ * Resolves the free-text reviewer name of a Jotform submission to a user, first by
+ * users.jotform_name and then by the reviewer_aliases table. Unknown names get
+ * fuzzy suggestions (edit distance) so they can be linked to a user once.
+ */
+
+// Maximum number of suggestions returned for an unknown reviewer
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Normalizes a reviewer name for matching: trims and collapses whitespace
+ * @param {string} name - Reviewer name as typed in Jotform
+ * @returns {string} Normalized name
+ */
+function normalizeReviewerName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Builds the SQL that normalizes a column like normalizeReviewerName, lowercased for matching
+ * The unique index on reviewer_aliases uses the same expression.
+ *
+ * @param {string} column - Column or SQL expression
+ * @returns {string} SQL expression
+ */
+function reviewerNameMatchSql(column) {
+  return `LOWER(TRIM(regexp_replace(${column}, '\\s+', ' ', 'g')))`;
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Finds the user for a reviewer name by jotform_name, then by alias
+ * @param {Object} client - Database client
+ * @param {string} reviewerName - Reviewer name as typed in Jotform
+ * @returns {Promise<string|null>} User ID or null if the name is unknown
+ */
+async function findUserIdForReviewer(client, reviewerName) {
+  const name = normalizeReviewerName(reviewerName);
+  if (!name) return null;
+
+  const result = await client.query(`
+    SELECT id FROM users WHERE ${reviewerNameMatchSql('jotform_name')} = LOWER($1)
+    UNION ALL
+    SELECT user_id AS id FROM reviewer_aliases WHERE ${reviewerNameMatchSql('alias')} = LOWER($1)
+    LIMIT 1
+  `, [name]);
+
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Suggests users for an unknown reviewer name, closest first
+ * Compares against each user's jotform_name, name and existing aliases
+ *
+ * @param {Object} client - Database client
+ * @param {string} reviewerName - Reviewer name as typed in Jotform
+ * @param {number} [limit=3] - Maximum number of suggestions
+ * @returns {Promise<Array<{userId: string, name: string, email: string, matchedOn: string, distance: number}>>} Suggested users
+ */
+async function suggestUsersForReviewer(client, reviewerName, limit = MAX_SUGGESTIONS) {
+  const name = normalizeReviewerName(reviewerName).toLowerCase();
+  if (!name) return [];
+
+  const result = await client.query(`
+    SELECT u.id, u.name, u.email, u.jotform_name, array_remove(array_agg(a.alias), NULL) AS aliases
+    FROM users u
+    LEFT JOIN reviewer_aliases a ON a.user_id = u.id
+    GROUP BY u.id
+  `);
+
+  // Allow roughly one typo per four characters
+  const maxDistance = Math.max(2, Math.floor(name.length / 4));
+
+  const suggestions = [];
+  for (const user of result.rows) {
+    const candidates = [user.jotform_name, user.name, ...user.aliases].filter(Boolean);
+
+    let best = null;
+    for (const candidate of candidates) {
+      const distance = editDistance(name, normalizeReviewerName(candidate).toLowerCase());
+      if (!best || distance < best.distance) {
+        best = { matchedOn: candidate, distance };
+      }
+    }
+
+    if (best && best.distance <= maxDistance) {
+      suggestions.push({
+        userId: user.id,
+        name: user.name,
+        email: user.email,
+        ...best
+      });
+    }
+  }
+
+  return suggestions
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+/**
+ * Lists reviewer names of pending submissions that match no user or alias
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<{reviewer: string, submissionCount: number, suggestions: Array}>>} Unknown reviewers, most submissions first
+ */
+async function getUnresolvedReviewers(client) {
+  // Names differing only in whitespace are listed once, like normalizeReviewerName
+  const reviewerSql = `TRIM(regexp_replace(j.reviewer, '\\s+', ' ', 'g'))`;
+  const result = await client.query(`
+    SELECT ${reviewerSql} AS reviewer, COUNT(*) AS submission_count
+    FROM jotform j
+    WHERE j.reviewer IS NOT NULL AND ${reviewerSql} <> ''
+      AND j.status NOT IN ('specification_generated', 'ignore')
+      AND NOT EXISTS (
+        SELECT 1 FROM users u WHERE ${reviewerNameMatchSql('u.jotform_name')} = LOWER(${reviewerSql})
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM reviewer_aliases a WHERE ${reviewerNameMatchSql('a.alias')} = LOWER(${reviewerSql})
+      )
+    GROUP BY ${reviewerSql}
+    ORDER BY COUNT(*) DESC, ${reviewerSql}
+  `);
+
+  const reviewers = [];
+  for (const row of result.rows) {
+    reviewers.push({
+      reviewer: row.reviewer,
+      submissionCount: parseInt(row.submission_count, 10),
+      suggestions: await suggestUsersForReviewer(client, row.reviewer)
+    });
+  }
+
+  return reviewers;
+}
+
+/**
+ * Links a reviewer name to a user, replacing any existing link for that name
+ * @param {Object} client - Database client
+ * @param {string} reviewerName - Reviewer name as typed in Jotform
+ * @param {string} userId - User to link the name to
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+async function linkReviewerAlias(client, reviewerName, userId) {
+  const alias = normalizeReviewerName(reviewerName);
+  if (!alias || !userId) {
+    return { success: false, errorMessage: 'Reviewer name and user are required' };
+  }
+
+  const userResult = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length === 0) {
+    return { success: false, errorMessage: `User ${userId} not found` };
+  }
+
+  await client.query(`
+    INSERT INTO reviewer_aliases (alias, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (${reviewerNameMatchSql('alias')}) DO UPDATE SET user_id = EXCLUDED.user_id
+  `, [alias, userId]);
+
+  return { success: true, errorMessage: null };
+}
+
+module.exports = {
+  editDistance,
+  findUserIdForReviewer,
+  getUnresolvedReviewers,
+  linkReviewerAlias,
+  normalizeReviewerName,
+  reviewerNameMatchSql,
+  suggestUsersForReviewer
+};
@@ -0,0 +1,280 @@
+/**
+ * Local Shopify product catalog
+ *
+ * Keeps a copy of the Shopify catalog in shopify_products so submissions are
+ * matched without a live search per title. A full sync pages through every
+ * product by cursor and drops products no longer in Shopify; later syncs only
+ * fetch products updated since the high-water mark kept in sync_state. Every
+ * handle a product has had is kept in shopify_product_handles.
+ */
+
+import { fetchProductPage, matchShopifyProduct } from './shopify';
+import { MAX_MATCH_CANDIDATES, rankShopifyCandidates } from './shopify-matcher';
+import { getSyncState, saveSyncState } from './sync-state';
+
+// Sync key of the catalog sync
+export const SHOPIFY_CATALOG_SYNC_KEY = 'shopify_products';
+
+// Products per GraphQL page
+const CATALOG_PAGE_SIZE = 50;
+
+// Products loaded from the cache, reloaded when the table changes
+let catalogCache = { stamp: null, products: [] };
+
+/**
+ * Converts a Shopify updatedAt timestamp to the sync_state mark format
+ * @param {string} updatedAt - ISO timestamp, e.g. "2024-05-01T10:20:30Z"
+ * @returns {string} UTC "YYYY-MM-DD HH:MM:SS"
+ */
+function toCatalogMark(updatedAt) {
+  return new Date(updatedAt).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Saves one page of products and records their current handles
+ * @param {Object} client - Database client
+ * @param {Object[]} products - Products from fetchProductPage
+ * @returns {Promise<void>}
+ */
+async function saveCatalogPage(client, products) {
+  for (const product of products) {
+    await client.query(`
+      INSERT INTO shopify_products (
+        product_id, handle, title, vendor, product_type, tags, brands, status,
+        image_url, variants, shopify_updated_at, synced_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
+      ON CONFLICT (product_id) DO UPDATE SET
+        handle = EXCLUDED.handle,
+        title = EXCLUDED.title,
+        vendor = EXCLUDED.vendor,
+        product_type = EXCLUDED.product_type,
+        tags = EXCLUDED.tags,
+        brands = EXCLUDED.brands,
+        status = EXCLUDED.status,
+        image_url = EXCLUDED.image_url,
+        variants = EXCLUDED.variants,
+        shopify_updated_at = EXCLUDED.shopify_updated_at,
+        synced_at = CURRENT_TIMESTAMP
+    `, [
+      product.id,
+      product.handle,
+      product.title,
+      product.vendor || null,
+      product.productType || null,
+      product.tags || [],
+      product.metafield?.value || null,
+      product.status || null,
+      product.images[0]?.src || null,
+      JSON.stringify(product.variants),
+      product.updatedAt || null
+    ]);
+
+    await client.query(`
+      INSERT INTO shopify_product_handles (handle, product_id)
+      VALUES ($1, $2)
+      ON CONFLICT (handle) DO UPDATE SET product_id = EXCLUDED.product_id, last_seen_at = CURRENT_TIMESTAMP
+    `, [product.handle, product.id]);
+  }
+}
+
+/**
+ * Syncs the Shopify catalog into shopify_products
+ *
+ * Without a high-water mark (or with full), pages through the whole catalog and
+ * afterwards removes cached products that were not seen, i.e. deleted in Shopify.
+ * Otherwise fetches only products updated since the mark. Each page is saved and
+ * the mark advanced in one transaction, so an interrupted sync resumes where it stopped.
+ *
+ * @param {Object} client - Database client (the sync manages its own transactions)
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.full=false] - Re-read the whole catalog
+ * @returns {Promise<Object>} Summary: mode, starting mark, pages, products saved, products removed, new high-water mark
+ */
+export async function syncShopifyCatalog(client, { full = false } = {}) {
+  const state = await getSyncState(client, SHOPIFY_CATALOG_SYNC_KEY);
+  let highWaterMark = full ? null : state?.high_water_mark || null;
+
+  const summary = {
+    mode: highWaterMark ? 'incremental' : 'full',
+    since: highWaterMark,
+    pagesFetched: 0,
+    saved: 0,
+    removed: 0,
+    highWaterMark
+  };
+
+  const startResult = await client.query('SELECT CURRENT_TIMESTAMP AS started_at');
+  const startedAt = startResult.rows[0].started_at;
+  await saveSyncState(client, SHOPIFY_CATALOG_SYNC_KEY, {
+    last_run_started_at: startedAt,
+    last_error: null
+  });
+
+  try {
+    // Shopify's filter is inclusive here, so products sharing the mark's second are re-read
+    const searchQuery = highWaterMark
+      ? `updated_at:>='${highWaterMark.replace(' ', 'T')}Z'`
+      : null;
+
+    let after = null;
+    let hasNextPage = true;
+    while (hasNextPage) {
+      const page = await fetchProductPage({ after, searchQuery, first: CATALOG_PAGE_SIZE });
+      summary.pagesFetched++;
+      ({ hasNextPage } = page);
+      after = page.endCursor;
+
+      if (page.products.length === 0) break;
+
+      await client.query('BEGIN');
+      try {
+        await saveCatalogPage(client, page.products);
+        summary.saved += page.products.length;
+
+        // Pages come least recently updated first, so the last product is the newest
+        const newest = page.products[page.products.length - 1];
+        if (newest.updatedAt) {
+          highWaterMark = toCatalogMark(newest.updatedAt);
+          await saveSyncState(client, SHOPIFY_CATALOG_SYNC_KEY, { high_water_mark: highWaterMark });
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    }
+
+    // Products a complete pass did not see no longer exist in Shopify
+    if (summary.mode === 'full') {
+      const removeResult = await client.query(
+        'DELETE FROM shopify_products WHERE synced_at < $1',
+        [startedAt]
+      );
+      summary.removed = removeResult.rowCount || 0;
+    }
+
+    summary.highWaterMark = highWaterMark;
+    await saveSyncState(client, SHOPIFY_CATALOG_SYNC_KEY, {
+      last_run_completed_at: new Date(),
+      last_run_summary: summary
+    });
+
+    return summary;
+  } catch (error) {
+    await saveSyncState(client, SHOPIFY_CATALOG_SYNC_KEY, { last_error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Converts a shopify_products row to the product shape returned by live searches
+ * @param {Object} row - shopify_products row
+ * @returns {Object} Product
+ */
+function rowToProduct(row) {
+  return {
+    id: row.product_id,
+    title: row.title,
+    handle: row.handle,
+    vendor: row.vendor,
+    productType: row.product_type,
+    tags: row.tags,
+    status: row.status,
+    updatedAt: row.shopify_updated_at,
+    metafield: row.brands ? { value: row.brands } : null,
+    images: row.image_url ? [{ src: row.image_url }] : [],
+    variants: row.variants || []
+  };
+}
+
+/**
+ * Gets all cached products, reloading them only when the table has changed
+ * @param {Object} client - Database client
+ * @returns {Promise<Object[]>} Cached products (empty before the first catalog sync)
+ */
+export async function getCachedProducts(client) {
+  const stampResult = await client.query(
+    'SELECT COUNT(*) AS count, MAX(synced_at) AS synced_at FROM shopify_products'
+  );
+  const { count, synced_at: syncedAt } = stampResult.rows[0];
+  const stamp = `${count}:${syncedAt ? new Date(syncedAt).toISOString() : ''}`;
+
+  if (stamp !== catalogCache.stamp) {
+    const result = await client.query('SELECT * FROM shopify_products ORDER BY title');
+    catalogCache = { stamp, products: result.rows.map(rowToProduct) };
+  }
+
+  return catalogCache.products;
+}
+
+/**
+ * Finds a cached product by its current or any earlier handle
+ * @param {Object} client - Database client
+ * @param {string} handle - Product handle
+ * @returns {Promise<Object|null>} Product or null if the handle is unknown
+ */
+export async function getCachedProductByHandle(client, handle) {
+  const result = await client.query(`
+    SELECT p.* FROM shopify_products p
+    WHERE p.handle = $1
+    UNION ALL
+    SELECT p.* FROM shopify_product_handles h
+    JOIN shopify_products p ON p.product_id = h.product_id
+    WHERE h.handle = $1
+    LIMIT 1
+  `, [handle]);
+
+  return result.rows[0] ? rowToProduct(result.rows[0]) : null;
+}
+
+/**
+ * Scores products for a title against the local catalog
+ * Only active products are ranked; drafts and archived products are never linked.
+ * Falls back to a live Shopify search while the catalog has not been synced.
+ *
+ * @param {Object} client - Database client
+ * @param {string} productTitle - Cleaned product title
+ * @param {string} [brand] - Optional brand hint
+ * @returns {Promise<{product: Object|null, confidence: number, candidates: Object[], source: string}>} Same result as
+ *   matchShopifyProduct, plus where the candidates came from ('cache' or 'live')
+ */
+export async function matchShopifyProductFromCatalog(client, productTitle, brand) {
+  const products = await getCachedProducts(client);
+  if (products.length === 0) {
+    return { ...await matchShopifyProduct(productTitle, brand), source: 'live' };
+  }
+
+  if (!productTitle) {
+    return { product: null, confidence: 0, candidates: [], source: 'cache' };
+  }
+
+  const activeProducts = products.filter(product => product.status === 'ACTIVE');
+  const ranking = rankShopifyCandidates(productTitle, activeProducts, { brand });
+  return {
+    product: ranking.accepted?.product || null,
+    confidence: ranking.confidence,
+    candidates: ranking.candidates.slice(0, MAX_MATCH_CANDIDATES),
+    source: 'cache'
+  };
+}
+
+/**
+ * Describes the state of the local catalog
+ * @param {Object} client - Database client
+ * @returns {Promise<{productCount: number, handleCount: number, sync: Object|null}>} Counts and the last sync state
+ */
+export async function getCatalogStatus(client) {
+  const result = await client.query(`
+    SELECT
+      (SELECT COUNT(*) FROM shopify_products) AS product_count,
+      (SELECT COUNT(*) FROM shopify_product_handles) AS handle_count
+  `);
+  const sync = await getSyncState(client, SHOPIFY_CATALOG_SYNC_KEY);
+
+  return {
+    productCount: parseInt(result.rows[0].product_count, 10),
+    handleCount: parseInt(result.rows[0].handle_count, 10),
+    sync
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Manual Shopify product links
+ *
+ * Links a submission to a Shopify product chosen by an operator. When the chosen
+ * product's title differs from the submission's cleaned title, the pair is kept in
+ * shopify_match_corrections so cleaning rules can be learned from it.
+ */
+
+import { getShopifyProductByHandle, saveShopifyProductData } from './shopify';
+import { getCachedProductByHandle } from './shopify-catalog';
+import { MATCH_REVIEW_STATUS, resolveShopifyMatchReview } from './shopify-match-queue';
+import { STATUS, updateSubmissionStatus } from './submission-status';
+
+/**
+ * Links a submission to a Shopify product by handle and records the correction
+ * Submissions with a cleaned title move to SHOPIFY_MAPPED; mapped submissions are re-linked.
+ * Only the latest link of a submission counts as its correction; earlier pending ones are superseded.
+ *
+ * @param {Object} client - Database client (caller owns the transaction)
+ * @param {string} submissionId - Jotform submission ID
+ * @param {string} handle - Handle of the chosen Shopify product
+ * @returns {Promise<{success: boolean, product: Object|null, correctionRecorded: boolean, errorMessage: string|null}>} Result
+ */
+async function linkSubmissionToShopifyProduct(client, submissionId, handle) {
+  const result = await client.query(`
+    SELECT j.submission_id, j.select_product, j.cleaned_product_title, j.status
+    FROM jotform j
+    WHERE j.submission_id = $1
+  `, [submissionId]);
+  const submission = result.rows[0];
+
+  if (!submission) {
+    return { success: false, product: null, correctionRecorded: false, errorMessage: `Submission ${submissionId} not found` };
+  }
+  if (![STATUS.TITLE_CLEANED, STATUS.SHOPIFY_MAPPED].includes(submission.status)) {
+    return {
+      success: false,
+      product: null,
+      correctionRecorded: false,
+      errorMessage: `Cannot link a Shopify product to a submission in ${submission.status} state`
+    };
+  }
+
+  // The local catalog also knows earlier handles and works while Shopify is unreachable
+  const product = await getShopifyProductByHandle(handle) || await getCachedProductByHandle(client, handle);
+  if (!product) {
+    return { success: false, product: null, correctionRecorded: false, errorMessage: `Shopify product ${handle} not found` };
+  }
+
+  if (submission.status === STATUS.TITLE_CLEANED) {
+    const updateResult = await updateSubmissionStatus(client, submissionId, STATUS.SHOPIFY_MAPPED);
+    if (!updateResult.success) {
+      return { success: false, product: null, correctionRecorded: false, errorMessage: updateResult.errorMessage };
+    }
+  }
+
+  await saveShopifyProductData(submissionId, product, client);
+  await resolveShopifyMatchReview(client, submissionId, MATCH_REVIEW_STATUS.LINKED);
+
+  // The title the matcher searched with, compared the way an exact match is
+  const searchedTitle = submission.cleaned_product_title || submission.select_product || '';
+  const correctionRecorded = searchedTitle.trim().toLowerCase() !== product.title.trim().toLowerCase();
+
+  await client.query(`
+    UPDATE shopify_match_corrections
+    SET resolution = 'superseded', resolved_at = CURRENT_TIMESTAMP
+    WHERE submission_id = $1 AND resolution IS NULL
+  `, [submissionId]);
+
+  if (correctionRecorded) {
+    await client.query(`
+      INSERT INTO shopify_match_corrections (submission_id, original_title, cleaned_title, shopify_handle, shopify_title)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [submissionId, submission.select_product, submission.cleaned_product_title, product.handle, product.title]);
+  }
+
+  return {
+    success: true,
+    product: { handle: product.handle, title: product.title },
+    correctionRecorded,
+    errorMessage: null
+  };
+}
+
+export {
+  linkSubmissionToShopifyProduct
+};
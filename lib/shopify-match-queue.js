@@ -0,0 +1,174 @@
+/**
+ * Shopify match review queue
+ *
+ * Submissions whose best Shopify candidate was not confident enough to link
+ * automatically are queued in shopify_match_reviews with their ranked candidates,
+ * so a person can pick the product. A submission for which no product exists is
+ * parked, which keeps it out of later Shopify mapping runs until it is reopened.
+ */
+
+import { STATUS } from './submission-status';
+
+// Review states
+export const MATCH_REVIEW_STATUS = {
+  PENDING: 'pending',
+  LINKED: 'linked',
+  NO_PRODUCT: 'no_product'
+};
+
+/**
+ * Reduces a scored candidate to what the review queue shows
+ * @param {Object} candidate - Candidate from matchShopifyProduct
+ * @returns {Object} Candidate summary
+ */
+function summarizeCandidate({ product, score, titleScore, brandScore }) {
+  return {
+    id: product.id,
+    handle: product.handle,
+    title: product.title,
+    vendor: product.vendor || null,
+    productType: product.productType || null,
+    image: product.images?.[0]?.src || null,
+    score,
+    titleScore,
+    brandScore
+  };
+}
+
+/**
+ * Queues a submission for review with the candidates of its last match attempt
+ * A submission already parked as having no product stays parked.
+ *
+ * @param {Object} client - Database client
+ * @param {string} submissionId - Jotform submission ID
+ * @param {string} searchedTitle - Title the match searched with
+ * @param {{confidence: number, candidates: Object[]}} match - Result of matchShopifyProduct
+ * @returns {Promise<void>}
+ */
+export async function queueShopifyMatchReview(client, submissionId, searchedTitle, match) {
+  await client.query(`
+    INSERT INTO shopify_match_reviews (submission_id, searched_title, confidence, candidates, status)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (submission_id) DO UPDATE SET
+      searched_title = EXCLUDED.searched_title,
+      confidence = EXCLUDED.confidence,
+      candidates = EXCLUDED.candidates,
+      status = CASE WHEN shopify_match_reviews.status = $6 THEN shopify_match_reviews.status ELSE EXCLUDED.status END,
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    submissionId,
+    searchedTitle,
+    match.confidence,
+    JSON.stringify(match.candidates.map(summarizeCandidate)),
+    MATCH_REVIEW_STATUS.PENDING,
+    MATCH_REVIEW_STATUS.NO_PRODUCT
+  ]);
+}
+
+/**
+ * Lists cleaned submissions still waiting for a Shopify product
+ * Pending lists unmatched submissions, queued or not yet attempted, lowest confidence
+ * last; parked lists submissions marked as having no product. A submission is unmatched
+ * while it is TITLE_CLEANED, even if a mapping from before a title edit is still stored.
+ *
+ * @param {Object} client - Database client
+ * @param {string} [status='pending'] - MATCH_REVIEW_STATUS.PENDING or MATCH_REVIEW_STATUS.NO_PRODUCT
+ * @returns {Promise<Object[]>} Submissions with their last match attempt
+ */
+export async function getShopifyMatchQueue(client, status = MATCH_REVIEW_STATUS.PENDING) {
+  const result = await client.query(`
+    SELECT
+      j.submission_id,
+      j.select_product,
+      j.cleaned_product_title,
+      j.reviewer,
+      j.created_at,
+      r.searched_title,
+      r.confidence,
+      r.candidates,
+      r.status AS review_status,
+      r.updated_at AS reviewed_at
+    FROM jotform j
+    LEFT JOIN shopify_match_reviews r ON r.submission_id = j.submission_id
+    WHERE j.status = $1
+      AND COALESCE(r.status, $2) = $3
+    ORDER BY r.confidence DESC NULLS LAST, j.created_at DESC
+  `, [STATUS.TITLE_CLEANED, MATCH_REVIEW_STATUS.PENDING, status]);
+
+  return result.rows.map(row => ({
+    submissionId: row.submission_id,
+    productTitle: row.select_product,
+    cleanedTitle: row.cleaned_product_title,
+    reviewer: row.reviewer,
+    createdAt: row.created_at,
+    searchedTitle: row.searched_title || row.cleaned_product_title || row.select_product,
+    confidence: row.confidence === null ? null : parseFloat(row.confidence),
+    candidates: row.candidates || [],
+    reviewStatus: row.review_status || MATCH_REVIEW_STATUS.PENDING,
+    reviewedAt: row.reviewed_at
+  }));
+}
+
+/**
+ * Parks a cleaned submission as having no Shopify product, or reopens a parked one
+ * @param {Object} client - Database client
+ * @param {string} submissionId - Jotform submission ID
+ * @param {boolean} parked - true to park, false to reopen
+ * @returns {Promise<{success: boolean, errorMessage: string|null}>} Result
+ */
+export async function setShopifyMatchParked(client, submissionId, parked) {
+  const result = await client.query(
+    'SELECT status, select_product, cleaned_product_title FROM jotform WHERE submission_id = $1',
+    [submissionId]
+  );
+  const submission = result.rows[0];
+  if (!submission) {
+    return { success: false, errorMessage: `Submission ${submissionId} not found` };
+  }
+  if (submission.status !== STATUS.TITLE_CLEANED) {
+    return {
+      success: false,
+      errorMessage: `Only unmapped submissions in ${STATUS.TITLE_CLEANED} state can be parked or reopened (submission is ${submission.status})`
+    };
+  }
+
+  const status = parked ? MATCH_REVIEW_STATUS.NO_PRODUCT : MATCH_REVIEW_STATUS.PENDING;
+  await client.query(`
+    INSERT INTO shopify_match_reviews (submission_id, searched_title, status)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (submission_id) DO UPDATE SET status = EXCLUDED.status, updated_at = CURRENT_TIMESTAMP
+  `, [submissionId, submission.cleaned_product_title || submission.select_product || '', status]);
+
+  return { success: true, errorMessage: null };
+}
+
+/**
+ * Checks whether a submission is parked as having no Shopify product
+ * Mapping runs skip parked submissions until they are reopened.
+ *
+ * @param {Object} client - Database client
+ * @param {string} submissionId - Jotform submission ID
+ * @returns {Promise<boolean>} Whether the submission is parked
+ */
+export async function isShopifyMatchParked(client, submissionId) {
+  const result = await client.query(
+    'SELECT 1 FROM shopify_match_reviews WHERE submission_id = $1 AND status = $2',
+    [submissionId, MATCH_REVIEW_STATUS.NO_PRODUCT]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Closes a submission's review, e.g. once a product is linked
+ * @param {Object} client - Database client
+ * @param {string} submissionId - Jotform submission ID
+ * @param {string} status - MATCH_REVIEW_STATUS.LINKED or MATCH_REVIEW_STATUS.NO_PRODUCT
+ * @returns {Promise<void>}
+ */
+export async function resolveShopifyMatchReview(client, submissionId, status) {
+  await client.query(`
+    UPDATE shopify_match_reviews
+    SET status = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE submission_id = $2
+  `, [status, submissionId]);
+}
@@ -0,0 +1,228 @@
+/**
+ * Shopify product match scoring
+ *
+ * Scores Shopify products against a cleaned product title. Titles are compared
+ * token by token after folding accents, case and punctuation, and the product's
+ * brands (vendor and the custom.brands metafield) are checked against the title
+ * or a brand hint. The best candidate is auto-accepted only when it is both
+ * confident and clearly ahead of the runner-up.
+ */
+
+const config = require('../config');
+const { editDistance } = require('./reviewer-identity');
+
+// Weight of token similarity; the rest is brand agreement
+const TOKEN_WEIGHT = 0.8;
+
+// Weight of how much of the searched title a product covers; the rest is overall overlap,
+// which only ranks products covering the title equally (the shortest such product first)
+const COVERAGE_WEIGHT = 0.9;
+
+// Lowest similarity for two different tokens to count as a typo of each other
+const MIN_TOKEN_SIMILARITY = 0.8;
+
+// Brand score when the brand neither agrees nor disagrees
+const UNKNOWN_BRAND_SCORE = 0.5;
+
+// Maximum number of ranked candidates returned with a match
+const MAX_MATCH_CANDIDATES = 5;
+
+/**
+ * Normalizes text for matching: folds accents and case, turns punctuation into spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForMatch(text) {
+  return String(text || '')
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // Apostrophes join words ("McChrystal's" matches "McChrystals")
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Splits normalized text into tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  const normalized = normalizeForMatch(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Scores how alike two tokens are, allowing small typos in longer tokens
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {number} 1 for equal tokens, the edit similarity for near misses, otherwise 0
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < 4) return 0;
+
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= MIN_TOKEN_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * Scores how well a product title covers the searched title
+ * Mostly the share of searched tokens found in the product title, so extra words in
+ * the product title ("Ozona Cherry Snuff" for "Ozona Cherry") barely lower the score;
+ * the overall overlap (Dice coefficient) breaks ties between products covering it equally.
+ * Tokens match fuzzily and one to one.
+ *
+ * @param {string[]} queryTokens - Tokens of the searched title
+ * @param {string[]} productTokens - Tokens of the product title
+ * @returns {number} Similarity from 0 to 1
+ */
+function titleSimilarity(queryTokens, productTokens) {
+  if (queryTokens.length === 0 || productTokens.length === 0) return 0;
+
+  // Greedy one-to-one pairing, best pairs first
+  const pairs = [];
+  queryTokens.forEach((queryToken, i) => {
+    productTokens.forEach((productToken, j) => {
+      const similarity = tokenSimilarity(queryToken, productToken);
+      if (similarity > 0) pairs.push({ i, j, similarity });
+    });
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  const usedQuery = new Set();
+  const usedProduct = new Set();
+  let matched = 0;
+  for (const { i, j, similarity } of pairs) {
+    if (usedQuery.has(i) || usedProduct.has(j)) continue;
+    usedQuery.add(i);
+    usedProduct.add(j);
+    matched += similarity;
+  }
+
+  const coverage = matched / queryTokens.length;
+  const overlap = (2 * matched) / (queryTokens.length + productTokens.length);
+  return COVERAGE_WEIGHT * coverage + (1 - COVERAGE_WEIGHT) * overlap;
+}
+
+/**
+ * Gets a product's brands from its vendor and custom.brands metafield
+ * @param {Object} product - Shopify product
+ * @returns {string[]} Normalized brand names
+ */
+function getProductBrands(product) {
+  const brands = [product.vendor];
+  try {
+    const metafieldBrands = JSON.parse(product.metafield?.value || '[]');
+    if (Array.isArray(metafieldBrands)) {
+      brands.push(...metafieldBrands);
+    }
+  } catch (error) {
+    // A malformed metafield just means no extra brands
+  }
+
+  return [...new Set(brands.map(normalizeForMatch).filter(Boolean))];
+}
+
+/**
+ * Scores brand agreement between a product and the searched title or brand hint
+ * @param {string[]} productBrands - Normalized product brands
+ * @param {string} normalizedQuery - Normalized searched title
+ * @param {string} [brand] - Brand hint
+ * @returns {number} 1 when a brand agrees, 0 when a hint disagrees, otherwise UNKNOWN_BRAND_SCORE
+ */
+function brandScore(productBrands, normalizedQuery, brand) {
+  if (productBrands.length === 0) return UNKNOWN_BRAND_SCORE;
+
+  const hint = normalizeForMatch(brand);
+  if (hint) {
+    const agrees = productBrands.some(productBrand => productBrand === hint || productBrand.includes(hint) || hint.includes(productBrand));
+    return agrees ? 1 : 0;
+  }
+
+  // Titles usually start with or contain the brand
+  const paddedQuery = ` ${normalizedQuery} `;
+  return productBrands.some(productBrand => paddedQuery.includes(` ${productBrand} `)) ? 1 : UNKNOWN_BRAND_SCORE;
+}
+
+/**
+ * Scores one Shopify product against a title
+ * @param {string} productTitle - Cleaned product title
+ * @param {Object} product - Shopify product
+ * @param {string} [brand] - Brand hint
+ * @returns {{score: number, titleScore: number, brandScore: number, exact: boolean}} Score from 0 to 1 and its parts
+ */
+function scoreShopifyCandidate(productTitle, product, brand) {
+  const normalizedQuery = normalizeForMatch(productTitle);
+  const normalizedTitle = normalizeForMatch(product.title);
+  const exact = normalizedQuery !== '' && normalizedQuery === normalizedTitle;
+
+  const titleScore = exact ? 1 : titleSimilarity(tokenize(productTitle), tokenize(product.title));
+  const brandPart = brandScore(getProductBrands(product), normalizedQuery, brand);
+
+  return {
+    score: Math.round((TOKEN_WEIGHT * titleScore + (1 - TOKEN_WEIGHT) * brandPart) * 1000) / 1000,
+    titleScore: Math.round(titleScore * 1000) / 1000,
+    brandScore: brandPart,
+    exact
+  };
+}
+
+/**
+ * Ranks Shopify products against a title and decides whether the best one is auto-accepted
+ *
+ * The best candidate is accepted when its score reaches the auto-accept threshold and
+ * it leads the runner-up by the minimum margin, or when its title matches exactly and
+ * no other candidate does.
+ *
+ * @param {string} productTitle - Cleaned product title
+ * @param {Object[]} products - Shopify products to rank
+ * @param {Object} [options] - Ranking options
+ * @param {string} [options.brand] - Brand hint
+ * @returns {{candidates: Array<{product: Object, score: number, titleScore: number, brandScore: number, exact: boolean}>, accepted: Object|null, confidence: number}} Candidates best first, the accepted candidate, and the best score
+ */
+function rankShopifyCandidates(productTitle, products, { brand } = {}) {
+  const { autoAcceptScore, minScoreMargin } = config.shopify.matching;
+
+  // A product sharing no word with the title is not a candidate, whatever its brand
+  const candidates = products
+    .map(product => ({ product, ...scoreShopifyCandidate(productTitle, product, brand) }))
+    .filter(candidate => candidate.titleScore > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = candidates;
+  if (!best) {
+    return { candidates, accepted: null, confidence: 0 };
+  }
+
+  const margin = best.score - (runnerUp?.score || 0);
+  const uniqueExact = best.exact && !candidates.slice(1).some(candidate => candidate.exact);
+  const accepted = (best.score >= autoAcceptScore && margin >= minScoreMargin) || uniqueExact ? best : null;
+
+  return { candidates, accepted, confidence: best.score };
+}
+
+/**
+ * Picks a few distinctive tokens of a title for a broader catalog search
+ * @param {string} productTitle - Cleaned product title
+ * @param {number} [count=3] - Tokens to pick
+ * @returns {string[]} The longest tokens of at least three characters
+ */
+function getSearchTokens(productTitle, count = 3) {
+  return [...new Set(tokenize(productTitle))]
+    .filter(token => token.length >= 3)
+    .sort((a, b) => b.length - a.length)
+    .slice(0, count);
+}
+
+module.exports = {
+  MAX_MATCH_CANDIDATES,
+  getProductBrands,
+  getSearchTokens,
+  normalizeForMatch,
+  rankShopifyCandidates,
+  scoreShopifyCandidate
+};
@@ -0,0 +1,281 @@
+/**
+ * Shopify handle verification
+ *
+ * jotform_shopify and specifications refer to products by handle, which
+ * merchandising can rename. This job resolves every stored handle to its product
+ * GID (stored on the rows, or remembered in shopify_product_handles), looks the
+ * products up by GID, and follows renames in both tables. Specifications whose
+ * product was deleted or archived are queued in specification_retractions for review.
+ * Rows mapped before GIDs were stored get theirs from the backfill job.
+ */
+
+import { getShopifyProductsByIds, resolveShopifyHandle } from './shopify';
+import { saveSyncState } from './sync-state';
+
+// Sync key under which the last verification run is kept
+export const SHOPIFY_VERIFICATION_SYNC_KEY = 'shopify_handle_verification';
+
+// Product statuses recorded in jotform_shopify.shopify_product_status besides Shopify's own
+export const DELETED_PRODUCT_STATUS = 'DELETED';
+export const MISSING_PRODUCT_STATUS = 'MISSING';
+
+// Prefix of retraction reasons set by this job; only these are undone when a product is active again
+const SHOPIFY_REASON_PREFIX = 'Shopify product ';
+
+// Retraction reason by product status
+const RETRACTION_REASONS = {
+  ARCHIVED: `${SHOPIFY_REASON_PREFIX}archived`,
+  [DELETED_PRODUCT_STATUS]: `${SHOPIFY_REASON_PREFIX}deleted`,
+  [MISSING_PRODUCT_STATUS]: `${SHOPIFY_REASON_PREFIX}handle not found`
+};
+
+// GIDs looked up per nodes query
+const LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Finds the product GID of each handle, from the handle history or a live lookup
+ * Handles resolved live are added to the history, so later runs find the product after a rename.
+ *
+ * @param {Object} client - Database client
+ * @param {string[]} handles - Stored handles
+ * @returns {Promise<Map<string, string|null>>} GID by handle, null when no product ever had the handle
+ */
+export async function resolveProductIds(client, handles) {
+  const result = await client.query(
+    'SELECT handle, product_id FROM shopify_product_handles WHERE handle = ANY($1)',
+    [handles]
+  );
+  const productIds = new Map(result.rows.map(row => [row.handle, row.product_id]));
+
+  for (const handle of handles) {
+    if (productIds.has(handle)) continue;
+
+    const product = await resolveShopifyHandle(handle);
+    productIds.set(handle, product?.id || null);
+    if (product) {
+      await client.query(`
+        INSERT INTO shopify_product_handles (handle, product_id)
+        VALUES ($1, $2)
+        ON CONFLICT (handle) DO UPDATE SET product_id = EXCLUDED.product_id, last_seen_at = CURRENT_TIMESTAMP
+      `, [handle, product.id]);
+    }
+  }
+
+  return productIds;
+}
+
+/**
+ * Verifies every stored Shopify handle against Shopify
+ *
+ * Renamed handles are updated in jotform_shopify and specifications, by the stored
+ * product GID where a row has one. Each mapped
+ * submission gets the product's status; specifications of deleted, archived or
+ * unresolvable products are queued for retraction, and such retractions are
+ * marked restored once the product is active again.
+ *
+ * @param {Object} client - Database client (the job manages its own transaction)
+ * @returns {Promise<Object>} Summary with handles checked, renames, counts per status and retractions queued or restored
+ */
+export async function verifyShopifyHandles(client) {
+  const summary = {
+    success: true,
+    handlesChecked: 0,
+    renamed: [],
+    statusCounts: {},
+    retractionsQueued: 0,
+    restored: 0
+  };
+
+  await saveSyncState(client, SHOPIFY_VERIFICATION_SYNC_KEY, {
+    last_run_started_at: new Date(),
+    last_error: null
+  });
+
+  try {
+    // One entry per stored handle and GID, since rows sharing a handle can point at different products
+    const storedResult = await client.query(`
+      SELECT DISTINCT handle, product_id
+      FROM (
+        SELECT shopify_handle AS handle, shopify_product_id AS product_id FROM jotform_shopify
+        UNION ALL
+        SELECT shopify_handle AS handle, shopify_product_id AS product_id FROM specifications
+      ) stored
+      WHERE handle IS NOT NULL AND handle <> ''
+    `);
+    const storedProducts = storedResult.rows;
+    summary.handlesChecked = new Set(storedProducts.map(row => row.handle)).size;
+
+    // All Shopify lookups happen before the transaction, so it stays short.
+    // Only rows without a stored GID go through the handle history, since a handle can pass to another product.
+    const resolvedIds = await resolveProductIds(
+      client,
+      [...new Set(storedProducts.filter(row => !row.product_id).map(row => row.handle))]
+    );
+    const ids = [...new Set(storedProducts.map(row => row.product_id || resolvedIds.get(row.handle)).filter(Boolean))];
+    const products = new Map();
+    for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = await getShopifyProductsByIds(ids.slice(i, i + LOOKUP_BATCH_SIZE));
+      for (const [id, product] of batch) products.set(id, product);
+    }
+
+    await client.query('BEGIN');
+    try {
+      for (const { handle, product_id: storedProductId } of storedProducts) {
+        const productId = storedProductId || resolvedIds.get(handle);
+        const product = productId ? products.get(productId) : null;
+        const status = !productId ? MISSING_PRODUCT_STATUS : product ? product.status : DELETED_PRODUCT_STATUS;
+        summary.statusCounts[status] = (summary.statusCounts[status] || 0) + 1;
+
+        // Rows with a GID are updated by it; the others by their handle
+        const rowFilter = storedProductId
+          ? 'shopify_product_id = $2'
+          : 'shopify_product_id IS NULL AND shopify_handle = $2';
+
+        let currentHandle = handle;
+        if (product && product.handle !== handle) {
+          currentHandle = product.handle;
+          const renameKey = storedProductId || handle;
+          await client.query(`UPDATE jotform_shopify SET shopify_handle = $1 WHERE ${rowFilter}`, [currentHandle, renameKey]);
+          await client.query(
+            `UPDATE specifications SET shopify_handle = $1, updated_at = CURRENT_TIMESTAMP WHERE ${rowFilter}`,
+            [currentHandle, renameKey]
+          );
+          await client.query(`
+            INSERT INTO shopify_product_handles (handle, product_id)
+            VALUES ($1, $2)
+            ON CONFLICT (handle) DO UPDATE SET product_id = EXCLUDED.product_id, last_seen_at = CURRENT_TIMESTAMP
+          `, [currentHandle, productId]);
+          summary.renamed.push({ from: handle, to: currentHandle });
+        }
+
+        const rowKey = storedProductId || currentHandle;
+        await client.query(`
+          UPDATE jotform_shopify
+          SET shopify_product_status = $1, shopify_verified_at = CURRENT_TIMESTAMP
+          WHERE ${rowFilter}
+        `, [status, rowKey]);
+
+        const reason = RETRACTION_REASONS[status];
+        if (reason) {
+          const retractionResult = await client.query(`
+            INSERT INTO specification_retractions (specification_id, submission_id, shopify_handle, reason)
+            SELECT s.id, COALESCE(s.submission_id, ''), s.shopify_handle, $1
+            FROM specifications s
+            WHERE ${rowFilter}
+            ON CONFLICT (specification_id) WHERE resolution IS NULL DO NOTHING
+          `, [reason, rowKey]);
+          summary.retractionsQueued += retractionResult.rowCount;
+        } else if (status === 'ACTIVE') {
+          // Products brought back from the archive no longer need their specifications reviewed
+          const restoreResult = await client.query(`
+            UPDATE specification_retractions
+            SET resolution = 'restored', resolved_at = CURRENT_TIMESTAMP
+            WHERE resolution IS NULL
+              AND reason LIKE $1
+              AND specification_id IN (SELECT id FROM specifications WHERE ${rowFilter})
+          `, [`${SHOPIFY_REASON_PREFIX}%`, rowKey]);
+          summary.restored += restoreResult.rowCount;
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+
+    await saveSyncState(client, SHOPIFY_VERIFICATION_SYNC_KEY, {
+      last_run_completed_at: new Date(),
+      last_run_summary: summary
+    });
+
+    return summary;
+  } catch (error) {
+    await saveSyncState(client, SHOPIFY_VERIFICATION_SYNC_KEY, { last_error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Stores product GIDs on rows mapped before GIDs were kept
+ *
+ * Specifications copy the GIDs of their submission's jotform_shopify row when the
+ * handles agree; remaining handles are resolved through the handle history or
+ * Shopify. The variant GID is only set for single-variant products.
+ *
+ * @param {Object} client - Database client (the job manages its own transaction)
+ * @returns {Promise<Object>} Summary with handles checked, handles left unresolved, and rows updated per table
+ */
+export async function backfillShopifyProductIds(client) {
+  const handlesResult = await client.query(`
+    SELECT shopify_handle AS handle FROM jotform_shopify
+    WHERE shopify_product_id IS NULL AND shopify_handle IS NOT NULL AND shopify_handle <> ''
+    UNION
+    SELECT shopify_handle AS handle FROM specifications
+    WHERE shopify_product_id IS NULL AND shopify_handle IS NOT NULL AND shopify_handle <> ''
+  `);
+  const handles = handlesResult.rows.map(row => row.handle);
+
+  // Shopify lookups first, so the transaction stays short
+  const productIds = await resolveProductIds(client, handles);
+  const ids = [...new Set([...productIds.values()].filter(Boolean))];
+  const products = new Map();
+  for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = await getShopifyProductsByIds(ids.slice(i, i + LOOKUP_BATCH_SIZE));
+    for (const [id, product] of batch) products.set(id, product);
+  }
+
+  const summary = {
+    success: true,
+    handlesChecked: handles.length,
+    unresolved: handles.filter(handle => !productIds.get(handle)),
+    submissionsUpdated: 0,
+    specificationsUpdated: 0
+  };
+
+  await client.query('BEGIN');
+  try {
+    for (const handle of handles) {
+      const productId = productIds.get(handle);
+      if (!productId) continue;
+      const variantId = products.get(productId)?.variantId || null;
+
+      const submissionsResult = await client.query(`
+        UPDATE jotform_shopify
+        SET shopify_product_id = $1, shopify_variant_id = COALESCE(shopify_variant_id, $2)
+        WHERE shopify_handle = $3 AND shopify_product_id IS NULL
+      `, [productId, variantId, handle]);
+      summary.submissionsUpdated += submissionsResult.rowCount;
+    }
+
+    const copiedResult = await client.query(`
+      UPDATE specifications s
+      SET shopify_product_id = js.shopify_product_id, shopify_variant_id = js.shopify_variant_id
+      FROM jotform_shopify js
+      WHERE js.submission_id = s.submission_id
+        AND js.shopify_handle = s.shopify_handle
+        AND js.shopify_product_id IS NOT NULL
+        AND s.shopify_product_id IS NULL
+    `);
+    summary.specificationsUpdated += copiedResult.rowCount;
+
+    for (const handle of handles) {
+      const productId = productIds.get(handle);
+      if (!productId) continue;
+
+      const specificationsResult = await client.query(`
+        UPDATE specifications
+        SET shopify_product_id = $1, shopify_variant_id = COALESCE(shopify_variant_id, $2)
+        WHERE shopify_handle = $3 AND shopify_product_id IS NULL
+      `, [productId, products.get(productId)?.variantId || null, handle]);
+      summary.specificationsUpdated += specificationsResult.rowCount;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  return summary;
+}
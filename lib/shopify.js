@@ -6,6 +6,8 @@
 
 // Import config for Shopify credentials
 const config = require('../config');
+const { isNetworkError } = require('./network-errors');
+const { MAX_MATCH_CANDIDATES, getSearchTokens, rankShopifyCandidates } = require('./shopify-matcher');
 
 // Shopify GraphQL endpoint and access token
 const { storeUrl, accessToken, apiVersion } = config.shopify;
@@ -14,53 +16,249 @@ const { storeUrl, accessToken, apiVersion } = config.shopify;
 const SHOPIFY_GRAPHQL_URL = `${storeUrl}/admin/api/${apiVersion}/graphql.json`;
 const SHOPIFY_ACCESS_TOKEN = accessToken;
 
+// Retry settings for throttled and transient failures
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// Shopify's default query cost bucket, used until a response reports the real one
+const DEFAULT_THROTTLE_STATUS = {
+  maximumAvailable: 1000,
+  currentlyAvailable: 1000,
+  restoreRate: 50
+};
+
+// Query cost budget as last reported by Shopify (extensions.cost.throttleStatus)
+const throttleState = {
+  ...DEFAULT_THROTTLE_STATUS,
+  reportedAt: null,
+  lastQuery: null,
+  queries: 0,
+  throttled: 0,
+  retries: 0,
+  waitedMs: 0
+};
+
+// Requested cost of each named query the last time it ran
+const requestedCostByQuery = new Map();
+
+/**
+ * Gets the name of a GraphQL operation, e.g. "searchProducts"
+ * @param {string} query - GraphQL query
+ * @returns {string} Operation name, or "anonymous"
+ */
+function getOperationName(query) {
+  return query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+}
+
+/**
+ * Estimates the query cost available now, counting what has been restored since Shopify last reported it
+ * @returns {number} Available cost points
+ */
+function getAvailableCost() {
+  if (!throttleState.reportedAt) return throttleState.currentlyAvailable;
+
+  const elapsedSeconds = (Date.now() - throttleState.reportedAt) / 1000;
+  return Math.min(
+    throttleState.maximumAvailable,
+    throttleState.currentlyAvailable + elapsedSeconds * throttleState.restoreRate
+  );
+}
+
+/**
+ * Gets the Shopify query cost budget of this server process
+ * @returns {Object} Budget as last reported, the estimated budget now, and call counters
+ */
+function getShopifyThrottleStatus() {
+  return {
+    maximumAvailable: throttleState.maximumAvailable,
+    restoreRate: throttleState.restoreRate,
+    reportedAvailable: throttleState.currentlyAvailable,
+    reportedAt: throttleState.reportedAt ? new Date(throttleState.reportedAt).toISOString() : null,
+    estimatedAvailable: Math.floor(getAvailableCost()),
+    lastQuery: throttleState.lastQuery,
+    queries: throttleState.queries,
+    throttled: throttleState.throttled,
+    retries: throttleState.retries,
+    waitedMs: throttleState.waitedMs,
+    knownQueryCosts: Object.fromEntries(requestedCostByQuery)
+  };
+}
+
+/**
+ * Refreshes the budget with the cheapest possible query, then reports it
+ * @returns {Promise<Object>} Budget as returned by getShopifyThrottleStatus
+ */
+async function refreshShopifyThrottleStatus() {
+  await executeGraphQLQuery('query throttleProbe { shop { name } }');
+  return getShopifyThrottleStatus();
+}
+
+/**
+ * Records the cost information of a response
+ * @param {string} operationName - Name of the query that ran
+ * @param {Object} [cost] - extensions.cost of the response
+ */
+function recordQueryCost(operationName, cost) {
+  if (!cost) return;
+
+  if (cost.throttleStatus) {
+    throttleState.maximumAvailable = cost.throttleStatus.maximumAvailable;
+    throttleState.currentlyAvailable = cost.throttleStatus.currentlyAvailable;
+    throttleState.restoreRate = cost.throttleStatus.restoreRate;
+    throttleState.reportedAt = Date.now();
+  }
+  if (cost.requestedQueryCost !== undefined) {
+    requestedCostByQuery.set(operationName, cost.requestedQueryCost);
+  }
+  throttleState.lastQuery = {
+    name: operationName,
+    requestedQueryCost: cost.requestedQueryCost ?? null,
+    actualQueryCost: cost.actualQueryCost ?? null
+  };
+}
+
+/**
+ * Waits until the budget covers a query's cost
+ * @param {number} cost - Cost points the query needs
+ * @returns {Promise<void>}
+ */
+async function waitForQueryCost(cost) {
+  const missing = Math.min(cost, throttleState.maximumAvailable) - getAvailableCost();
+  if (missing <= 0) return;
+
+  const delay = Math.min(MAX_DELAY_MS, Math.ceil((missing / throttleState.restoreRate) * 1000));
+  throttleState.waitedMs += delay;
+  await new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Reads a Retry-After delay from a failed response
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in milliseconds, or null if none was sent
+ */
+function getRetryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
 /**
  * Execute a GraphQL query against the Shopify API
  * 
+ * Waits for the query cost budget to cover the query's last known cost before
+ * sending it, and retries throttled calls (THROTTLED errors or HTTP 429), server
+ * errors and network failures with backoff.
+ * 
  * @param {string} query - GraphQL query
  * @param {Object} variables - Query variables
  * @returns {Promise<Object>} - Query result
  */
 async function executeGraphQLQuery(query, variables = {}) {
-  try {
-    // Prepare to make GraphQL request
-    
-    const response = await fetch(SHOPIFY_GRAPHQL_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-      },
-      body: JSON.stringify({
-        query,
-        variables,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      
-      // Throw error to be handled by caller
-      throw new Error(`Shopify API error (${response.status}): ${errorText}`);
+  const operationName = getOperationName(query);
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForQueryCost(requestedCostByQuery.get(operationName) || 0);
+
+    let retryDelay = null;
+    let failure;
+    try {
+      throttleState.queries++;
+      const response = await fetch(SHOPIFY_GRAPHQL_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
+        },
+        body: JSON.stringify({
+          query,
+          variables,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        failure = new Error(`Shopify API error (${response.status}): ${errorText}`);
+        if (response.status === 429) {
+          throttleState.throttled++;
+          retryDelay = getRetryAfterMs(response) ?? BASE_DELAY_MS * 2 ** (attempt - 1);
+        } else if (response.status >= 500) {
+          retryDelay = BASE_DELAY_MS * 2 ** (attempt - 1);
+        }
+      } else {
+        const result = await response.json();
+        recordQueryCost(operationName, result.extensions?.cost);
+
+        if (!result.errors) {
+          return result.data;
+        }
+
+        failure = new Error(`Shopify GraphQL API errors: ${JSON.stringify(result.errors)}`);
+        if (result.errors.some(error => error.extensions?.code === 'THROTTLED')) {
+          // Wait until the bucket holds what the query asked for
+          throttleState.throttled++;
+          const requested = result.extensions?.cost?.requestedQueryCost || requestedCostByQuery.get(operationName) || 0;
+          retryDelay = Math.max(
+            BASE_DELAY_MS,
+            ((Math.min(requested, throttleState.maximumAvailable) - getAvailableCost()) / throttleState.restoreRate) * 1000
+          );
+        }
+      }
+    } catch (error) {
+      // Network failures reject fetch with a TypeError whose cause has the error code
+      failure = error;
+      if (isNetworkError(error)) {
+        retryDelay = BASE_DELAY_MS * 2 ** (attempt - 1);
+      }
     }
 
-    const result = await response.json();
-    
-    if (result.errors) {
-      // Throw error to be handled by caller
-      throw new Error(`Shopify GraphQL API errors: ${JSON.stringify(result.errors)}`);
+    if (retryDelay === null || attempt >= MAX_ATTEMPTS) {
+      throw failure;
+    }
+
+    const delay = Math.min(MAX_DELAY_MS, Math.ceil(retryDelay) + Math.floor(Math.random() * 250));
+    console.warn(`Shopify ${operationName} failed (${failure.message.slice(0, 200)}); retrying in ${delay}ms (attempt ${attempt}/${MAX_ATTEMPTS})`);
+    throttleState.retries++;
+    throttleState.waitedMs += delay;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Find and score Shopify products for a product title
+ * Searches by the whole title first; if no candidate is accepted, searches again by
+ * the title's most distinctive words so near misses still show up as candidates.
+ * 
+ * @param {string} productTitle - Cleaned product title to search for
+ * @param {string} [brand] - Optional brand hint; without one, brands are checked against the title
+ * @returns {Promise<{product: Object|null, confidence: number, candidates: Object[]}>} - The auto-accepted product (or null),
+ *   the best score, and the top candidates with their scores
+ */
+async function matchShopifyProduct(productTitle, brand) {
+  if (!productTitle) return { product: null, confidence: 0, candidates: [] };
+
+  const products = await searchProductsByTitle(productTitle);
+  let ranking = rankShopifyCandidates(productTitle, products, { brand });
+
+  if (!ranking.accepted) {
+    const tokens = getSearchTokens(productTitle);
+    if (tokens.length > 0) {
+      const broader = await searchProducts(tokens.map(token => `title:*${token}*`).join(' OR '));
+      const seen = new Set(products.map(product => product.id));
+      const merged = [...products, ...broader.filter(product => !seen.has(product.id))];
+      ranking = rankShopifyCandidates(productTitle, merged, { brand });
     }
-    
-    return result.data;
-  } catch (_error) {
-    // Propagate error to caller
-    throw error;
   }
+
+  return {
+    product: ranking.accepted?.product || null,
+    confidence: ranking.confidence,
+    candidates: ranking.candidates.slice(0, MAX_MATCH_CANDIDATES)
+  };
 }
 
 /**
  * Find a matching Shopify product for a product title
- * Returns the product if a single match is found, null otherwise
+ * Returns the product if a candidate is confident enough to accept automatically, null otherwise
  * 
  * @param {string} productTitle - Product title to search for
  * @param {string} [brand] - Optional brand to help with matching
@@ -70,65 +268,25 @@ async function findMatchingShopifyProduct(productTitle, brand) {
   if (!productTitle) return null;
   
   try {
-    // Using product title directly as it's already normalized upstream
-    const products = await searchProductsByTitle(productTitle);
-    
-    if (products.length === 0) {
-      return null;
-    }
-    
-    // 1. Look for an exact title match (case insensitive)
-    const exactMatch = products.find(p => 
-      p.title.toLowerCase() === productTitle.toLowerCase()
-    );
-    
-    if (exactMatch) {
-      return exactMatch;
-    }
-    
-    // 2. If we have brand info, try to match by brand + title contains
-    if (brand) {
-      const brandMatch = products.find(p => {
-        const productBrand = p.brand || p.vendor || '';
-        // Check that brand is a string and not null/undefined before using toLowerCase
-        if (!brand || typeof brand !== 'string') {
-          return false;
-        }
-        return (
-          productBrand.toLowerCase() === brand.toLowerCase() &&
-          p.title.toLowerCase().includes(productTitle.toLowerCase())
-        );
-      });
-      
-      if (brandMatch) {
-        return brandMatch;
-      }
-    }
-    
-    // 3. Try to find a product where the title is contained within the search term or vice versa
-    const titleLower = productTitle.toLowerCase();
-    const containedMatch = products.find(p => {
-      const pLower = p.title.toLowerCase();
-      return pLower.includes(titleLower) || titleLower.includes(pLower);
-    });
-    
-    if (containedMatch) {
-      return containedMatch;
-    }
-    
-    // 4. If we only have one product, return it
-    if (products.length === 1) {
-      return products[0];
-    }
-    
-    // 5. No good match found
-    return null;
-    
+    const match = await matchShopifyProduct(productTitle, brand);
+    return match.product;
   } catch (_error) {
     return null;
   }
 }
 
+/**
+ * Get the GID of a product's only variant
+ * @param {Object} product - Product with variants as an array or a connection
+ * @returns {string|null} - Variant GID, or null when the product has several variants (or none)
+ */
+function getSingleVariantId(product) {
+  const variants = Array.isArray(product.variants)
+    ? product.variants
+    : product.variants?.edges?.map(edge => edge.node) || [];
+  return variants.length === 1 ? variants[0].id : null;
+}
+
 /**
  * Save a Shopify product to the jotform_shopify table
  * 
@@ -228,14 +386,18 @@ async function saveShopifyProductData(submissionId, product, dbClient = null) {
         shopify_handle, 
         product_type, 
         product_brand, 
-        shopify_title
-      ) VALUES ($1, $2, $3, $4, $5)
+        shopify_title,
+        shopify_product_id,
+        shopify_variant_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       ON CONFLICT (submission_id) 
       DO UPDATE SET 
         shopify_handle = EXCLUDED.shopify_handle,
         product_type = EXCLUDED.product_type,
         product_brand = EXCLUDED.product_brand,
-        shopify_title = EXCLUDED.shopify_title
+        shopify_title = EXCLUDED.shopify_title,
+        shopify_product_id = EXCLUDED.shopify_product_id,
+        shopify_variant_id = EXCLUDED.shopify_variant_id
       RETURNING *`;
     
     const params = [
@@ -243,7 +405,9 @@ async function saveShopifyProductData(submissionId, product, dbClient = null) {
       product.handle || null,
       product.productType || null,
       brandToSave,
-      titleToSave
+      titleToSave,
+      product.id || null,
+      getSingleVariantId(product)
     ];
     
     const result = await client.query(query, params);
@@ -254,7 +418,7 @@ async function saveShopifyProductData(submissionId, product, dbClient = null) {
     
     return result.rows[0];
     
-  } catch (_error) {
+  } catch (error) {
     throw error; // Re-throw to be handled by the caller
   } finally {
     // Only release the client if we created it
@@ -270,6 +434,15 @@ async function saveShopifyProductData(submissionId, product, dbClient = null) {
  * @returns {Promise<Array>} - Array of matching products
  */
 async function searchProductsByTitle(title) {
+  return searchProducts(`title:*${title}*`);
+}
+
+/**
+ * Search for products with a Shopify search query
+ * @param {string} searchQuery - Shopify product search syntax, e.g. "title:*Ozona*"
+ * @returns {Promise<Array>} - Array of matching products
+ */
+async function searchProducts(searchQuery) {
   try {
     const query = `
       query searchProducts($query: String!) {
@@ -308,7 +481,7 @@ async function searchProductsByTitle(title) {
     `;
 
     const variables = {
-      query: `title:*${title}*`
+      query: searchQuery
     };
 
     const response = await executeGraphQLQuery(query, variables);
@@ -317,17 +490,90 @@ async function searchProductsByTitle(title) {
       return [];
     }
     
-    return response.products.edges.map(edge => ({
-      ...edge.node,
-      // Ensure we have a consistent structure with the other search function
-      images: edge.node.images?.edges?.map(img => img.node) || []
-    }));
+    return response.products.edges.map(edge => formatProductNode(edge.node));
     
-  } catch (_error) {
+  } catch (error) {
     throw error;
   }
 }
 
+/**
+ * Flatten the image and variant connections of a product node
+ * @param {Object} node - Product node from a products query
+ * @returns {Object} - Product with images and variants as arrays
+ */
+function formatProductNode(node) {
+  return {
+    ...node,
+    // Ensure we have a consistent structure with the other search function
+    images: node.images?.edges?.map(img => img.node) || [],
+    variants: node.variants?.edges?.map(variant => variant.node) || []
+  };
+}
+
+/**
+ * Fetch one page of the product catalog, least recently updated first
+ * 
+ * @param {Object} [options] - Page options
+ * @param {string} [options.after] - Cursor of the previous page's last product
+ * @param {string} [options.searchQuery] - Optional Shopify search filter, e.g. "updated_at:>='2024-01-01T00:00:00Z'"
+ * @param {number} [options.first=50] - Products per page (kept low so the query cost stays under Shopify's limit)
+ * @returns {Promise<{products: Array, hasNextPage: boolean, endCursor: string|null}>} - Products and the cursor to continue from
+ */
+async function fetchProductPage({ after = null, searchQuery = null, first = 50 } = {}) {
+  const query = `
+    query catalogPage($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+        edges {
+          node {
+            id
+            title
+            handle
+            vendor
+            productType
+            tags
+            status
+            updatedAt
+            metafield(namespace: "custom", key: "brands") {
+              value
+            }
+            images(first: 1) {
+              edges {
+                node {
+                  src
+                }
+              }
+            }
+            variants(first: 10) {
+              edges {
+                node {
+                  id
+                  title
+                  price
+                  sku
+                }
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const response = await executeGraphQLQuery(query, { first, after, query: searchQuery });
+  const connection = response?.products;
+
+  return {
+    products: (connection?.edges || []).map(edge => formatProductNode(edge.node)),
+    hasNextPage: Boolean(connection?.pageInfo?.hasNextPage),
+    endCursor: connection?.pageInfo?.endCursor || null
+  };
+}
+
 /**
  * Get a Shopify product by its handle
  * @param {string} handle - The product handle
@@ -408,10 +654,177 @@ async function getShopifyProductByHandle(handle) {
   }
 }
 
+/**
+ * Resolve a handle to the product that currently has it
+ * Unlike getShopifyProductByHandle, API failures are thrown rather than reported as a missing product
+ * 
+ * @param {string} handle - The product handle
+ * @returns {Promise<{id: string, handle: string, status: string}|null>} - The product or null if no product has the handle
+ */
+async function resolveShopifyHandle(handle) {
+  const query = `
+    query productIdByHandle($handle: String!) {
+      productByHandle(handle: $handle) {
+        id
+        handle
+        status
+      }
+    }
+  `;
+
+  const response = await executeGraphQLQuery(query, { handle });
+  return response?.productByHandle || null;
+}
+
+/**
+ * Look up products by GID
+ * 
+ * @param {string[]} ids - Product GIDs (at most 250 per call)
+ * @returns {Promise<Map<string, {id: string, handle: string, title: string, status: string, variantId: string|null}|null>>} - Product
+ *   by GID (variantId only for single-variant products), null for products that no longer exist
+ */
+async function getShopifyProductsByIds(ids) {
+  const query = `
+    query productsByIds($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          handle
+          title
+          status
+          variants(first: 2) {
+            edges {
+              node {
+                id
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await executeGraphQLQuery(query, { ids });
+  const nodes = response?.nodes || [];
+
+  // nodes keeps the order of ids, with null for deleted products
+  return new Map(ids.map((id, index) => {
+    const node = nodes[index];
+    if (!node?.id) return [id, null];
+
+    const { variants: _variants, ...product } = node;
+    return [id, { ...product, variantId: getSingleVariantId(node) }];
+  }));
+}
+
+/**
+ * Get a product's metafields in one namespace
+ * 
+ * @param {string} productId - Product GID
+ * @param {string} namespace - Metafield namespace
+ * @returns {Promise<{handle: string, metafields: Array<{key: string, type: string, value: string}>}|null>} - The
+ *   product's current handle and metafields, or null if the product no longer exists
+ */
+async function getProductMetafields(productId, namespace) {
+  const query = `
+    query productMetafields($id: ID!, $namespace: String!) {
+      product(id: $id) {
+        handle
+        metafields(first: 50, namespace: $namespace) {
+          edges {
+            node {
+              key
+              type
+              value
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await executeGraphQLQuery(query, { id: productId, namespace });
+  if (!response?.product) return null;
+
+  return {
+    handle: response.product.handle,
+    metafields: response.product.metafields.edges.map(edge => edge.node)
+  };
+}
+
+/**
+ * Write metafields with the metafieldsSet mutation (at most 25 per call)
+ * 
+ * @param {Array<{ownerId: string, namespace: string, key: string, type: string, value: string}>} metafields - Metafields to set
+ * @returns {Promise<{metafields: Array<{key: string}>, userErrors: Array<{field: string[], message: string, code: string}>}>} - Written
+ *   metafields and validation errors; nothing is written when there are errors
+ */
+async function setProductMetafields(metafields) {
+  const query = `
+    mutation setProductMetafields($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields {
+          key
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `;
+
+  const response = await executeGraphQLQuery(query, { metafields });
+  return {
+    metafields: response?.metafieldsSet?.metafields || [],
+    userErrors: response?.metafieldsSet?.userErrors || []
+  };
+}
+
+/**
+ * Delete metafields with the metafieldsDelete mutation
+ * 
+ * @param {Array<{ownerId: string, namespace: string, key: string}>} metafields - Metafields to delete
+ * @returns {Promise<{deletedMetafields: Array<{key: string}>, userErrors: Array<{field: string[], message: string}>}>} - Deleted
+ *   metafields (null entries for ones that did not exist) and validation errors
+ */
+async function deleteProductMetafields(metafields) {
+  const query = `
+    mutation deleteProductMetafields($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const response = await executeGraphQLQuery(query, { metafields });
+  return {
+    deletedMetafields: response?.metafieldsDelete?.deletedMetafields || [],
+    userErrors: response?.metafieldsDelete?.userErrors || []
+  };
+}
+
 // Export all functions
 module.exports = {
+  deleteProductMetafields,
+  fetchProductPage,
+  getProductMetafields,
+  getShopifyProductsByIds,
+  getShopifyThrottleStatus,
+  refreshShopifyThrottleStatus,
+  resolveShopifyHandle,
+  searchProducts,
   searchProductsByTitle,
+  setProductMetafields,
   findMatchingShopifyProduct,
+  matchShopifyProduct,
   saveShopifyProductData,
   getShopifyProductByHandle
 };
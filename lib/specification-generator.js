@@ -21,6 +21,15 @@ try {
 // Import status management utilities
 const { STATUS } = require('./submission-status');
 
+// Per-form settings such as the default product type
+const { getJotformForm } = require('./jotform-forms');
+
+// Reviewer name -> user resolution (jotform_name or alias)
+const { findUserIdForReviewer, suggestUsersForReviewer } = require('./reviewer-identity');
+
+// Answer -> enum value resolution (enum name or synonym)
+const { findEnumIdByLabel, getEnumValues, suggestEnumValues } = require('./enum-synonyms');
+
 // Constants for log levels
 const LOG_LEVELS = {
   ERROR: 0,
@@ -194,20 +203,15 @@ async function generateSpecifications(options = {}) {
           const validationResult = await validateSubmission(transactionClient, submission);
           
           if (!validationResult.valid) {
-            // Create structured error info similar to individual endpoint
-            const errorInfo = parseValidationError(validationResult.reason);
-            
-            // Get suggestions for enum values if applicable
-            if (errorInfo.enumTable) {
-              errorInfo.suggestions = await getEnumSuggestions(transactionClient, errorInfo.enumTable, errorInfo.value);
-            }
+            // Every problem of the submission, with suggestions, same as the individual endpoint
+            const errors = await addProblemSuggestions(transactionClient, validationResult.problems);
             
-            // Add to failed submissions with detailed error
+            // Add to failed submissions with detailed errors
             failedSubmissions.push({
               id: submissionId,
               title: submission.title || 'Unknown',
               error: validationResult.reason,
-              errorInfo
+              errors
             });
             
             await transactionClient.query('ROLLBACK');
@@ -252,7 +256,7 @@ async function generateSpecifications(options = {}) {
               id: submissionId,
               title: submission.title || 'Unknown',
               error: err.message,
-              errorInfo
+              errors: [errorInfo]
             });
             
             // Log the error to the database
@@ -324,7 +328,7 @@ function updateProgress(progressData) {
 }
 
 /**
- * Get processed submissions that don't already have specifications
+ * Get processed submissions that need a specification generated or regenerated
  * Only selects submissions in the valid states for specification generation
  * 
  * @param {Object} client - Database client
@@ -337,12 +341,14 @@ async function getProcessedSubmissionsForSpecification(client) {
     const startTime = Date.now();
 
     // Explicitly target only shopify_mapped status submissions
-    // Directly join using submission_id
+    // Submissions edited in Jotform are moved back to shopify_mapped while they
+    // still have a specification; createSpecification upserts, so include them
+    // Product type and brand come from Shopify and are validated too
     const submissionsQuery = `
-      SELECT j.* FROM jotform j
-      LEFT JOIN specifications s ON j.submission_id = s.submission_id
+      SELECT j.*, js.product_type, js.product_brand
+      FROM jotform j
+      LEFT JOIN jotform_shopify js ON js.submission_id = j.submission_id
       WHERE j.status = 'shopify_mapped'
-      AND s.id IS NULL
       LIMIT 500
     `;
     
@@ -404,8 +410,10 @@ async function createSpecification(client, jotform, shopify) {
   log('DEBUG', `User ID: ${userId}`);
 
   // Get foreign key IDs
-  log('DEBUG', 'Getting product type ID...');
-  const productTypeId = await getEnumIdByName(client, 'enum_product_types', shopify.product_type);
+  // Fall back to the form's default product type when the Shopify product has none
+  const productType = shopify.product_type || getJotformForm(jotform.form_id)?.defaultProductType || null;
+  log('DEBUG', `Getting product type ID for: ${productType}`);
+  const productTypeId = await getEnumIdByName(client, 'enum_product_types', productType);
   log('DEBUG', `Product type ID: ${productTypeId}`);
 
   let productBrandId = null;
@@ -472,8 +480,10 @@ async function createSpecification(client, jotform, shopify) {
           user_id = $12,
           moisture_level_id = $13,
           product_brand_id = $14,
+          shopify_product_id = $15,
+          shopify_variant_id = $16,
           updated_at = CURRENT_TIMESTAMP
-        WHERE id = $15
+        WHERE id = $17
         RETURNING id
       `;
       
@@ -492,6 +502,8 @@ async function createSpecification(client, jotform, shopify) {
         userId,
         moistureLevelId,
         productBrandId,
+        shopify.shopify_product_id || null,
+        shopify.shopify_variant_id || null,
         specId
       ];
       
@@ -525,8 +537,8 @@ async function createSpecification(client, jotform, shopify) {
           shopify_handle, product_type_id, is_fermented, is_oral_tobacco, 
           is_artisan, grind_id, nicotine_level_id, experience_level_id, 
           review, star_rating, rating_boost, user_id, moisture_level_id,
-          product_brand_id, submission_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          product_brand_id, submission_id, shopify_product_id, shopify_variant_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
         RETURNING id
       `;
 
@@ -545,7 +557,9 @@ async function createSpecification(client, jotform, shopify) {
         userId,
         moistureLevelId,
         productBrandId,
-        submissionId
+        submissionId,
+        shopify.shopify_product_id || null,
+        shopify.shopify_variant_id || null
       ];
 
       log('TRACE', 'Executing insert query for specification');
@@ -560,120 +574,132 @@ async function createSpecification(client, jotform, shopify) {
   }
 }
 
+// Single-value fields checked against their enum table before generation
+const ENUM_FIELDS = [
+  {
+    field: 'product_type',
+    enumTable: 'enum_product_types',
+    // Same fallback as createSpecification
+    getValue: submission => submission.product_type || getJotformForm(submission.form_id)?.defaultProductType || null
+  },
+  { field: 'product_brand', enumTable: 'enum_product_brands' },
+  { field: 'snuff_type', enumTable: 'enum_snuff_types' },
+  { field: 'moisture', enumTable: 'enum_moisture_levels' },
+  { field: 'grind', enumTable: 'enum_grinds' },
+  { field: 'nicotine', enumTable: 'enum_nicotine_levels' },
+  { field: 'ease_of_use', enumTable: 'enum_experience_levels' }
+];
+
+// Newline-delimited fields whose every value is checked against the enum table
+const DELIMITED_ENUM_FIELDS = [
+  { field: 'tobacco', enumTable: 'enum_tobacco_types' },
+  { field: 'cure', enumTable: 'enum_cures' },
+  { field: 'tasting_notes', enumTable: 'enum_tasting_notes' }
+];
+
+/**
+ * Splits a newline-delimited field into its values, skipping blank lines
+ * @param {string} delimitedValues - Newline-delimited values
+ * @returns {string[]} Trimmed values
+ */
+function splitDelimitedValues(delimitedValues) {
+  return delimitedValues
+    .split('\n')
+    .map(v => v.trim())
+    .filter(v => v.length > 0);
+}
+
 /**
  * Validates a submission before processing
- * Ensures it has all required data and relationships
+ * Checks the reviewer and every enum-backed field, and collects all problems
+ * instead of stopping at the first, so a submission can be fixed in one go.
+ * Lookups never throw on unknown values, so the transaction stays usable.
  * 
  * @param {Object} client - Database client
- * @param {Object} submission - Jotform submission data
- * @returns {Promise<Object>} - Validation result {valid: boolean, reason: string, userId: string}
+ * @param {Object} submission - Jotform submission data, joined with its jotform_shopify row
+ * @returns {Promise<Object>} - Validation result {valid: boolean, problems: Array<{field, value, enumTable, message}>,
+ *   reason: string (all problem messages), userId: string}
  */
 async function validateSubmission(client, submission) {
   log('DEBUG', `Validating submission ${submission.submission_id}`);
   const startTime = Date.now();
+  const problems = [];
+  let userId = null;
 
   try {
     // Check for required fields
     if (!submission.reviewer) {
       log('WARN', `Missing reviewer information for submission ${submission.submission_id}`);
-      return { valid: false, reason: 'Missing reviewer information' };
+      problems.push({ field: 'reviewer', value: null, enumTable: null, message: 'Missing reviewer information' });
+    } else {
+      userId = await findUserIdForReviewer(client, submission.reviewer);
+      if (!userId) {
+        log('WARN', `No user found with jotform_name matching reviewer: ${submission.reviewer}`);
+        problems.push({
+          field: 'reviewer',
+          value: submission.reviewer,
+          enumTable: null,
+          message: `No user found with jotform_name matching reviewer: ${submission.reviewer}`
+        });
+      }
     }
 
     // Verify enum values before attempting to use them
     // This prevents transaction aborts when enum values don't exist
-    // We're only checking the existence here, not using the results
-    if (submission.ease_of_use) {
-      try {
-        // Special handling for 'Expert' value
-        const experienceLevel = submission.ease_of_use === 'Expert' ? 'Advanced' : submission.ease_of_use;
-        const query = `SELECT id FROM enum_experience_levels WHERE LOWER(name) = LOWER($1)`;
-        const result = await client.query(query, [experienceLevel]);
-        if (result.rows.length === 0) {
-          return { valid: false, reason: `Value "${submission.ease_of_use}" not found in enum_experience_levels` };
-        }
-      } catch (err) {
-        log('WARN', `Error checking experience level: ${err.message}`);
-        return { valid: false, reason: err.message };
-      }
-    }
+    for (const { field, enumTable, getValue } of ENUM_FIELDS) {
+      const value = getValue ? getValue(submission) : submission[field];
+      if (!value) continue;
 
-    // Get the user ID for the reviewer
-    try {
-      const userId = await getUserIdFromReviewer(client, submission.reviewer);
-      if (!userId) {
-        log('WARN', `No user found with jotform_name matching reviewer: ${submission.reviewer}`);
-        return { valid: false, reason: `No user found with jotform_name matching reviewer: ${submission.reviewer}` };
+      const enumId = await findEnumId(client, enumTable, value);
+      if (enumId === null) {
+        problems.push({ field, value, enumTable, message: `"${value}" is not a recognized value for ${field}` });
       }
-      
-      log('DEBUG', `Validation completed in ${Date.now() - startTime}ms`);
-      return { valid: true, userId };
-    } catch (error) {
-      log('WARN', `Error finding user: ${error.message}`);
-      return { valid: false, reason: error.message };
     }
-    // Validate newline-delimited fields
-    const fieldsToValidate = [
-      { field: 'tobacco', enumTable: 'enum_tobacco_types' },
-      { field: 'cure', enumTable: 'enum_cures' },
-      { field: 'tasting_notes', enumTable: 'enum_tasting_notes' }
-    ];
-
-    for (const { field, enumTable } of fieldsToValidate) {
-      if (submission[field]) {
-        // Check for malformed patterns
-        if (submission[field].includes('\n\n')) {
-          return {
-            valid: false,
-            reason: `Field ${field} contains consecutive newlines`
-          };
-        }
 
-        // Validate enum values exist
-        const values = submission[field]
-          .split('\n')
-          .map(v => v.trim())
-          .filter(v => v.length > 0);
-
-        for (const value of values) {
-          // Check cache first
-          let enumId = enumCache.get(enumTable, value);
-
-          // If not in cache, query database
-          if (enumId === undefined) {
-            const query = `
-              SELECT id FROM ${enumTable}
-              WHERE LOWER(name) = LOWER($1)
-            `;
-
-            try {
-              const result = await client.query(query, [value]);
-              if (result.rows.length === 0) {
-                return {
-                  valid: false,
-                  reason: `Value "${value}" not found in ${enumTable}`
-                };
-              }
-              // Cache the result
-              enumId = result.rows[0].id;
-              enumCache.set(enumTable, value, enumId);
-            } catch (error) {
-              return {
-                valid: false,
-                reason: `Error validating ${field}: ${error.message}`
-              };
-            }
-          }
+    // Validate newline-delimited fields value by value
+    for (const { field, enumTable } of DELIMITED_ENUM_FIELDS) {
+      if (!submission[field]) continue;
+
+      for (const value of splitDelimitedValues(submission[field])) {
+        const enumId = await findEnumId(client, enumTable, value);
+        if (enumId === null) {
+          problems.push({ field, value, enumTable, message: `"${value}" is not a recognized value for ${field}` });
         }
       }
     }
-    
-    // All validations passed
-    log('DEBUG', `Validation completed in ${Date.now() - startTime}ms`);
-    return { valid: true, userId };
   } catch (error) {
     log('ERROR', `Error validating submission: ${error.message}`);
-    return { valid: false, reason: error.message };
+    problems.push({ field: null, value: null, enumTable: null, message: error.message });
+  }
+
+  log('DEBUG', `Validation completed in ${Date.now() - startTime}ms with ${problems.length} problem(s)`);
+
+  if (problems.length > 0) {
+    return { valid: false, problems, reason: problems.map(problem => problem.message).join('; '), userId };
+  }
+  return { valid: true, problems, reason: null, userId };
+}
+
+/**
+ * Adds suggestions to validation problems: enum values for unknown values and
+ * close user matches for an unknown reviewer
+ * 
+ * @param {Object} client - Database client
+ * @param {Array<Object>} problems - Problems from validateSubmission
+ * @returns {Promise<Array<Object>>} - The problems with suggestions where available
+ */
+async function addProblemSuggestions(client, problems) {
+  const withSuggestions = [];
+  for (const problem of problems) {
+    if (problem.enumTable) {
+      withSuggestions.push({ ...problem, suggestions: await getEnumSuggestions(client, problem.enumTable, problem.value) });
+    } else if (problem.field === 'reviewer' && problem.value) {
+      withSuggestions.push({ ...problem, suggestions: await getReviewerSuggestions(client, problem.value) });
+    } else {
+      withSuggestions.push(problem);
+    }
   }
+  return withSuggestions;
 }
 
 /**
@@ -684,10 +710,7 @@ async function processNewlineDelimitedField(client, specId, delimitedValues, enu
   const startTime = Date.now();
 
   // Split by newline and trim values
-  const values = delimitedValues
-    .split('\n')
-    .map(v => v.trim())
-    .filter(v => v.length > 0);
+  const values = splitDelimitedValues(delimitedValues);
 
   log('DEBUG', `Processing ${values.length} values for ${enumTable}`);
 
@@ -733,6 +756,40 @@ async function processNewlineDelimitedField(client, specId, delimitedValues, enu
   log('DEBUG', `Completed processing delimited field after ${Date.now() - startTime}ms`);
 }
 
+/**
+ * Look up an enum ID by name or synonym without failing on unknown values
+ * Uses caching to reduce database queries
+ * 
+ * @param {Object} client - Database client
+ * @param {string} enumTable - Name of the enum table
+ * @param {string} name - Enum value or synonym to lookup
+ * @returns {Promise<number|null>} - Enum ID or null if not found
+ */
+async function findEnumId(client, enumTable, name) {
+  // Check cache first
+  const cachedId = enumCache.get(enumTable, name);
+  if (cachedId !== undefined) {
+    return cachedId;
+  }
+
+  // Not in cache, query database
+  const startTime = Date.now();
+  const id = await findEnumIdByLabel(client, enumTable, name);
+  log('TRACE', `Enum lookup completed in ${Date.now() - startTime}ms`);
+
+  if (id === null) {
+    log('WARN', `No matching enum value or synonym found for '${name}' in '${enumTable}'`);
+    return null;
+  }
+
+  log('DEBUG', `Found ID ${id} for '${name}' in '${enumTable}'`);
+
+  // Cache the result
+  enumCache.set(enumTable, name, id);
+
+  return id;
+}
+
 /**
  * Get enum ID by name
  * Uses caching to reduce database queries
@@ -740,7 +797,8 @@ async function processNewlineDelimitedField(client, specId, delimitedValues, enu
  * @param {Object} client - Database client
  * @param {string} enumTable - Name of the enum table
  * @param {string} name - Enum value to lookup
- * @returns {Promise<number|null>} - Enum ID or null if not found
+ * @returns {Promise<number|null>} - Enum ID, or null if name is empty
+ * @throws {Error} When the value is not in the enum table
  */
 async function getEnumIdByName(client, enumTable, name) {
   log('DEBUG', `Getting enum ID for ${enumTable}.${name}`);
@@ -751,42 +809,13 @@ async function getEnumIdByName(client, enumTable, name) {
   }
 
   try {
-    // Handle special case mappings
-    if (enumTable === 'enum_experience_levels' && name === 'Expert') {
-      log('INFO', 'Mapping "Expert" to "Advanced" in enum_experience_levels');
-      name = 'Advanced';
-    }
-
-    // Check cache first
-    const cachedId = enumCache.get(enumTable, name);
-    if (cachedId !== undefined) {
-      return cachedId;
-    }
-
-    // Not in cache, query database
-    const query = `
-      SELECT id FROM ${enumTable}
-      WHERE LOWER(name) = LOWER($1)
-    `;
-
-    log('TRACE', `Executing query: ${query.replace(/\s+/g, ' ')} with param: ${name}`);
-    const startTime = Date.now();
-    const result = await client.query(query, [name]);
-    log('TRACE', `Query completed in ${Date.now() - startTime}ms`);
-
-    if (result.rows.length === 0) {
-      log('WARN', `No matching enum value found for '${name}' in '${enumTable}'`);
+    const id = await findEnumId(client, enumTable, name);
+    if (id === null) {
       // Don't log to transform_log here as it might cause transaction issues
       // Instead throw a properly formatted error that can be caught higher up
       throw new Error(`Value "${name}" not found in ${enumTable}`);
     }
 
-    const id = result.rows[0].id;
-    log('DEBUG', `Found ID ${id} for '${name}' in '${enumTable}'`);
-
-    // Cache the result
-    enumCache.set(enumTable, name, id);
-
     return id;
   } catch (error) {
     log('ERROR', `Error in getEnumIdByName: ${error.message}`);
@@ -796,7 +825,7 @@ async function getEnumIdByName(client, enumTable, name) {
 
 /**
  * Get user ID from reviewer name
- * Maps jotform.reviewer -> users.jotform_name -> users.id
+ * Maps jotform.reviewer -> users.jotform_name or reviewer_aliases.alias -> users.id
  * Missing data is treated as a hard error
  */
 async function getUserIdFromReviewer(client, reviewerName) {
@@ -808,23 +837,17 @@ async function getUserIdFromReviewer(client, reviewerName) {
     throw new Error('Reviewer name is missing in submission data');
   }
 
-  const query = `
-    SELECT id FROM users
-    WHERE LOWER(jotform_name) = LOWER($1)
-  `;
-
   try {
-    log('TRACE', `Executing query: ${query.replace(/\s+/g, ' ')} with param: ${reviewerName}`);
-    const result = await client.query(query, [reviewerName]);
-    log('TRACE', `Query returned ${result.rows.length} rows after ${Date.now() - startTime}ms`);
+    const userId = await findUserIdForReviewer(client, reviewerName);
+    log('TRACE', `Reviewer lookup finished after ${Date.now() - startTime}ms`);
 
-    if (result.rows.length === 0) {
+    if (!userId) {
       log('ERROR', `No user found with jotform_name matching reviewer: ${reviewerName}`);
       throw new Error(`No user found with jotform_name matching reviewer: ${reviewerName}`);
     }
 
-    log('DEBUG', `Found user ID ${result.rows[0].id} for reviewer '${reviewerName}'`);
-    return result.rows[0].id;
+    log('DEBUG', `Found user ID ${userId} for reviewer '${reviewerName}'`);
+    return userId;
   } catch (error) {
     log('ERROR', `Error in getUserIdFromReviewer: ${error.message}`);
     throw error;
@@ -858,64 +881,6 @@ async function logTransformError(client, submissionId, error) {
   }
 }
 
-/**
- * Parse validation error messages into structured form
- * @param {string} errorMessage - The error message to parse
- * @returns {Object} Structured error information
- */
-function parseValidationError(errorMessage) {
-  // Default error structure
-  const errorInfo = {
-    message: errorMessage,
-    field: null,
-    value: null,
-    enumTable: null
-  };
-
-  // Check for missing reviewer
-  if (errorMessage.includes('Missing reviewer')) {
-    errorInfo.field = 'reviewer';
-    return errorInfo;
-  }
-
-  // Check for user not found
-  if (errorMessage.includes('No user found with jotform_name matching reviewer')) {
-    errorInfo.field = 'reviewer';
-    const match = errorMessage.match(/reviewer: (.+)$/);
-    if (match) {
-      errorInfo.value = match[1];
-    }
-    return errorInfo;
-  }
-
-  // Check for enum value not found
-  const enumMatch = errorMessage.match(/Value "([^"]+)" not found in (\w+)/);
-  if (enumMatch) {
-    errorInfo.value = enumMatch[1];
-    errorInfo.enumTable = enumMatch[2];
-    
-    // Map enum table to field name
-    if (enumMatch[2] === 'enum_tobacco_types') {
-      errorInfo.field = 'tobacco';
-    } else if (enumMatch[2] === 'enum_cures') {
-      errorInfo.field = 'cure';
-    } else if (enumMatch[2] === 'enum_tasting_notes') {
-      errorInfo.field = 'tasting_notes';
-    }
-    
-    errorInfo.message = `"${errorInfo.value}" is not a recognized value for ${errorInfo.field}`;
-  }
-
-  // Check for malformed fields
-  const malformedMatch = errorMessage.match(/Field (\w+) contains consecutive/);
-  if (malformedMatch) {
-    errorInfo.field = malformedMatch[1];
-    errorInfo.message = `The ${errorInfo.field} field contains formatting errors`;
-  }
-
-  return errorInfo;
-}
-
 /**
  * Parse generation errors into structured form
  * @param {string} errorMessage - The error message to parse
@@ -945,22 +910,33 @@ function parseGenerationError(errorMessage) {
  */
 async function getEnumSuggestions(client, enumTable, invalidValue) {
   try {
-    // Get similar values to suggest
-    const query = `
-      SELECT name 
-      FROM ${enumTable} 
-      ORDER BY name ASC
-      LIMIT 5
-    `;
-    
-    const result = await client.query(query);
-    return result.rows.map(row => row.name);
+    const values = await getEnumValues(client, enumTable);
+    const closest = suggestEnumValues(invalidValue, values);
+
+    // Without a close match, list the first few values instead
+    return (closest.length > 0 ? closest : values.slice(0, 5)).map(value => value.name);
   } catch (error) {
     console.error(`Error getting suggestions for ${enumTable}:`, error);
     return [];
   }
 }
 
+/**
+ * Get suggested users for an unknown reviewer name
+ * @param {Object} client - Database client
+ * @param {string} reviewerName - The unknown reviewer name
+ * @returns {Promise<Array>} List of suggestions
+ */
+async function getReviewerSuggestions(client, reviewerName) {
+  try {
+    const suggestions = await suggestUsersForReviewer(client, reviewerName);
+    return suggestions.map(suggestion => suggestion.name || suggestion.email);
+  } catch (error) {
+    console.error(`Error getting reviewer suggestions for ${reviewerName}:`, error);
+    return [];
+  }
+}
+
 /**
  * Generate a specification for a single submission
  * 
@@ -1085,23 +1061,33 @@ async function generateSpecification(options) {
   }
 }
 
+/**
+ * Clears cached enum lookups, e.g. after enum values or synonyms changed
+ */
+function clearEnumCache() {
+  enumCache.clear();
+}
+
 module.exports = {
   generateSpecifications,
   generateSpecification,
+  clearEnumCache,
   // Export configuration for external modification
   config,
   // For testing purposes
   _internal: {
     validateSubmission,
+    addProblemSuggestions,
     getProcessedSubmissionsForSpecification,
     getShopifyDataForSubmission,
     createSpecification,
     processNewlineDelimitedField,
+    findEnumId,
     getEnumIdByName,
     getUserIdFromReviewer,
     logTransformError,
-    parseValidationError,
     parseGenerationError,
-    getEnumSuggestions
+    getEnumSuggestions,
+    getReviewerSuggestions
   }
 };
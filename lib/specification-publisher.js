@@ -0,0 +1,277 @@
+/**
+ * Publishing specifications to Shopify product metafields
+ *
+ * Aggregates the specifications of each product and writes them to metafields
+ * in a configurable namespace with the metafieldsSet mutation, so the storefront
+ * can show them. Only metafields whose value differs from Shopify are written, and
+ * metafields whose value is now empty are deleted with metafieldsDelete.
+ * Every publish, including dry runs, is logged per product in
+ * shopify_metafield_publications.
+ */
+
+import config from '../config';
+import { getProductSpecificationSummaries } from './product-specifications';
+import { deleteProductMetafields, getProductMetafields, setProductMetafields } from './shopify';
+import { resolveProductIds } from './shopify-verification';
+
+// Publish outcomes recorded in the log
+export const PUBLISH_STATUS = {
+  PUBLISHED: 'published',
+  UNCHANGED: 'unchanged',
+  DRY_RUN: 'dry_run',
+  FAILED: 'failed'
+};
+
+// Metafields written per product, from the aggregated specification summary
+const SPEC_METAFIELDS = [
+  { key: 'grind', type: 'single_line_text_field', value: summary => summary.grind },
+  { key: 'moisture_level', type: 'single_line_text_field', value: summary => summary.moistureLevel },
+  { key: 'nicotine_level', type: 'single_line_text_field', value: summary => summary.nicotineLevel },
+  { key: 'tobacco_types', type: 'list.single_line_text_field', value: summary => summary.tobaccoTypes },
+  { key: 'cures', type: 'list.single_line_text_field', value: summary => summary.cures },
+  { key: 'tasting_notes', type: 'list.single_line_text_field', value: summary => summary.tastingNotes },
+  { key: 'star_rating', type: 'number_decimal', value: summary => summary.starRating },
+  { key: 'review_count', type: 'number_integer', value: summary => summary.specificationCount },
+  { key: 'fermented', type: 'boolean', value: summary => summary.fermented },
+  { key: 'artisan', type: 'boolean', value: summary => summary.artisan }
+];
+
+// Log entries returned per product
+const MAX_LOG_ENTRIES = 20;
+
+/**
+ * Serializes a value the way Shopify stores metafields of the type
+ * @param {string} type - Metafield type
+ * @param {*} value - Aggregated value
+ * @returns {string|null} Metafield value, or null when there is nothing to publish
+ */
+function serializeMetafieldValue(type, value) {
+  if (value === null || value === undefined) return null;
+  if (type.startsWith('list.')) return value.length > 0 ? JSON.stringify(value) : null;
+  if (type === 'number_decimal') return value.toFixed(1);
+  return String(value);
+}
+
+/**
+ * Compares a stored metafield value with a new one, ignoring formatting Shopify may change
+ * @param {string} type - Metafield type
+ * @param {string} a - Stored value
+ * @param {string} b - New value
+ * @returns {boolean} Whether the values are the same
+ */
+function sameMetafieldValue(type, a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null) return false;
+  try {
+    if (type.startsWith('list.')) return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+    if (type.startsWith('number_')) return Number(a) === Number(b);
+  } catch (_error) {
+    // A malformed stored value differs from any new one
+  }
+  return false;
+}
+
+/**
+ * Serializes every specification metafield of a product, including empty ones
+ * @param {Object} summary - Summary from getProductSpecificationSummaries
+ * @param {string} namespace - Metafield namespace
+ * @returns {Array<{namespace: string, key: string, type: string, value: string|null}>} Metafields; value is null when empty
+ */
+function serializeSpecificationMetafields(summary, namespace) {
+  return SPEC_METAFIELDS.map(({ key, type, value }) => ({ namespace, key, type, value: serializeMetafieldValue(type, value(summary)) }));
+}
+
+/**
+ * Builds the metafields of a product from its specification summary
+ * @param {Object} summary - Summary from getProductSpecificationSummaries
+ * @param {string} namespace - Metafield namespace
+ * @returns {Array<{namespace: string, key: string, type: string, value: string}>} Metafields with a value
+ */
+export function buildSpecificationMetafields(summary, namespace) {
+  return serializeSpecificationMetafields(summary, namespace).filter(metafield => metafield.value !== null);
+}
+
+/**
+ * Works out what publishing a product would change
+ * @param {Object} summary - Summary from getProductSpecificationSummaries
+ * @param {string} productId - Product GID
+ * @param {string} namespace - Metafield namespace
+ * @returns {Promise<{metafields: Object[], removals: Object[], changes: Object[], errorMessage: string|null}>} Metafields to
+ *   write, metafields to delete because their value is now empty, and the differences from Shopify ({ key, type, from, to },
+ *   with to null for a deletion)
+ */
+async function planProductPublish(summary, productId, namespace) {
+  const current = await getProductMetafields(productId, namespace);
+  if (!current) {
+    return { metafields: [], removals: [], changes: [], errorMessage: `Product ${productId} no longer exists in Shopify` };
+  }
+
+  const currentByKey = new Map(current.metafields.map(metafield => [metafield.key, metafield]));
+  const changes = [];
+  const metafields = [];
+  const removals = [];
+  for (const metafield of serializeSpecificationMetafields(summary, namespace)) {
+    const existing = currentByKey.get(metafield.key);
+
+    if (metafield.value === null) {
+      if (existing) {
+        removals.push({ ownerId: productId, namespace, key: metafield.key });
+        changes.push({ key: metafield.key, type: metafield.type, from: existing.value, to: null });
+      }
+      continue;
+    }
+
+    if (existing && existing.type === metafield.type && sameMetafieldValue(metafield.type, existing.value, metafield.value)) {
+      continue;
+    }
+    metafields.push({ ...metafield, ownerId: productId });
+    changes.push({ key: metafield.key, type: metafield.type, from: existing?.value ?? null, to: metafield.value });
+  }
+
+  return { metafields, removals, changes, errorMessage: null };
+}
+
+/**
+ * Throws the validation errors of a metafield mutation as one error
+ * @param {Array<{field: string[], message: string}>} userErrors - Errors returned by Shopify
+ * @returns {void}
+ * @throws {Error} If there are any errors
+ */
+function throwUserErrors(userErrors) {
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map(error => `${(error.field || []).join('.')}: ${error.message}`).join('; '));
+  }
+}
+
+/**
+ * Finds the product GID of each summary, resolving handles of specifications stored without one
+ * @param {Object} client - Database client
+ * @param {Object[]} summaries - Summaries from getProductSpecificationSummaries
+ * @returns {Promise<Map<string, string|null>>} Product GID by handle
+ */
+async function getSummaryProductIds(client, summaries) {
+  const productIds = await resolveProductIds(
+    client,
+    summaries.filter(summary => !summary.productId).map(summary => summary.handle)
+  );
+  for (const summary of summaries) {
+    if (summary.productId) productIds.set(summary.handle, summary.productId);
+  }
+  return productIds;
+}
+
+/**
+ * Previews publishing one product without writing or logging anything
+ * @param {Object} client - Database client
+ * @param {string} handle - Product handle
+ * @returns {Promise<Object|null>} Summary, product GID, metafields, changes and error; null when the product has no specifications
+ */
+export async function previewSpecificationPublish(client, handle) {
+  const namespace = config.shopify.specMetafieldNamespace;
+  const [summary] = await getProductSpecificationSummaries(client, [handle]);
+  if (!summary) return null;
+
+  const productId = (await getSummaryProductIds(client, [summary])).get(handle);
+  if (!productId) {
+    return {
+      handle,
+      namespace,
+      summary,
+      productId: null,
+      metafields: [],
+      removals: [],
+      changes: [],
+      errorMessage: `No Shopify product found for handle ${handle}`
+    };
+  }
+
+  const plan = await planProductPublish(summary, productId, namespace);
+  return { handle, namespace, summary, productId, ...plan };
+}
+
+/**
+ * Publishes the aggregated specifications of products to Shopify metafields
+ * Each product is planned, written (unless dry run or unchanged) and logged on its
+ * own, so one failing product does not stop the others.
+ *
+ * @param {Object} client - Database client
+ * @param {Object} [options] - Publish options
+ * @param {string[]} [options.handles] - Products to publish; every product with specifications when omitted
+ * @param {boolean} [options.dryRun=false] - Log what would change without writing to Shopify
+ * @returns {Promise<Object>} Namespace, per-product results and counts per status
+ */
+export async function publishSpecifications(client, { handles, dryRun = false } = {}) {
+  const namespace = config.shopify.specMetafieldNamespace;
+  const summaries = await getProductSpecificationSummaries(client, handles);
+  const productIds = await getSummaryProductIds(client, summaries);
+
+  const results = [];
+  for (const summary of summaries) {
+    const productId = productIds.get(summary.handle) || null;
+    let status;
+    let changes = [];
+    let errorMessage = null;
+
+    try {
+      if (!productId) {
+        throw new Error(`No Shopify product found for handle ${summary.handle}`);
+      }
+
+      const plan = await planProductPublish(summary, productId, namespace);
+      if (plan.errorMessage) {
+        throw new Error(plan.errorMessage);
+      }
+      ({ changes } = plan);
+
+      if (dryRun) {
+        status = PUBLISH_STATUS.DRY_RUN;
+      } else if (plan.changes.length === 0) {
+        status = PUBLISH_STATUS.UNCHANGED;
+      } else {
+        if (plan.metafields.length > 0) {
+          const { userErrors } = await setProductMetafields(plan.metafields);
+          throwUserErrors(userErrors);
+        }
+        if (plan.removals.length > 0) {
+          const { userErrors } = await deleteProductMetafields(plan.removals);
+          throwUserErrors(userErrors);
+        }
+        status = PUBLISH_STATUS.PUBLISHED;
+      }
+    } catch (error) {
+      status = PUBLISH_STATUS.FAILED;
+      errorMessage = error.message;
+    }
+
+    await client.query(`
+      INSERT INTO shopify_metafield_publications
+        (shopify_handle, shopify_product_id, namespace, specification_count, changes, status, error)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [summary.handle, productId, namespace, summary.specificationCount, JSON.stringify(changes), status, errorMessage]);
+
+    results.push({ handle: summary.handle, productId, status, changes, errorMessage });
+  }
+
+  const counts = Object.fromEntries(Object.values(PUBLISH_STATUS).map(status => [status, 0]));
+  for (const result of results) counts[result.status]++;
+
+  return { success: true, namespace, dryRun, counts, results };
+}
+
+/**
+ * Gets the most recent publishes of a product
+ * @param {Object} client - Database client
+ * @param {string} handle - Product handle
+ * @param {number} [limit=20] - Entries to return
+ * @returns {Promise<Object[]>} Log entries, newest first
+ */
+export async function getPublishLog(client, handle, limit = MAX_LOG_ENTRIES) {
+  const result = await client.query(`
+    SELECT * FROM shopify_metafield_publications
+    WHERE shopify_handle = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `, [handle, limit]);
+
+  return result.rows;
+}
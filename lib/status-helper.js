@@ -2,6 +2,7 @@
  * Helper utilities for working with submission statuses
  */
 import db from './db';
+import { getJotformForm } from './jotform-forms';
 import { STATUS } from './submission-status';
 
 /**
@@ -13,9 +14,11 @@ export async function getSubmissionsWithStatus() {
     const result = await db.query(`
       SELECT 
         j.submission_id,
+        COALESCE(j.form_id, $1) AS form_id,
         j.reviewer,
         j.select_product,
         j.cleaned_product_title,
+        j.title_cleaning_trace,
         j.created_at,
         j.status,
         j.status_updated_at,
@@ -27,7 +30,7 @@ export async function getSubmissionsWithStatus() {
       LEFT JOIN jotform_shopify js ON j.submission_id = js.submission_id
       WHERE j.status != 'ignore'
       ORDER BY j.created_at DESC
-    `);
+    `, [getJotformForm().formId]);
     
     // Normalize status fields for consistent filtering
     const submissions = result.rows.map(submission => {
@@ -0,0 +1,159 @@
+/**
+ * Single-submission pipeline steps
+ *
+ * Runs title cleaning and Shopify mapping for one submission with the same
+ * state transitions as the batch actions.
+ */
+
+import { explainTitleCleaning, refreshCleaningRules } from './product-title-cleaner';
+import { saveShopifyProductData } from './shopify';
+import { matchShopifyProductFromCatalog } from './shopify-catalog';
+import {
+  MATCH_REVIEW_STATUS,
+  isShopifyMatchParked,
+  queueShopifyMatchReview,
+  resolveShopifyMatchReview
+} from './shopify-match-queue';
+import { STATUS, updateSubmissionStatus } from './submission-status';
+
+/**
+ * Cleans the product title of a submission and moves it to TITLE_CLEANED
+ *
+ * @param {Object} client - Database client
+ * @param {Object} submission - jotform row (needs submission_id and select_product)
+ * @returns {Promise<{success: boolean, cleanedTitle: string|null, errorMessage: string|null}>} Step result
+ */
+export async function cleanSubmissionTitle(client, submission) {
+  await refreshCleaningRules(client);
+  const explanation = explainTitleCleaning(submission.select_product);
+  const cleanedTitle = explanation.cleanedTitle || null;
+
+  if (!cleanedTitle) {
+    return { success: false, cleanedTitle: null, errorMessage: 'Submission has no product title' };
+  }
+
+  const updateResult = await updateSubmissionStatus(client, submission.submission_id, STATUS.TITLE_CLEANED);
+  if (!updateResult.success) {
+    return { success: false, cleanedTitle: null, errorMessage: updateResult.errorMessage };
+  }
+
+  await client.query(
+    'UPDATE jotform SET cleaned_product_title = $1, title_cleaning_trace = $2 WHERE submission_id = $3',
+    [cleanedTitle, JSON.stringify(explanation), submission.submission_id]
+  );
+
+  return { success: true, cleanedTitle, errorMessage: null };
+}
+
+/**
+ * Finds the Shopify product for a cleaned submission and moves it to SHOPIFY_MAPPED
+ * A match that is not confident enough is queued for review instead. Submissions
+ * parked as having no product are skipped.
+ *
+ * @param {Object} client - Database client
+ * @param {Object} submission - jotform row (needs submission_id and cleaned_product_title or select_product)
+ * @param {Object} [match] - Result of matchShopifyProductFromCatalog for the title, looked up when omitted
+ * @returns {Promise<{success: boolean, product: Object|null, errorMessage: string|null}>} Step result
+ */
+export async function mapSubmissionToShopify(client, submission, match = null) {
+  if (await isShopifyMatchParked(client, submission.submission_id)) {
+    return { success: false, product: null, errorMessage: 'Parked as having no Shopify product; reopen it to map it' };
+  }
+
+  const titleToUse = submission.cleaned_product_title || submission.select_product;
+  if (!match) {
+    match = await matchShopifyProductFromCatalog(client, titleToUse);
+  }
+  const { product } = match;
+
+  if (!product) {
+    await queueShopifyMatchReview(client, submission.submission_id, titleToUse, match);
+    return {
+      success: false,
+      product: null,
+      errorMessage: `Could not find matching Shopify product for "${titleToUse}" (best score ${match.confidence.toFixed(2)}); queued for review`
+    };
+  }
+
+  const updateResult = await updateSubmissionStatus(client, submission.submission_id, STATUS.SHOPIFY_MAPPED);
+  if (!updateResult.success) {
+    return { success: false, product: null, errorMessage: updateResult.errorMessage };
+  }
+
+  await saveShopifyProductData(submission.submission_id, product, client);
+  await resolveShopifyMatchReview(client, submission.submission_id, MATCH_REVIEW_STATUS.LINKED);
+
+  return { success: true, product, errorMessage: null };
+}
+
+/**
+ * Advances a freshly fetched submission through title cleaning and Shopify mapping
+ * Stops at the first step that does not succeed; the submission stays in the
+ * state it reached so the regular batch actions can pick it up.
+ *
+ * Manages its own transaction: the title is cleaned and matched against Shopify
+ * first, so the transaction saving both steps stays short.
+ *
+ * @param {Object} client - Database client (not in a transaction)
+ * @param {string} submissionId - Submission to advance
+ * @returns {Promise<{status: string, steps: Object[]}>} Final status and per-step results
+ */
+export async function advanceSubmission(client, submissionId) {
+  const result = await client.query(
+    'SELECT submission_id, select_product, status FROM jotform WHERE submission_id = $1',
+    [submissionId]
+  );
+  const submission = result.rows[0];
+  if (!submission) {
+    return { status: null, steps: [{ step: 'load', success: false, errorMessage: `Submission ${submissionId} not found` }] };
+  }
+
+  // Shopify lookups happen before the transaction
+  await refreshCleaningRules(client);
+  const cleanedTitle = explainTitleCleaning(submission.select_product).cleanedTitle || null;
+  const parked = await isShopifyMatchParked(client, submission.submission_id);
+  const match = cleanedTitle && !parked ? await matchShopifyProductFromCatalog(client, cleanedTitle) : null;
+
+  await client.query('BEGIN');
+  try {
+    const advance = await saveSubmissionAdvance(client, submission, match);
+    await client.query('COMMIT');
+    return advance;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Saves the title cleaning and Shopify mapping steps of advanceSubmission
+ * @param {Object} client - Database client (caller owns the transaction)
+ * @param {Object} submission - jotform row (needs submission_id, select_product and status)
+ * @param {Object|null} match - Shopify match for the cleaned title
+ * @returns {Promise<{status: string, steps: Object[]}>} Final status and per-step results
+ */
+async function saveSubmissionAdvance(client, submission, match) {
+  const steps = [];
+
+  const cleanResult = await cleanSubmissionTitle(client, submission);
+  steps.push({ step: 'clean-titles', ...cleanResult });
+  if (!cleanResult.success) {
+    return { status: submission.status, steps };
+  }
+
+  const mapResult = await mapSubmissionToShopify(client, {
+    ...submission,
+    cleaned_product_title: cleanResult.cleanedTitle
+  }, match);
+  steps.push({
+    step: 'fetch-shopify-data',
+    success: mapResult.success,
+    handle: mapResult.product?.handle || null,
+    errorMessage: mapResult.errorMessage
+  });
+
+  return {
+    status: mapResult.success ? STATUS.SHOPIFY_MAPPED : STATUS.TITLE_CLEANED,
+    steps
+  };
+}
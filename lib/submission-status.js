@@ -11,7 +11,8 @@ const STATUS = {
   TITLE_CLEANED: 'title_cleaned',
   SHOPIFY_MAPPED: 'shopify_mapped',
   SPECIFICATION_GENERATED: 'specification_generated',
-  ERROR: 'error'
+  ERROR: 'error',
+  IGNORE: 'ignore' // Excluded from the pipeline (e.g. deleted in Jotform)
 };
 
 /**
@@ -23,7 +24,8 @@ const VALID_TRANSITIONS = {
   [STATUS.TITLE_CLEANED]: [STATUS.FETCHED], // Can only clean titles for fetched submissions
   [STATUS.SHOPIFY_MAPPED]: [STATUS.TITLE_CLEANED], // Can only map to Shopify after cleaning titles
   [STATUS.SPECIFICATION_GENERATED]: [STATUS.SHOPIFY_MAPPED], // Can only generate specs after Shopify mapping
-  [STATUS.ERROR]: [STATUS.FETCHED, STATUS.TITLE_CLEANED, STATUS.SHOPIFY_MAPPED, STATUS.SPECIFICATION_GENERATED] // Can move to error from any state
+  [STATUS.ERROR]: [STATUS.FETCHED, STATUS.TITLE_CLEANED, STATUS.SHOPIFY_MAPPED, STATUS.SPECIFICATION_GENERATED], // Can move to error from any state
+  [STATUS.IGNORE]: [STATUS.FETCHED, STATUS.TITLE_CLEANED, STATUS.SHOPIFY_MAPPED, STATUS.SPECIFICATION_GENERATED, STATUS.ERROR] // Can be ignored from any state
 };
 
 /**
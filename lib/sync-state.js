@@ -0,0 +1,75 @@
+/**
+ * Sync state persistence
+ *
+ * Stores the high-water mark of incremental syncs in the sync_state table,
+ * so an interrupted sync resumes from the last committed page.
+ */
+
+// Sync key used for the Jotform submission sync
+export const JOTFORM_SYNC_KEY = 'jotform_submissions';
+
+// Sync key used for detecting edits to already-fetched submissions
+export const JOTFORM_UPDATES_SYNC_KEY = 'jotform_submission_updates';
+
+/**
+ * Builds the sync key of one form
+ * Each configured Jotform form keeps its own high-water marks
+ *
+ * @param {string} baseKey - JOTFORM_SYNC_KEY or JOTFORM_UPDATES_SYNC_KEY
+ * @param {string} formId - Jotform form ID
+ * @returns {string} Form-specific sync key
+ */
+export function getFormSyncKey(baseKey, formId) {
+  return `${baseKey}:${formId}`;
+}
+
+/**
+ * Gets the persisted state for a sync
+ * @param {Object} client - Database client
+ * @param {string} syncKey - Sync identifier
+ * @returns {Promise<Object|null>} The sync_state row or null if the sync never ran
+ */
+export async function getSyncState(client, syncKey) {
+  const result = await client.query(
+    'SELECT * FROM sync_state WHERE sync_key = $1',
+    [syncKey]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Creates or updates the persisted state for a sync
+ * Only the provided fields are changed
+ *
+ * @param {Object} client - Database client
+ * @param {string} syncKey - Sync identifier
+ * @param {Object} fields - Columns to set (high_water_mark, last_submission_id, last_run_started_at, ...)
+ * @returns {Promise<Object>} The updated sync_state row
+ */
+export async function saveSyncState(client, syncKey, fields) {
+  const columns = Object.keys(fields);
+  const values = columns.map(column => {
+    const value = fields[column];
+    // JSONB columns are passed as strings
+    return value !== null && typeof value === 'object' && !(value instanceof Date)
+      ? JSON.stringify(value)
+      : value;
+  });
+
+  const insertColumns = ['sync_key', ...columns].join(', ');
+  const placeholders = ['$1', ...columns.map((_, index) => `$${index + 2}`)].join(', ');
+  const updates = [
+    ...columns.map(column => `${column} = EXCLUDED.${column}`),
+    'updated_at = CURRENT_TIMESTAMP'
+  ].join(', ');
+
+  const result = await client.query(`
+    INSERT INTO sync_state (${insertColumns})
+    VALUES (${placeholders})
+    ON CONFLICT (sync_key) DO UPDATE SET ${updates}
+    RETURNING *
+  `, [syncKey, ...values]);
+
+  return result.rows[0];
+}
@@ -0,0 +1,134 @@
+/**
+ * Title cleaning rule impact preview
+ *
+ * Runs a proposed set of cleaning rules over every stored product title, without
+ * saving it, and reports which cleaned titles would change, grouped by the rule
+ * that makes the difference, and how many Shopify matches would likely change.
+ */
+
+import config from '../config';
+import { previewCleaningRules, refreshCleaningRules } from './product-title-cleaner';
+import { getCachedProducts } from './shopify-catalog';
+import { rankShopifyCandidates, scoreShopifyCandidate } from './shopify-matcher';
+import { STATUS } from './submission-status';
+
+// Maximum number of example titles returned per rule
+const MAX_EXAMPLES_PER_RULE = 50;
+
+// Group for differences no single rule step explains
+const UNATTRIBUTED_RULE_ID = '(final normalization)';
+
+/**
+ * Counts the submissions of one changed title whose Shopify match would likely change
+ *
+ * With a synced catalog, both cleaned titles are ranked against the active products like
+ * the pipeline does, and every submission of the title counts when the best product differs.
+ * Before the first catalog sync, only mapped submissions are checked: one counts when the new
+ * title's similarity to the mapped Shopify title is below auto-accept or lower than the current one.
+ *
+ * @param {Object} change - Changed title with current and proposed cleaned titles
+ * @param {Object[]} submissions - Submissions with that title, with their mapped shopify_title
+ * @param {Object[]} activeProducts - Active cached products (empty before the first catalog sync)
+ * @returns {number} Submissions whose match would likely change
+ */
+function countLikelyMatchChanges(change, submissions, activeProducts) {
+  if (activeProducts.length > 0) {
+    const bestHandle = title => rankShopifyCandidates(title, activeProducts).candidates[0]?.product.handle || null;
+    return bestHandle(change.current) !== bestHandle(change.proposed) ? submissions.length : 0;
+  }
+
+  const { autoAcceptScore } = config.shopify.matching;
+  return submissions.filter(row => {
+    if (!row.shopify_title) return false;
+    const mapped = { title: row.shopify_title };
+    const currentScore = scoreShopifyCandidate(change.current, mapped).titleScore;
+    const proposedScore = scoreShopifyCandidate(change.proposed, mapped).titleScore;
+    return proposedScore < autoAcceptScore || proposedScore < currentScore;
+  }).length;
+}
+
+/**
+ * Previews the effect of proposed cleaning rules on stored submissions
+ *
+ * Shopify matching starts from the cleaned title, so each changed title is also checked
+ * for whether it would likely match a different Shopify product.
+ *
+ * @param {Object} client - Database client
+ * @param {Object} proposedRules - Rules object with generalRules and exceptions
+ * @returns {Promise<Object>} Summary with titlesChecked, titlesChanged, submissionsChanged,
+ *   likelyShopifyMatchChanges and byRule (changed titles grouped by rule ID)
+ * @throws {Error} If the proposed rules are invalid (with `problems` attached)
+ */
+async function previewCleaningRuleChanges(client, proposedRules) {
+  // Compare against the newest saved rules, not a stale copy
+  await refreshCleaningRules(client);
+
+  const result = await client.query(`
+    SELECT j.submission_id, j.select_product, j.status, js.shopify_title
+    FROM jotform j
+    LEFT JOIN jotform_shopify js ON js.submission_id = j.submission_id
+    WHERE j.select_product IS NOT NULL AND j.select_product <> '' AND j.status <> $1
+  `, [STATUS.IGNORE]);
+
+  // Submissions per distinct title, so each title is cleaned once
+  const submissionsByTitle = new Map();
+  for (const row of result.rows) {
+    if (!submissionsByTitle.has(row.select_product)) {
+      submissionsByTitle.set(row.select_product, []);
+    }
+    submissionsByTitle.get(row.select_product).push(row);
+  }
+
+  const changes = previewCleaningRules(proposedRules, [...submissionsByTitle.keys()]);
+  const activeProducts = changes.length > 0
+    ? (await getCachedProducts(client)).filter(product => product.status === 'ACTIVE')
+    : [];
+
+  const summary = {
+    success: true,
+    titlesChecked: submissionsByTitle.size,
+    titlesChanged: changes.length,
+    submissionsChanged: 0,
+    likelyShopifyMatchChanges: 0,
+    byRule: []
+  };
+  const groups = new Map();
+
+  for (const change of changes) {
+    const submissions = submissionsByTitle.get(change.title);
+    const likelyMatchChanges = countLikelyMatchChanges(change, submissions, activeProducts);
+
+    summary.submissionsChanged += submissions.length;
+    summary.likelyShopifyMatchChanges += likelyMatchChanges;
+
+    const ruleIds = change.ruleIds.length > 0 ? change.ruleIds : [UNATTRIBUTED_RULE_ID];
+    for (const ruleId of ruleIds) {
+      if (!groups.has(ruleId)) {
+        groups.set(ruleId, { ruleId, titleCount: 0, submissionCount: 0, likelyShopifyMatchChanges: 0, examples: [], truncated: false });
+      }
+      const group = groups.get(ruleId);
+      group.titleCount++;
+      group.submissionCount += submissions.length;
+      group.likelyShopifyMatchChanges += likelyMatchChanges;
+
+      if (group.examples.length < MAX_EXAMPLES_PER_RULE) {
+        group.examples.push({
+          title: change.title,
+          current: change.current,
+          proposed: change.proposed,
+          submissionCount: submissions.length,
+          likelyShopifyMatchChanges: likelyMatchChanges
+        });
+      } else {
+        group.truncated = true;
+      }
+    }
+  }
+
+  summary.byRule = [...groups.values()].sort((a, b) => b.submissionCount - a.submissionCount);
+  return summary;
+}
+
+export {
+  previewCleaningRuleChanges
+};
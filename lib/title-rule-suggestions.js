@@ -0,0 +1,319 @@
+/**
+ * Title cleaning rule suggestions learned from manual Shopify corrections
+ *
+ * Each pending correction pairs a submitted title with the Shopify title an
+ * operator linked it to. Token substitutions that recur across corrections are
+ * proposed as word rules; a one-off correction that one rule spoils is proposed
+ * as an exception for that title. Accepting a suggestion saves a new rules version.
+ */
+
+import {
+  explainTitleCleaning,
+  getActiveCleaningRules,
+  previewCleaningRules,
+  refreshCleaningRules,
+  saveCleaningRules
+} from './product-title-cleaner';
+import { STATUS } from './submission-status';
+
+// Submissions whose corrections must share a substitution before it is proposed as a rule
+const MIN_RULE_SUPPORT = 2;
+
+// Example corrections returned per suggestion
+const MAX_EXAMPLES = 5;
+
+/**
+ * Compares titles the way the Shopify exact match does
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {boolean} Whether the titles are equal ignoring case and surrounding whitespace
+ */
+function sameTitle(a, b) {
+  return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+/**
+ * Finds the token substitutions that turn one title into another
+ * Tokens are aligned by longest common subsequence, ignoring case. A pure
+ * insertion is anchored to the token before it (or after it, at the start).
+ *
+ * @param {string} source - Title as cleaned by the current rules
+ * @param {string} target - Title it should have become
+ * @returns {Array<{from: string, to: string}>} Substitutions, in title order
+ */
+function diffTitleTokens(source, target) {
+  const a = source.trim().split(/\s+/).filter(Boolean);
+  const b = target.trim().split(/\s+/).filter(Boolean);
+  const equal = (x, y) => x.toLowerCase() === y.toLowerCase();
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = equal(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const substitutions = [];
+  let fromRun = [];
+  let toRun = [];
+  let previousToken = null;
+
+  const flush = (nextToken) => {
+    if (fromRun.length > 0) {
+      substitutions.push({ from: fromRun.join(' '), to: toRun.join(' ') });
+    } else if (toRun.length > 0 && previousToken) {
+      substitutions.push({ from: previousToken, to: [previousToken, ...toRun].join(' ') });
+    } else if (toRun.length > 0 && nextToken) {
+      substitutions.push({ from: nextToken, to: [...toRun, nextToken].join(' ') });
+    }
+    fromRun = [];
+    toRun = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && equal(a[i], b[j])) {
+      flush(a[i]);
+      previousToken = a[i];
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      toRun.push(b[j++]);
+    } else {
+      fromRun.push(a[i++]);
+    }
+  }
+  flush(null);
+
+  return substitutions;
+}
+
+/**
+ * Builds a rule ID for a learned substitution that no existing rule uses
+ * @param {string} from - Text replaced
+ * @param {string} to - Replacement
+ * @param {Set<string>} ruleIds - IDs in use
+ * @returns {string} Rule ID
+ */
+function buildLearnedRuleId(from, to, ruleIds) {
+  const slug = `${from}_to_${to || 'nothing'}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+
+  const base = `learned_${slug}`;
+  let id = base;
+  for (let suffix = 2; ruleIds.has(id); suffix++) {
+    id = `${base}_${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Describes a correction for display
+ * @param {Object} correction - Pending correction with its current cleaning
+ * @returns {Object} Correction summary
+ */
+function describeCorrection(correction) {
+  return {
+    id: correction.id,
+    submissionId: correction.submission_id,
+    originalTitle: correction.original_title,
+    currentCleanedTitle: correction.current.cleanedTitle,
+    shopifyTitle: correction.shopify_title,
+    shopifyHandle: correction.shopify_handle
+  };
+}
+
+/**
+ * Loads pending corrections and splits off those the current rules already handle
+ * @param {Object} client - Database client
+ * @returns {Promise<{pending: Object[], covered: Object[]}>} Corrections still wrong, and corrections already fixed
+ */
+async function loadPendingCorrections(client) {
+  const result = await client.query(`
+    SELECT * FROM shopify_match_corrections
+    WHERE resolution IS NULL
+    ORDER BY created_at
+  `);
+
+  const pending = [];
+  const covered = [];
+  for (const correction of result.rows) {
+    const current = explainTitleCleaning(correction.original_title);
+    if (sameTitle(current.cleanedTitle, correction.shopify_title)) {
+      covered.push(correction);
+    } else {
+      pending.push({ ...correction, current });
+    }
+  }
+
+  return { pending, covered };
+}
+
+/**
+ * Proposes cleaning rules and exceptions from pending manual corrections
+ *
+ * Rule suggestions report how many submissions' corrections share the substitution (support),
+ * how many it fixes on its own, and how many other stored titles it would change.
+ *
+ * @param {Object} client - Database client
+ * @returns {Promise<{suggestions: Object[], covered: number, unexplained: Object[]}>} Suggestions, corrections the
+ *   rules already handle, and corrections no suggestion explains
+ */
+async function getCleaningRuleSuggestions(client) {
+  await refreshCleaningRules(client);
+  const { rules: activeRules } = getActiveCleaningRules();
+  const ruleIds = new Set(activeRules.generalRules.map(rule => rule.id));
+
+  const { pending, covered } = await loadPendingCorrections(client);
+
+  const titlesResult = await client.query(`
+    SELECT DISTINCT select_product FROM jotform
+    WHERE select_product IS NOT NULL AND select_product <> '' AND status <> $1
+  `, [STATUS.IGNORE]);
+  const storedTitles = titlesResult.rows.map(row => row.select_product);
+
+  // Corrections per recurring substitution
+  const substitutions = new Map();
+  for (const correction of pending) {
+    const seen = new Set();
+    for (const { from, to } of diffTitleTokens(correction.current.cleanedTitle, correction.shopify_title)) {
+      const key = `rule:${JSON.stringify([from, to])}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (!substitutions.has(key)) {
+        substitutions.set(key, { from, to, corrections: [] });
+      }
+      substitutions.get(key).corrections.push(correction);
+    }
+  }
+
+  const suggestions = [];
+  for (const [key, { from, to, corrections }] of substitutions) {
+    const support = new Set(corrections.map(correction => correction.submission_id)).size;
+    if (support < MIN_RULE_SUPPORT) continue;
+
+    const rule = { id: buildLearnedRuleId(from, to, ruleIds), type: 'word', pattern: from, replacement: to };
+    ruleIds.add(rule.id);
+    const fixes = corrections.filter(correction =>
+      sameTitle(explainTitleCleaning(correction.original_title, [rule]).cleanedTitle, correction.shopify_title)
+    ).length;
+
+    const supportingTitles = new Set(corrections.map(correction => correction.original_title));
+    const changes = previewCleaningRules(
+      { generalRules: [...activeRules.generalRules, rule], exceptions: activeRules.exceptions },
+      storedTitles
+    );
+
+    suggestions.push({
+      key,
+      kind: 'rule',
+      rule,
+      correctionIds: corrections.map(correction => correction.id),
+      support,
+      fixes,
+      titlesChanged: changes.length,
+      otherTitlesChanged: changes.filter(change => !supportingTitles.has(change.title)).length,
+      examples: corrections.slice(0, MAX_EXAMPLES).map(describeCorrection)
+    });
+  }
+  suggestions.sort((a, b) => b.support - a.support || b.fixes - a.fixes);
+
+  // One-off corrections that come out right when a single rule is skipped
+  for (const correction of pending) {
+    for (const step of correction.current.appliedRules) {
+      const exception = { productName: correction.original_title.trim(), skipRules: [step.id] };
+      const cleaned = explainTitleCleaning(correction.original_title, [], [exception]).cleanedTitle;
+      if (!sameTitle(cleaned, correction.shopify_title)) continue;
+
+      suggestions.push({
+        key: `exception:${correction.id}:${step.id}`,
+        kind: 'exception',
+        exception,
+        correctionIds: [correction.id],
+        support: 1,
+        fixes: 1,
+        titlesChanged: 1,
+        otherTitlesChanged: 0,
+        examples: [describeCorrection(correction)]
+      });
+      break;
+    }
+  }
+
+  const explained = new Set(suggestions.flatMap(suggestion => suggestion.correctionIds));
+
+  return {
+    suggestions,
+    covered: covered.length,
+    unexplained: pending.filter(correction => !explained.has(correction.id)).map(describeCorrection)
+  };
+}
+
+/**
+ * Accepts or dismisses a suggestion
+ * Accepting appends the rule or exception to the active rules as a new version. The
+ * suggestion's corrections are resolved either way, and corrections the new rules
+ * already handle are marked covered.
+ *
+ * @param {Object} client - Database client (caller owns the transaction)
+ * @param {string} key - Suggestion key from getCleaningRuleSuggestions
+ * @param {'accept'|'dismiss'} action - Review decision
+ * @returns {Promise<{success: boolean, version: number|null, errorMessage: string|null}>} Result with the new rules version when accepted
+ */
+async function resolveCleaningRuleSuggestion(client, key, action) {
+  if (!['accept', 'dismiss'].includes(action)) {
+    return { success: false, version: null, errorMessage: `Unknown action: ${action}` };
+  }
+
+  const { suggestions } = await getCleaningRuleSuggestions(client);
+  const suggestion = suggestions.find(candidate => candidate.key === key);
+  if (!suggestion) {
+    return { success: false, version: null, errorMessage: 'Suggestion no longer applies; reload the suggestions' };
+  }
+
+  let version = null;
+  if (action === 'accept') {
+    const { rules } = getActiveCleaningRules();
+    const updatedRules = suggestion.kind === 'rule'
+      ? { ...rules, generalRules: [...rules.generalRules, suggestion.rule] }
+      : { ...rules, exceptions: [...rules.exceptions, suggestion.exception] };
+    const note = suggestion.kind === 'rule'
+      ? `Learned rule ${suggestion.rule.id}: "${suggestion.rule.pattern}" -> "${suggestion.rule.replacement}"`
+      : `Learned exception for "${suggestion.exception.productName}" skipping ${suggestion.exception.skipRules.join(', ')}`;
+
+    ({ version } = await saveCleaningRules(client, updatedRules, note));
+  }
+
+  await client.query(`
+    UPDATE shopify_match_corrections
+    SET resolution = $1, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($2) AND resolution IS NULL
+  `, [action === 'accept' ? 'accepted' : 'dismissed', suggestion.correctionIds]);
+
+  if (action === 'accept') {
+    const { covered } = await loadPendingCorrections(client);
+    if (covered.length > 0) {
+      await client.query(`
+        UPDATE shopify_match_corrections
+        SET resolution = 'covered', resolved_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($1)
+      `, [covered.map(correction => correction.id)]);
+    }
+  }
+
+  return { success: true, version, errorMessage: null };
+}
+
+export {
+  diffTitleTokens,
+  getCleaningRuleSuggestions,
+  resolveCleaningRuleSuggestion
+};
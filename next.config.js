@@ -1,5 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  // Product images are served by Shopify's CDN
+  images: {
+    remotePatterns: [
+      { protocol: 'https', hostname: 'cdn.shopify.com' },
+    ],
+  },
   // Configure webpack
   webpack: (config) => {
     // Configure module resolution
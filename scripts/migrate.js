@@ -0,0 +1,74 @@
+/**
+ * Database Migration Script
+ * 
+ * Applies the SQL files in scripts/migrations in filename order.
+ * Applied migrations are recorded in the schema_migrations table,
+ * so running the script again only applies new files.
+ * 
+ * Usage: npm run migrate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../lib/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function main() {
+  let client;
+  
+  try {
+    client = await db.getClient();
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    const appliedResult = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedResult.rows.map(row => row.name));
+    
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+    
+    const pending = files.filter(file => !applied.has(file));
+    
+    if (pending.length === 0) {
+      console.log('Database is up to date.');
+      return;
+    }
+    
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      
+      // Each migration runs in its own transaction
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        console.log(`Applied ${file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+    }
+    
+    console.log(`Applied ${pending.length} migration${pending.length !== 1 ? 's' : ''}. Run "npm run schema" to refresh db-schema.txt.`);
+  } catch (error) {
+    console.error('Error applying migrations:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.release();
+    }
+    // Close the pool to end the process
+    await db.pool.end();
+  }
+}
+
+// Run the script
+main();
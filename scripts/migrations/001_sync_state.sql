@@ -0,0 +1,12 @@
+-- Persisted cursors for incremental syncs (one row per sync source)
+CREATE TABLE IF NOT EXISTS sync_state (
+  sync_key VARCHAR(100) PRIMARY KEY,
+  -- created_at of the newest ingested submission, in Jotform's "YYYY-MM-DD HH:MM:SS" format
+  high_water_mark VARCHAR(19),
+  last_submission_id VARCHAR(20),
+  last_run_started_at TIMESTAMPTZ,
+  last_run_completed_at TIMESTAMPTZ,
+  last_run_summary JSONB,
+  last_error TEXT,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
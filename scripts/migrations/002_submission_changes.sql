@@ -0,0 +1,15 @@
+-- Field-level history of edits made to submissions after they were fetched
+CREATE TABLE IF NOT EXISTS jotform_submission_changes (
+  id SERIAL PRIMARY KEY,
+  submission_id VARCHAR(20) NOT NULL,
+  detected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  -- Jotform's updated_at for the edit, in "YYYY-MM-DD HH:MM:SS" format
+  jotform_updated_at VARCHAR(19),
+  -- { column: { from, to } } for every jotform column that changed
+  changes JSONB NOT NULL,
+  previous_status VARCHAR(40),
+  new_status VARCHAR(40)
+);
+
+CREATE INDEX IF NOT EXISTS idx_jotform_submission_changes_submission_id
+  ON jotform_submission_changes (submission_id);
@@ -0,0 +1,21 @@
+-- Jotform-side status of each submission and why a submission was ignored
+ALTER TABLE jotform ADD COLUMN IF NOT EXISTS jotform_status VARCHAR(20);
+ALTER TABLE jotform ADD COLUMN IF NOT EXISTS ignore_reason VARCHAR(255);
+
+-- Specifications whose source submission was deleted, archived or flagged in Jotform
+CREATE TABLE IF NOT EXISTS specification_retractions (
+  id SERIAL PRIMARY KEY,
+  specification_id INTEGER NOT NULL,
+  submission_id VARCHAR(20) NOT NULL,
+  shopify_handle VARCHAR(255),
+  reason VARCHAR(255) NOT NULL,
+  detected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  -- NULL while pending review, then 'retracted', 'kept' or 'restored'
+  resolution VARCHAR(20),
+  resolved_at TIMESTAMPTZ
+);
+
+-- Only one pending review per specification
+CREATE UNIQUE INDEX IF NOT EXISTS idx_specification_retractions_pending
+  ON specification_retractions (specification_id)
+  WHERE resolution IS NULL;
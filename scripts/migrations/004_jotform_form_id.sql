@@ -0,0 +1,10 @@
+-- Jotform form each submission came from (several review forms can be configured)
+ALTER TABLE jotform ADD COLUMN IF NOT EXISTS form_id VARCHAR(20);
+
+-- Backfill from the stored API response; rows without one belong to the primary form
+UPDATE jotform
+SET form_id = raw_json::json->>'form_id'
+WHERE form_id IS NULL
+  AND raw_json LIKE '{%';
+
+CREATE INDEX IF NOT EXISTS idx_jotform_form_id ON jotform (form_id);
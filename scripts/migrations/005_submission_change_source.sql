@@ -0,0 +1,3 @@
+-- What produced a recorded change: an edit in Jotform or re-deriving columns from raw_json
+ALTER TABLE jotform_submission_changes
+  ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'jotform_edit';
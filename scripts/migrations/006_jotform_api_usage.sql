@@ -0,0 +1,6 @@
+-- Jotform API calls made per day (UTC), to stay within the account's daily quota
+CREATE TABLE IF NOT EXISTS jotform_api_usage (
+  usage_date DATE PRIMARY KEY,
+  calls INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,11 @@
+-- Alternative spellings of a reviewer's name as typed in Jotform
+CREATE TABLE IF NOT EXISTS reviewer_aliases (
+  id SERIAL PRIMARY KEY,
+  alias VARCHAR(100) NOT NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Aliases are matched case-insensitively and ignoring surrounding whitespace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviewer_aliases_alias
+  ON reviewer_aliases (LOWER(TRIM(alias)));
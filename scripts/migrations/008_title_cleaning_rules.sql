@@ -0,0 +1,7 @@
+-- Saved versions of the product title cleaning rules; the highest version is in use
+CREATE TABLE IF NOT EXISTS title_cleaning_rule_versions (
+  version SERIAL PRIMARY KEY,
+  rules JSONB NOT NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,2 @@
+-- How each submission's product title was cleaned: the rules that changed it, step by step
+ALTER TABLE jotform ADD COLUMN IF NOT EXISTS title_cleaning_trace JSONB;
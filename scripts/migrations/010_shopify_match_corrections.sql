@@ -0,0 +1,18 @@
+-- Shopify products picked by hand for submissions whose cleaned title did not match.
+-- Pending rows (resolution IS NULL) feed the title cleaning rule suggestions.
+CREATE TABLE IF NOT EXISTS shopify_match_corrections (
+  id SERIAL PRIMARY KEY,
+  submission_id VARCHAR(20) NOT NULL,
+  original_title TEXT NOT NULL,
+  cleaned_title TEXT,
+  shopify_handle VARCHAR(255),
+  shopify_title TEXT NOT NULL,
+  -- accepted (a suggested rule or exception was added), dismissed, covered (the rules already produce the Shopify title),
+  -- or superseded (the submission was linked again)
+  resolution VARCHAR(20),
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_match_corrections_pending
+  ON shopify_match_corrections (created_at) WHERE resolution IS NULL;
@@ -0,0 +1,15 @@
+-- Submissions whose Shopify match was not confident enough to link automatically,
+-- with the ranked candidates found, waiting for a person to pick the product
+CREATE TABLE IF NOT EXISTS shopify_match_reviews (
+  submission_id VARCHAR(20) PRIMARY KEY,
+  searched_title TEXT NOT NULL,
+  confidence NUMERIC(4, 3) NOT NULL DEFAULT 0,
+  candidates JSONB NOT NULL DEFAULT '[]',
+  -- pending, linked or no_product
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_match_reviews_status
+  ON shopify_match_reviews (status, confidence DESC);
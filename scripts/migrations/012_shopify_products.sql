@@ -0,0 +1,30 @@
+-- Local copy of the Shopify product catalog, so submissions can be matched without live searches
+CREATE TABLE IF NOT EXISTS shopify_products (
+  -- Shopify GID, e.g. gid://shopify/Product/123
+  product_id VARCHAR(100) PRIMARY KEY,
+  handle VARCHAR(255) NOT NULL,
+  title TEXT NOT NULL,
+  vendor TEXT,
+  product_type TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  -- Raw value of the custom.brands metafield (a JSON list of brand names)
+  brands TEXT,
+  -- ACTIVE, DRAFT or ARCHIVED
+  status VARCHAR(20),
+  image_url TEXT,
+  variants JSONB NOT NULL DEFAULT '[]',
+  shopify_updated_at TIMESTAMPTZ,
+  synced_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_products_handle ON shopify_products (handle);
+
+-- Every handle a product has been seen with, so links made under an old handle still resolve
+CREATE TABLE IF NOT EXISTS shopify_product_handles (
+  handle VARCHAR(255) PRIMARY KEY,
+  product_id VARCHAR(100) NOT NULL,
+  first_seen_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_product_handles_product ON shopify_product_handles (product_id);
@@ -0,0 +1,4 @@
+-- Shopify status of each mapped product as of the last handle verification:
+-- ACTIVE, DRAFT, ARCHIVED, DELETED (the product is gone) or MISSING (the handle never resolved to a product)
+ALTER TABLE jotform_shopify ADD COLUMN IF NOT EXISTS shopify_product_status VARCHAR(20);
+ALTER TABLE jotform_shopify ADD COLUMN IF NOT EXISTS shopify_verified_at TIMESTAMPTZ;
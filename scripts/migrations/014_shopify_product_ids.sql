@@ -0,0 +1,9 @@
+-- Immutable Shopify GIDs of the mapped product, so joins survive handle renames.
+-- The variant GID is only set when the product has a single variant.
+ALTER TABLE jotform_shopify ADD COLUMN IF NOT EXISTS shopify_product_id VARCHAR(100);
+ALTER TABLE jotform_shopify ADD COLUMN IF NOT EXISTS shopify_variant_id VARCHAR(100);
+ALTER TABLE specifications ADD COLUMN IF NOT EXISTS shopify_product_id VARCHAR(100);
+ALTER TABLE specifications ADD COLUMN IF NOT EXISTS shopify_variant_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_jotform_shopify_product_id ON jotform_shopify (shopify_product_id);
+CREATE INDEX IF NOT EXISTS idx_specifications_shopify_product_id ON specifications (shopify_product_id);
@@ -0,0 +1,17 @@
+-- One row per product each time specifications are published (or dry-run) to Shopify metafields
+CREATE TABLE IF NOT EXISTS shopify_metafield_publications (
+  id SERIAL PRIMARY KEY,
+  shopify_handle VARCHAR(255) NOT NULL,
+  shopify_product_id VARCHAR(100),
+  namespace VARCHAR(255) NOT NULL,
+  specification_count INTEGER NOT NULL DEFAULT 0,
+  -- Metafields whose value differs from Shopify: [{ key, type, from, to }]
+  changes JSONB NOT NULL DEFAULT '[]',
+  -- published, unchanged, dry_run or failed
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_metafield_publications_handle
+  ON shopify_metafield_publications (shopify_handle, created_at DESC);
@@ -0,0 +1,20 @@
+-- Alternative wordings of enum values as answered in Jotform, per enum table.
+-- enum_id points into the table named by enum_table, so it has no foreign key.
+CREATE TABLE IF NOT EXISTS enum_synonyms (
+  id SERIAL PRIMARY KEY,
+  enum_table VARCHAR(64) NOT NULL,
+  label VARCHAR(255) NOT NULL,
+  enum_id INTEGER NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Labels are matched case-insensitively and ignoring surrounding whitespace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enum_synonyms_label
+  ON enum_synonyms (enum_table, LOWER(TRIM(label)));
+
+-- "Expert" was mapped to "Advanced" in code before synonyms existed
+INSERT INTO enum_synonyms (enum_table, label, enum_id)
+SELECT 'enum_experience_levels', 'Expert', id
+FROM enum_experience_levels
+WHERE LOWER(name) = 'advanced'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,14 @@
+-- Synonym labels are matched like normalizeEnumLabel: case-insensitively, trimmed,
+-- and with runs of whitespace collapsed to one space.
+-- Labels differing only in whitespace collapse into one; the oldest synonym is kept.
+DELETE FROM enum_synonyms s
+USING enum_synonyms kept
+WHERE kept.enum_table = s.enum_table
+  AND LOWER(TRIM(regexp_replace(kept.label, '\s+', ' ', 'g'))) = LOWER(TRIM(regexp_replace(s.label, '\s+', ' ', 'g')))
+  AND kept.id < s.id;
+
+UPDATE enum_synonyms SET label = TRIM(regexp_replace(label, '\s+', ' ', 'g'));
+
+DROP INDEX IF EXISTS idx_enum_synonyms_label;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enum_synonyms_label
+  ON enum_synonyms (enum_table, LOWER(TRIM(regexp_replace(label, '\s+', ' ', 'g'))));
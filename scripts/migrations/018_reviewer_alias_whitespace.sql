@@ -0,0 +1,13 @@
+-- Aliases are matched like normalizeReviewerName: case-insensitively, trimmed,
+-- and with runs of whitespace collapsed to one space.
+-- Aliases differing only in whitespace collapse into one; the oldest alias is kept.
+DELETE FROM reviewer_aliases a
+USING reviewer_aliases kept
+WHERE LOWER(TRIM(regexp_replace(kept.alias, '\s+', ' ', 'g'))) = LOWER(TRIM(regexp_replace(a.alias, '\s+', ' ', 'g')))
+  AND kept.id < a.id;
+
+UPDATE reviewer_aliases SET alias = TRIM(regexp_replace(alias, '\s+', ' ', 'g'));
+
+DROP INDEX IF EXISTS idx_reviewer_aliases_alias;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviewer_aliases_alias
+  ON reviewer_aliases (LOWER(TRIM(regexp_replace(alias, '\s+', ' ', 'g'))));
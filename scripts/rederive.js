@@ -0,0 +1,66 @@
+/**
+ * Re-derives submissions from their stored raw JSON via the rederive route
+ * 
+ * Previews the column changes by default; pass --apply to write them.
+ * 
+ * Usage: node scripts/rederive.js [--apply] [--url=<url>] (--all | <submissionId>...)
+ *   url defaults to http://localhost:3000/api/rederive
+ */
+
+require('dotenv').config();
+
+async function main() {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const all = args.includes('--all');
+  const urlArg = args.find(arg => arg.startsWith('--url='));
+  const url = urlArg ? urlArg.slice('--url='.length) : 'http://localhost:3000/api/rederive';
+  const submissionIds = args.filter(arg => !arg.startsWith('--'));
+  
+  if (!all && submissionIds.length === 0) {
+    console.error('Usage: node scripts/rederive.js [--apply] [--url=<url>] (--all | <submissionId>...)');
+    process.exit(1);
+  }
+  
+  console.log(`${apply ? 'Applying' : 'Previewing'} re-derive of ${all ? 'all submissions' : submissionIds.join(', ')}`);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ submissionIds: all ? undefined : submissionIds, all, apply })
+  });
+  const result = await response.json();
+  
+  if (!response.ok || !result.success) {
+    console.error(`Status: ${response.status}`);
+    console.error(result.message || result.error);
+    process.exit(1);
+  }
+  
+  for (const diff of result.diffs) {
+    const status = diff.newStatus !== diff.previousStatus ? ` (${diff.previousStatus} -> ${diff.newStatus})` : '';
+    console.log(`\n${diff.submissionId}${status}`);
+    for (const [column, { from, to }] of Object.entries(diff.changes)) {
+      console.log(`  ${column}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    }
+  }
+  if (result.truncated) {
+    console.log(`\n... only the first ${result.diffs.length} changed submissions are listed`);
+  }
+  
+  for (const { submissionId, error } of result.errors) {
+    console.warn(`\n${submissionId}: ${error}`);
+  }
+  
+  console.log(`\n${result.message}`);
+  if (Object.keys(result.columnCounts).length > 0) {
+    console.log('Changed columns:', Object.entries(result.columnCounts).map(([column, count]) => `${column} (${count})`).join(', '));
+  }
+  if (!apply && result.changed > 0) {
+    console.log('Run again with --apply to write these changes.');
+  }
+}
+
+main().catch(error => {
+  console.error('Error re-deriving submissions:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Replays a recorded Jotform webhook payload against the webhook route
+ * 
+ * Sends the fixture as multipart/form-data, the way Jotform does, so the
+ * route can be exercised without submitting the real form.
+ * 
+ * Usage: node scripts/replay-webhook.js [fixture.json] [url]
+ *   fixture defaults to scripts/fixtures/jotform-webhook-submission.json
+ *   url defaults to http://localhost:3000/api/webhooks/jotform
+ * The secret is read from JOTFORM_WEBHOOK_SECRET.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+async function main() {
+  const fixturePath = process.argv[2] || path.join(__dirname, 'fixtures', 'jotform-webhook-submission.json');
+  const url = new URL(process.argv[3] || 'http://localhost:3000/api/webhooks/jotform');
+  
+  if (process.env.JOTFORM_WEBHOOK_SECRET) {
+    url.searchParams.set('secret', process.env.JOTFORM_WEBHOOK_SECRET);
+  }
+  
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(fixture)) {
+    formData.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  
+  console.log(`Replaying ${path.basename(fixturePath)} to ${url.origin}${url.pathname}`);
+  const response = await fetch(url, { method: 'POST', body: formData });
+  const body = await response.text();
+  
+  console.log(`Status: ${response.status}`);
+  try {
+    console.log(JSON.stringify(JSON.parse(body), null, 2));
+  } catch (e) {
+    console.log(body);
+  }
+  
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Error replaying webhook:', error.message);
+  process.exit(1);
+});
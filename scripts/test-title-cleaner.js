@@ -41,7 +41,7 @@ console.log(`Matching exceptions: ${explanation.matchingExceptions.length > 0 ?
 
 console.log("\nApplied rules:");
 explanation.appliedRules.forEach(rule => {
-  console.log(`- ${rule.id}: "${rule.pattern}" -> "${rule.replacement}"`);
+  console.log(`- ${rule.id}: "${rule.before}" -> "${rule.after}"`);
 });
 
 console.log("\nSkipped rules:");